@@ -0,0 +1,303 @@
+/**
+ * FlashJobs 2.0 - ATS Scorer
+ * Deterministic keyword coverage scoring, the way applicant tracking systems
+ * read a CV: the job's required and preferred keywords are looked up in the
+ * rendered document text, with stemming ("managed" matches "management"),
+ * multi-word phrases and acronyms ("AWS" matches "Amazon Web Services").
+ */
+
+// Required keywords weigh more than preferred ones in the overall score
+const REQUIRED_WEIGHT = 0.75;
+
+// Words skipped when building an acronym from a phrase
+const ACRONYM_STOP_WORDS = new Set(['and', 'of', 'the', 'for', 'in', 'to', 'on', 'with']);
+
+// Acronyms are only spelled out from capitalised words ("Structured Query
+// Language") when they're at least this long, and so is every word, so
+// names like "John Smith" never read as "JS"
+const MIN_EXPANSION_LENGTH = 3;
+
+// ============================================================================
+// TOKENISING & STEMMING
+// ============================================================================
+
+// Checked in order, first match wins
+const DERIVATIONAL_SUFFIXES = [
+  ['ization', 'ize'], ['isation', 'ise'], ['ational', 'ate'], ['ation', 'ate'],
+  ['ement', 'e'], ['ment', ''], ['ness', ''], ['ate', ''], ['er', '']
+];
+
+/**
+ * Light suffix-stripping stemmer. It only has to be consistent, since job
+ * text and CV text go through the same function: "manage", "managed",
+ * "managing" and "management" all become "manag".
+ */
+function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /[^a-z]/.test(w)) return w;
+
+  // Plurals
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  // Past tense and gerunds
+  const verbSuffix = w.match(/(ed|ing)$/);
+  if (verbSuffix && /[aeiouy]/.test(w.slice(0, -verbSuffix[0].length)) && w.length - verbSuffix[0].length >= 3) {
+    w = w.slice(0, -verbSuffix[0].length);
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+
+  // Derivational suffixes, repeatedly: "experimentation" -> "experimentate"
+  // -> "experiment" -> "experi"
+  for (let pass = 0; pass < 3; pass++) {
+    const rule = DERIVATIONAL_SUFFIXES.find(([suffix]) => w.endsWith(suffix) && w.length - suffix.length >= 3);
+    if (!rule) break;
+    w = w.slice(0, -rule[0].length) + rule[1];
+  }
+
+  if (w.endsWith('y') && w.length > 4) w = `${w.slice(0, -1)}i`;
+  if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Split text into tokens, keeping the original word for acronym checks.
+ * "C++", "C#" and "Node.js" stay recognisable.
+ */
+function tokenize(text) {
+  const plain = String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  return (plain.match(/[A-Za-z0-9][A-Za-z0-9+#]*(?:\.[A-Za-z0-9]+)*/g) || []).map(raw => ({
+    raw,
+    stem: stem(raw.toLowerCase())
+  }));
+}
+
+// ============================================================================
+// DOCUMENT MODEL
+// ============================================================================
+
+/**
+ * Tokenise a document line by line, tagging each token with the CV section
+ * it sits in. `sectionTitles` maps section keys to their heading text; lines
+ * before the first heading belong to the "header" (name, contact, headline).
+ */
+function buildDocument(text, sectionTitles = {}) {
+  const headings = new Map(
+    Object.entries(sectionTitles).map(([key, title]) => [normalizeLine(title), key])
+  );
+
+  const lines = [];
+  let section = 'header';
+  for (const line of String(text || '').split(/\n+/)) {
+    const heading = headings.get(normalizeLine(line));
+    if (heading) {
+      section = heading;
+      continue;
+    }
+    const tokens = tokenize(line);
+    if (tokens.length > 0) lines.push({ section, tokens });
+  }
+  return { lines };
+}
+
+function normalizeLine(line) {
+  return String(line || '').trim().toLowerCase();
+}
+
+// ============================================================================
+// KEYWORD MATCHING
+// ============================================================================
+
+/**
+ * The ways a keyword can appear: the phrase itself, the parts of
+ * "Amazon Web Services (AWS)", the acronym of a multi-word phrase, and any
+ * extra aliases supplied by the caller. An acronym is only spelled out from
+ * initials when it's one of those aliases and none of them already spells
+ * it out.
+ */
+function keywordVariants(keyword, aliases = () => []) {
+  const phrases = new Set();
+  const parenthetical = keyword.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+  if (parenthetical) {
+    phrases.add(parenthetical[1]);
+    phrases.add(parenthetical[2]);
+  } else {
+    phrases.add(keyword);
+  }
+  const listed = new Set(aliases(keyword) || []);
+  for (const alias of listed) phrases.add(alias);
+
+  const initials = new Set([...phrases].map(phrase => tokenize(phrase))
+    .filter(tokens => tokens.length > 1)
+    .map(tokens => tokens.filter(t => !ACRONYM_STOP_WORDS.has(t.raw.toLowerCase())).map(t => t.raw[0]).join('').toUpperCase()));
+
+  const variants = [];
+  for (const phrase of phrases) {
+    const tokens = tokenize(phrase);
+    if (tokens.length === 0) continue;
+
+    // Acronyms only count when written in capitals, so "pm" in "3 pm" doesn't
+    if (tokens.length === 1 && isAcronym(tokens[0].raw)) {
+      const acronym = tokens[0].raw;
+      variants.push({ type: 'acronym', label: acronym, acronym });
+      if (listed.has(phrase) && acronym.length >= MIN_EXPANSION_LENGTH && !initials.has(acronym.toUpperCase())) {
+        variants.push({ type: 'expansion', label: acronym, acronym });
+      }
+      continue;
+    }
+
+    variants.push({ type: 'phrase', label: phrase, stems: tokens.map(t => t.stem) });
+    // Two-letter acronyms of phrases ("AM" for "Account Management") clash
+    // with ordinary text too often
+    const words = tokens.filter(t => !ACRONYM_STOP_WORDS.has(t.raw.toLowerCase()));
+    if (words.length >= 3) {
+      const acronym = words.map(t => t.raw[0]).join('').toUpperCase();
+      variants.push({ type: 'acronym', label: acronym, acronym });
+    }
+  }
+  return variants;
+}
+
+// AWS, SQL, but also mixed-case ones like SAFe or IaC
+function isAcronym(word) {
+  return /^[A-Za-z]{2,6}$/.test(word) && (word.match(/[A-Z]/g) || []).length >= 2;
+}
+
+/**
+ * Match positions of one variant in a line's tokens, as [start, length]
+ */
+function findInLine(variant, tokens) {
+  const matches = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (variant.type === 'phrase') {
+      if (variant.stems.every((s, j) => tokens[i + j]?.stem === s)) {
+        matches.push([i, variant.stems.length]);
+      }
+    } else if (variant.type === 'acronym') {
+      if (tokens[i].raw === variant.acronym) matches.push([i, 1]);
+    } else {
+      // "SQL" in the job, "Structured Query Language" in the CV
+      const length = variant.acronym.length;
+      const words = tokens.slice(i, i + length);
+      if (words.length === length &&
+          words.every((t, j) => /^[A-Z][a-z]+$/.test(t.raw) && t.raw.length >= MIN_EXPANSION_LENGTH &&
+            t.raw[0] === variant.acronym[j].toUpperCase())) {
+        matches.push([i, length]);
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Find a keyword in a built document. Returns { found, count, sections, matchedAs }.
+ */
+function findKeyword(keyword, doc, aliases) {
+  const variants = keywordVariants(keyword, aliases);
+  const sections = [];
+  const matchedAs = new Set();
+  let count = 0;
+
+  for (const line of doc.lines) {
+    for (const variant of variants) {
+      const matches = findInLine(variant, line.tokens);
+      if (matches.length === 0) continue;
+      count += matches.length;
+      for (const [start, length] of matches) {
+        matchedAs.add(line.tokens.slice(start, start + length).map(t => t.raw).join(' '));
+      }
+      if (!sections.includes(line.section)) sections.push(line.section);
+    }
+  }
+
+  return { found: count > 0, count, sections, matchedAs: [...matchedAs] };
+}
+
+/**
+ * Split keywords into those found in the text and those missing.
+ * Used for the gap analysis against the candidate's extracted profile.
+ */
+function matchKeywords(keywords, text, { aliases } = {}) {
+  const doc = buildDocument(text);
+  const matched = [];
+  const missing = [];
+  for (const keyword of keywords || []) {
+    (findKeyword(keyword, doc, aliases).found ? matched : missing).push(keyword);
+  }
+  return { matched, missing };
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Required and preferred keywords from the job analysis, de-duplicated by
+ * stem so "Stakeholder management" isn't counted twice
+ */
+function collectJobKeywords(jobRequirements) {
+  const seen = new Set();
+  const keywords = [];
+  const add = (keyword, importance) => {
+    const key = tokenize(keyword).map(t => t.stem).join(' ');
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    keywords.push({ keyword: keyword.trim(), importance });
+  };
+
+  (jobRequirements?.requiredSkills || []).forEach(k => add(k, 'required'));
+  (jobRequirements?.preferredSkills || []).forEach(k => add(k, 'preferred'));
+  (jobRequirements?.keywords || []).forEach(k => add(k, 'preferred'));
+  return keywords;
+}
+
+function coverage(keywords) {
+  const matched = keywords.filter(k => k.found).length;
+  return {
+    total: keywords.length,
+    matched,
+    percentage: keywords.length > 0 ? Math.round((matched / keywords.length) * 100) : null
+  };
+}
+
+/**
+ * Score a rendered document's text against the job requirements.
+ * Returns { score, required, preferred, keywords } where each keyword lists
+ * where in the CV it was found; score is null when the job has no keywords.
+ */
+function scoreDocument({ text, jobRequirements, sectionTitles, aliases }) {
+  const doc = buildDocument(text, sectionTitles);
+
+  const keywords = collectJobKeywords(jobRequirements).map(({ keyword, importance }) => ({
+    keyword,
+    importance,
+    ...findKeyword(keyword, doc, aliases)
+  }));
+
+  const required = coverage(keywords.filter(k => k.importance === 'required'));
+  const preferred = coverage(keywords.filter(k => k.importance === 'preferred'));
+
+  let score = null;
+  if (required.total > 0 && preferred.total > 0) {
+    score = Math.round(required.percentage * REQUIRED_WEIGHT + preferred.percentage * (1 - REQUIRED_WEIGHT));
+  } else if (required.total > 0 || preferred.total > 0) {
+    score = required.total > 0 ? required.percentage : preferred.percentage;
+  }
+
+  return {
+    score,
+    required,
+    preferred,
+    keywords,
+    missingRequired: keywords.filter(k => k.importance === 'required' && !k.found).map(k => k.keyword)
+  };
+}
+
+module.exports = {
+  scoreDocument,
+  matchKeywords,
+  tokenize,
+  stem
+};
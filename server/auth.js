@@ -124,10 +124,25 @@ function optionalAuth(req, res, next) {
   });
 }
 
+// Admin only - use after authenticateToken. Admins are the users whose
+// email is listed in ADMIN_EMAILS (comma-separated)
+function requireAdmin(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.userEmail || !adminEmails.includes(req.userEmail.toLowerCase())) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
 module.exports = { 
   passport, 
   generateToken, 
   pool, 
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
@@ -0,0 +1,576 @@
+/**
+ * FlashJobs 2.0 - Billing
+ * Paid plans through a payment provider, following Stripe's model: the app
+ * creates a checkout session, the customer pays on the provider's page,
+ * and the provider reports what happened through signed webhooks. Webhooks
+ * activate, renew and cancel subscriptions, and every change is applied
+ * to the account's plan (users.plan / whatsapp_users.plan), so the quota
+ * in server/entitlements.js follows straight away.
+ *
+ * Provider interface:
+ *   createCheckoutSession({ plan, subject, email, successUrl, cancelUrl }) -> { id, url }
+ *   cancelSubscription(id)
+ *
+ * BILLING_PROVIDER=stripe (default) talks to the Stripe API;
+ * BILLING_PROVIDER=fake checks out locally and sends the same webhooks, for
+ * development and testing without a Stripe account. Anyone can complete its
+ * checkouts, so it is refused when NODE_ENV=production.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { pool } = require('./auth');
+const { PLANS, subjectKey, parseSubjectKey } = require('./entitlements');
+
+// Plans that can be bought, and the Stripe price behind each
+const PLAN_PRICE_ENV = {
+  premium: 'STRIPE_PRICE_PREMIUM',
+  team: 'STRIPE_PRICE_TEAM'
+};
+
+// Subscription statuses that keep the paid plan (past_due is Stripe's
+// grace period while it retries the payment)
+const ACTIVE_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Plans from lowest to highest; an account with several active
+// subscriptions gets the highest
+const PLAN_ORDER = ['free', 'premium', 'team'];
+
+// Webhooks signed longer ago than this are rejected as replays
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Only used by the fake provider (never in production) when
+// BILLING_WEBHOOK_SECRET isn't set
+const FAKE_WEBHOOK_SECRET = 'whsec_fake_local';
+
+class WebhookSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+  }
+}
+
+function isPaidPlan(plan) {
+  return Object.prototype.hasOwnProperty.call(PLAN_PRICE_ENV, plan);
+}
+
+function planForPrice(priceId) {
+  return Object.keys(PLAN_PRICE_ENV).find(plan => priceId && process.env[PLAN_PRICE_ENV[plan]] === priceId) || null;
+}
+
+function highestPlan(plans) {
+  return plans.reduce((best, plan) => (PLAN_ORDER.indexOf(plan) > PLAN_ORDER.indexOf(best) ? plan : best), 'free');
+}
+
+// ============================================================================
+// WEBHOOK SIGNATURES
+// ============================================================================
+
+function isFakeAllowed() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+function getWebhookSecret() {
+  if (process.env.BILLING_WEBHOOK_SECRET) return process.env.BILLING_WEBHOOK_SECRET;
+  const fake = (process.env.BILLING_PROVIDER || '').toLowerCase() === 'fake';
+  return fake && isFakeAllowed() ? FAKE_WEBHOOK_SECRET : null;
+}
+
+/**
+ * Stripe-Signature header for a payload: t=<unix time>,v1=<HMAC-SHA256 of "t.payload">
+ */
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a webhook's signature against the raw request body and return the
+ * parsed event. Throws a WebhookSignatureError if it doesn't match, is too
+ * old or isn't JSON.
+ */
+function verifyWebhook(rawBody, header, secret = getWebhookSecret()) {
+  if (!secret) {
+    throw new Error('BILLING_WEBHOOK_SECRET is not set');
+  }
+  if (!header) {
+    throw new WebhookSignatureError('Missing signature header');
+  }
+
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  const parts = header.split(',').map(part => part.trim().split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    throw new WebhookSignatureError('Malformed signature header');
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new WebhookSignatureError('Signature timestamp is outside the tolerance window');
+  }
+
+  const expected = Buffer.from(signPayload(payload, secret, timestamp).split('v1=')[1], 'hex');
+  const matches = signatures.some(signature => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+  if (!matches) {
+    throw new WebhookSignatureError('Signature does not match');
+  }
+
+  try {
+    return JSON.parse(payload);
+  } catch {
+    throw new WebhookSignatureError('Payload is not valid JSON');
+  }
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+function createStripeProvider() {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    console.warn('⚠ STRIPE_SECRET_KEY is not set - checkout will fail. Set BILLING_PROVIDER=fake to test billing locally.');
+  }
+
+  return {
+    name: 'stripe',
+
+    async createCheckoutSession({ plan, subject, email, successUrl, cancelUrl }) {
+      const price = process.env[PLAN_PRICE_ENV[plan]];
+      if (!price) {
+        throw new Error(`${PLAN_PRICE_ENV[plan]} is not set`);
+      }
+
+      // The subject and plan ride along on the session and the subscription,
+      // so every later webhook can be matched to the account
+      const form = new URLSearchParams({
+        mode: 'subscription',
+        'line_items[0][price]': price,
+        'line_items[0][quantity]': '1',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        client_reference_id: subjectKey(subject),
+        'metadata[subject]': subjectKey(subject),
+        'metadata[plan]': plan,
+        'subscription_data[metadata][subject]': subjectKey(subject),
+        'subscription_data[metadata][plan]': plan
+      });
+      if (email) form.set('customer_email', email);
+
+      const response = await axios.post('https://api.stripe.com/v1/checkout/sessions', form.toString(), {
+        headers: {
+          Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 15000
+      });
+      return { id: response.data.id, url: response.data.url };
+    },
+
+    // Prorated, so the unused part of the old plan is credited
+    async cancelSubscription(id) {
+      await axios.delete(`https://api.stripe.com/v1/subscriptions/${encodeURIComponent(id)}`, {
+        headers: { Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}` },
+        params: { prorate: 'true' },
+        timeout: 15000
+      });
+    }
+  };
+}
+
+/**
+ * Local stand-in for Stripe. Checkout happens on a page served by this
+ * app (/api/billing/fake/checkout/:id); paying, renewing and cancelling
+ * send Stripe-shaped, signed webhooks to webhookUrl.
+ */
+function createFakeProvider({ webhookUrl }) {
+  const sessions = new Map();
+  const subscriptions = new Map();
+
+  const sendEvent = async (type, object) => {
+    const event = {
+      id: `evt_fake_${crypto.randomBytes(8).toString('hex')}`,
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object }
+    };
+    const payload = JSON.stringify(event);
+    await axios.post(webhookUrl, payload, {
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signPayload(payload, getWebhookSecret()) },
+      timeout: 10000
+    });
+    return event;
+  };
+
+  const nextPeriodEnd = () => Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
+
+  return {
+    name: 'fake',
+
+    async createCheckoutSession({ plan, subject, successUrl, cancelUrl }) {
+      const id = `cs_fake_${crypto.randomBytes(8).toString('hex')}`;
+      sessions.set(id, { id, plan, subject: subjectKey(subject), successUrl, cancelUrl, completed: false });
+      return { id, url: `/api/billing/fake/checkout/${id}` };
+    },
+
+    getCheckoutSession(id) {
+      return sessions.get(id) || null;
+    },
+
+    /**
+     * "Pay" for a session: creates the subscription and sends
+     * checkout.session.completed
+     */
+    async completeCheckout(id) {
+      const session = sessions.get(id);
+      if (!session || session.completed) return null;
+      session.completed = true;
+
+      const subscription = {
+        id: `sub_fake_${crypto.randomBytes(8).toString('hex')}`,
+        object: 'subscription',
+        customer: `cus_fake_${crypto.randomBytes(6).toString('hex')}`,
+        status: 'active',
+        current_period_end: nextPeriodEnd(),
+        cancel_at_period_end: false,
+        metadata: { subject: session.subject, plan: session.plan }
+      };
+      subscriptions.set(subscription.id, subscription);
+
+      await sendEvent('checkout.session.completed', {
+        id: session.id,
+        object: 'checkout.session',
+        mode: 'subscription',
+        status: 'complete',
+        client_reference_id: session.subject,
+        customer: subscription.customer,
+        subscription: subscription.id,
+        metadata: { subject: session.subject, plan: session.plan }
+      });
+      await sendEvent('customer.subscription.created', subscription);
+      return subscription;
+    },
+
+    /**
+     * Bill the next period: sends invoice.paid
+     */
+    async renewSubscription(id) {
+      const subscription = subscriptions.get(id);
+      if (!subscription || subscription.status === 'canceled') return null;
+      subscription.current_period_end = nextPeriodEnd();
+
+      await sendEvent('invoice.paid', {
+        id: `in_fake_${crypto.randomBytes(8).toString('hex')}`,
+        object: 'invoice',
+        customer: subscription.customer,
+        subscription: subscription.id,
+        lines: { data: [{ period: { end: subscription.current_period_end } }] }
+      });
+      return subscription;
+    },
+
+    /**
+     * End the subscription now: sends customer.subscription.deleted
+     */
+    async cancelSubscription(id) {
+      const subscription = subscriptions.get(id);
+      if (!subscription || subscription.status === 'canceled') return null;
+      subscription.status = 'canceled';
+
+      await sendEvent('customer.subscription.deleted', subscription);
+      return subscription;
+    }
+  };
+}
+
+/**
+ * Create the provider selected by BILLING_PROVIDER (stripe by default)
+ */
+function createBillingProvider({ webhookUrl }) {
+  const providerName = (process.env.BILLING_PROVIDER || 'stripe').toLowerCase();
+
+  switch (providerName) {
+    case 'stripe':
+      return createStripeProvider();
+    case 'fake':
+      if (!isFakeAllowed()) {
+        throw new Error('BILLING_PROVIDER=fake is for development only and is refused when NODE_ENV=production');
+      }
+      console.log('🧪 Using fake billing provider - checkout is simulated locally');
+      return createFakeProvider({ webhookUrl });
+    default:
+      throw new Error(`Unknown BILLING_PROVIDER "${providerName}". Use "stripe" or "fake".`);
+  }
+}
+
+// ============================================================================
+// SUBSCRIPTIONS
+// ============================================================================
+
+/**
+ * users.id or whatsapp_users.id for a subject. A WhatsApp number that
+ * subscribes before its first CV gets its row now.
+ */
+async function resolveAccount(db, subject) {
+  if (subject.type === 'user') {
+    return { userId: Number(subject.id), whatsappUserId: null };
+  }
+  const result = await db.query(
+    `INSERT INTO whatsapp_users (phone_number) VALUES ($1)
+     ON CONFLICT (phone_number) DO UPDATE SET phone_number = EXCLUDED.phone_number
+     RETURNING id`,
+    [subject.id]
+  );
+  return { userId: null, whatsappUserId: result.rows[0].id };
+}
+
+/**
+ * Set the plan of a subscription's account from all of its subscriptions:
+ * the highest plan among the active ones, free if none is
+ */
+async function applyPlan(db, subscription) {
+  const active = await db.query(
+    'SELECT plan FROM subscriptions WHERE (user_id = $1 OR whatsapp_user_id = $2) AND status = ANY($3)',
+    [subscription.user_id, subscription.whatsapp_user_id, ACTIVE_STATUSES]
+  );
+  const plan = highestPlan(active.rows.map(row => row.plan));
+
+  if (subscription.user_id) {
+    await db.query('UPDATE users SET plan = $1 WHERE id = $2', [plan, subscription.user_id]);
+  } else if (subscription.whatsapp_user_id) {
+    await db.query('UPDATE whatsapp_users SET plan = $1 WHERE id = $2', [plan, subscription.whatsapp_user_id]);
+  }
+  console.log(`💎 Subscription ${subscription.provider_subscription_id} ${subscription.status}: plan is now ${plan}`);
+}
+
+/**
+ * The highest plan a subject's active subscriptions give it, or null if it
+ * has none
+ */
+async function getActivePlan(subject) {
+  const result = await pool.query(
+    `SELECT s.plan FROM subscriptions s LEFT JOIN whatsapp_users w ON w.id = s.whatsapp_user_id
+     WHERE (s.user_id = $1 OR w.phone_number = $2) AND s.status = ANY($3)`,
+    [subject.type === 'user' ? Number(subject.id) : null, subject.type === 'whatsapp' ? subject.id : null, ACTIVE_STATUSES]
+  );
+  return result.rows.length > 0 ? highestPlan(result.rows.map(row => row.plan)) : null;
+}
+
+/**
+ * Create or update a subscription and apply it to the account. Fields left
+ * undefined keep their stored value; a new subscription needs subject and
+ * plan. Canceled is final: later events (a late invoice.paid) don't
+ * reactivate the subscription.
+ */
+async function saveSubscription(db, provider, { subscriptionId, customerId, subject, plan, status, currentPeriodEnd, cancelAtPeriodEnd }) {
+  const existing = await db.query(
+    'SELECT * FROM subscriptions WHERE provider = $1 AND provider_subscription_id = $2',
+    [provider, subscriptionId]
+  );
+
+  let row;
+  if (existing.rows.length > 0) {
+    const current = existing.rows[0];
+    const result = await db.query(
+      `UPDATE subscriptions SET
+         provider_customer_id = COALESCE($2, provider_customer_id),
+         plan = COALESCE($3, plan),
+         status = CASE WHEN status = 'canceled' THEN status ELSE COALESCE($4, status) END,
+         current_period_end = COALESCE($5, current_period_end),
+         cancel_at_period_end = COALESCE($6, cancel_at_period_end),
+         updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [current.id, customerId || null, isPaidPlan(plan) ? plan : null, status || null,
+        currentPeriodEnd ? new Date(currentPeriodEnd * 1000) : null, cancelAtPeriodEnd ?? null]
+    );
+    row = result.rows[0];
+  } else {
+    if (!subject || !isPaidPlan(plan)) {
+      console.warn(`⚠ Ignoring subscription ${subscriptionId}: no account or plan in its metadata`);
+      return null;
+    }
+    const { userId, whatsappUserId } = await resolveAccount(db, subject);
+    const result = await db.query(
+      `INSERT INTO subscriptions (provider, provider_subscription_id, provider_customer_id, user_id, whatsapp_user_id,
+         plan, status, current_period_end, cancel_at_period_end)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [provider, subscriptionId, customerId || null, userId, whatsappUserId, plan, status || 'active',
+        currentPeriodEnd ? new Date(currentPeriodEnd * 1000) : null, cancelAtPeriodEnd ?? false]
+    );
+    row = result.rows[0];
+  }
+
+  await applyPlan(db, row);
+  return row;
+}
+
+/**
+ * Cancel the account's older subscriptions once a newer one is active. An
+ * upgrade (premium to team) checks out a new subscription, and without this
+ * the customer would keep paying for the old one too.
+ */
+async function cancelSupersededSubscriptions(provider, subscription) {
+  if (!['active', 'trialing'].includes(subscription.status)) return;
+
+  const older = await pool.query(
+    `SELECT provider_subscription_id, plan FROM subscriptions
+     WHERE (user_id = $1 OR whatsapp_user_id = $2) AND provider = $3 AND id < $4 AND status = ANY($5)`,
+    [subscription.user_id, subscription.whatsapp_user_id, provider.name, subscription.id, ACTIVE_STATUSES]
+  );
+  for (const row of older.rows) {
+    try {
+      await provider.cancelSubscription(row.provider_subscription_id);
+      console.log(`↪ Cancelled ${row.plan} subscription ${row.provider_subscription_id}, replaced by ${subscription.provider_subscription_id} (${subscription.plan})`);
+    } catch (error) {
+      console.error(`Failed to cancel replaced subscription ${row.provider_subscription_id}:`, error.response?.data || error.message);
+    }
+  }
+}
+
+// Newer Stripe API versions moved these fields; accept both shapes
+function subscriptionPeriodEnd(subscription) {
+  return subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end ?? null;
+}
+
+function invoiceSubscriptionId(invoice) {
+  return invoice.subscription ?? invoice.parent?.subscription_details?.subscription ?? null;
+}
+
+/**
+ * Apply a verified webhook event. The event is recorded in billing_events
+ * in the same transaction as its changes, so each one is applied exactly
+ * once even when the provider retries or delivers it twice at the same
+ * time. Once committed, a subscription the event activated replaces the
+ * account's older ones. Returns false for event types we ignore.
+ */
+async function handleBillingEvent(provider, event) {
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    const claimed = await client.query(
+      'INSERT INTO billing_events (id, type) VALUES ($1, $2) ON CONFLICT (id) DO NOTHING RETURNING id',
+      [event.id, event.type]
+    );
+    if (claimed.rows.length === 0) {
+      await client.query('ROLLBACK');
+      console.log(`↩ Billing event ${event.id} already handled`);
+      return true;
+    }
+
+    result = await applyBillingEvent(client, provider.name, event);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (result.subscription) {
+    await cancelSupersededSubscriptions(provider, result.subscription);
+  }
+  return result.handled;
+}
+
+/**
+ * Returns { handled, subscription } with the subscription row the event
+ * saved, if any
+ */
+async function applyBillingEvent(db, provider, event) {
+  const object = event.data?.object || {};
+  let handled = true;
+  let subscription = null;
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      if (object.mode !== 'subscription' || !object.subscription) {
+        handled = false;
+        break;
+      }
+      subscription = await saveSubscription(db, provider, {
+        subscriptionId: object.subscription,
+        customerId: object.customer,
+        subject: parseSubjectKey(object.client_reference_id || object.metadata?.subject),
+        plan: object.metadata?.plan,
+        status: 'active'
+      });
+      break;
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      subscription = await saveSubscription(db, provider, {
+        subscriptionId: object.id,
+        customerId: object.customer,
+        subject: parseSubjectKey(object.metadata?.subject),
+        plan: object.metadata?.plan || planForPrice(object.items?.data?.[0]?.price?.id),
+        status: event.type === 'customer.subscription.deleted' ? 'canceled' : object.status,
+        currentPeriodEnd: subscriptionPeriodEnd(object),
+        cancelAtPeriodEnd: object.cancel_at_period_end
+      });
+      break;
+
+    // Renewal: the next period is paid for
+    case 'invoice.paid':
+      if (!invoiceSubscriptionId(object)) {
+        handled = false;
+        break;
+      }
+      subscription = await saveSubscription(db, provider, {
+        subscriptionId: invoiceSubscriptionId(object),
+        customerId: object.customer,
+        status: 'active',
+        currentPeriodEnd: object.lines?.data?.[0]?.period?.end
+      });
+      break;
+
+    case 'invoice.payment_failed':
+      if (!invoiceSubscriptionId(object)) {
+        handled = false;
+        break;
+      }
+      subscription = await saveSubscription(db, provider, { subscriptionId: invoiceSubscriptionId(object), status: 'past_due' });
+      break;
+
+    default:
+      handled = false;
+  }
+
+  return { handled, subscription };
+}
+
+/**
+ * The account's most recent subscription, or null
+ */
+async function getSubscription({ userId }) {
+  const result = await pool.query(
+    `SELECT provider, plan, status, current_period_end, cancel_at_period_end, created_at
+     FROM subscriptions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1`,
+    [userId]
+  );
+  const row = result.rows[0];
+  return row ? {
+    provider: row.provider,
+    plan: row.plan,
+    status: row.status,
+    currentPeriodEnd: row.current_period_end,
+    cancelAtPeriodEnd: row.cancel_at_period_end,
+    createdAt: row.created_at
+  } : null;
+}
+
+module.exports = {
+  PAID_PLANS: Object.keys(PLAN_PRICE_ENV).filter(plan => PLANS[plan]),
+  WebhookSignatureError,
+  isPaidPlan,
+  signPayload,
+  verifyWebhook,
+  createBillingProvider,
+  handleBillingEvent,
+  getActivePlan,
+  getSubscription
+};
@@ -0,0 +1,133 @@
+/**
+ * FlashJobs 2.0 - CV Refiner
+ * Applies a free-text instruction from the refinement chat ("emphasise my
+ * stakeholder work", "cut this to one page") as a constrained edit of a
+ * tailored CV, with the same never-invent rules as the tailoring step.
+ */
+
+const { completeStructured } = require('./structuredOutput');
+const { verifyCVContent } = require('./factVerifier');
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Earlier turns give the model context for follow-ups like "undo that"
+const HISTORY_TURNS = 10;
+
+// Facts the chat can never change, whatever the instruction says
+const FIXED_FIELDS = ['name', 'contact', 'nationality', 'visaStatus', 'dateOfBirth', 'education', 'languages'];
+
+/**
+ * Check a chat message before any LLM call. Returns an error message, or
+ * null when the message is valid.
+ */
+function validateRefinementMessage(message) {
+  if (typeof message !== 'string' || !message.trim()) {
+    return 'message is required';
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return `message must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Apply one chat instruction to the CV. `history` is the earlier conversation
+ * as [{ role: 'user'|'assistant', content }].
+ * Returns { reply, cvContent, changed, verification }.
+ */
+async function refineCV(llm, { cvContent, extractedData, jobRequirements, locale, history = [], message, onProgress = () => {} }) {
+  const error = validateRefinementMessage(message);
+  if (error) {
+    throw new Error(error);
+  }
+
+  onProgress('→ Applying your request using only your verified information...');
+
+  const response = await completeStructured(llm, {
+    step: 'refinement',
+    maxTokens: 4000,
+    messages: [
+      ...history.slice(-HISTORY_TURNS).map(turn => ({ role: turn.role, content: turn.content })),
+      {
+        role: 'user',
+        content: `Edit this candidate's tailored CV as requested. You MUST use ONLY the verified data provided below. DO NOT invent any information.
+
+## VERIFIED CANDIDATE DATA (USE ONLY THIS):
+${JSON.stringify(extractedData, null, 2)}
+
+## TARGET JOB REQUIREMENTS:
+${JSON.stringify(jobRequirements || {}, null, 2)}
+
+## TARGET MARKET:
+${locale?.countryName || 'International'}${locale?.conventions ? ` (${locale.conventions.label} CV conventions)` : ''}
+
+## CURRENT CV:
+${JSON.stringify(cvContent, null, 2)}
+
+## CANDIDATE'S REQUEST:
+"${message.trim()}"
+
+## YOUR TASK:
+1. Change ONLY what the request asks for and keep everything else as it is
+2. You CAN rephrase, reorder, shorten or remove content (e.g. to fit one page)
+3. If the request needs facts that are not in the verified data, do not add them - say so in your reply instead
+
+## STRICT RULES:
+- Keep the EXACT name, contact details, education and languages
+- Keep the EXACT company names, job titles, and dates
+- DO NOT invent skills, certifications, or experience
+- Numbers and metrics must be EXACTLY as stated in verified data
+
+## OUTPUT FORMAT:
+Return a JSON object:
+{
+  "reply": "One or two sentences telling the candidate what you changed (or why you couldn't)",
+  "cvContent": { the complete CV in the same structure as CURRENT CV }
+}`
+      }
+    ],
+    system: `You are a professional CV writer helping a candidate refine their tailored CV through chat. Your ONLY job is to edit the CV as asked, using the candidate's EXISTING experience.
+
+ABSOLUTE RULES:
+1. NEVER invent information - use only what's in the verified data
+2. NEVER add skills the candidate doesn't have
+3. NEVER change names, companies, dates, or education institutions
+4. NEVER add languages the candidate doesn't speak
+5. You CAN rephrase achievements to highlight relevance
+6. You CAN reorder or trim content to emphasize strengths
+7. Politely decline requests that would need invented facts`
+  });
+
+  const { reply } = response.data;
+  const edited = response.data.cvContent;
+  for (const field of FIXED_FIELDS) {
+    if (cvContent[field] === undefined) delete edited[field];
+    else edited[field] = cvContent[field];
+  }
+
+  onProgress('→ Fact-checking the edited CV against your original documents...');
+  const verification = verifyCVContent(edited, extractedData, '');
+
+  return {
+    reply,
+    cvContent: verification.cvContent,
+    changed: canonicalJSON(verification.cvContent) !== canonicalJSON(cvContent),
+    verification: verification.report
+  };
+}
+
+// Key order differs between model output and stored content, so compare
+// with sorted keys
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  refineCV,
+  validateRefinementMessage
+};
@@ -14,62 +14,58 @@ const {
   BorderStyle,
   LevelFormat
 } = require('docx');
+const { resolveLocale, getPersonalDetails, formatDateRange } = require('./regions');
+const { resolveTheme } = require('./templates');
+const { groupQuestions } = require('./interviewPrep');
 
 // ============================================================================
 // CV FORMATTING STANDARDS (from Master Reference)
 // ============================================================================
 
-const STYLES = {
-  fonts: {
-    primary: 'Georgia'
-  },
-  sizes: {
-    name: 28,        // 14pt
-    heading: 24,     // 12pt
-    body: 22,        // 11pt
-    small: 20        // 10pt
-  },
-  spacing: {
-    section: 240,
-    paragraph: 120,
-    line: 360        // 1.5x line spacing
-  }
+// Fonts, sizes, spacing, colours, margins and section order come from the
+// selected template (see templates.js)
+
+// Page sizes in twips
+const PAGE_SIZES = {
+  A4: { width: 11906, height: 16838 },
+  LETTER: { width: 12240, height: 15840 }
 };
 
 // ============================================================================
 // CV GENERATOR
 // ============================================================================
 
-async function generateCV(cvContent, profile, region) {
+/**
+ * Generate a CV .docx. `locale` is a detected locale from regions.js (or a
+ * bare region code) whose conventions drive paper size, date format,
+ * personal details and section naming. `options.template` picks the
+ * template and `options.theme` overrides parts of it.
+ */
+async function generateCV(cvContent, profile, locale, options = {}) {
+  const { conventions } = resolveLocale(locale);
+  const theme = resolveTheme(options.template, options.theme);
   const {
     name = 'Candidate Name',
     contact = {},
-    nationality = null,
-    visaStatus = null,
-    headline = '',
-    summary = '',
-    coreCompetencies = [],
-    experience = [],
-    education = [],
-    certifications = [],
-    languages = []
+    headline = ''
   } = cvContent;
 
+  const alignment = theme.layout.headerAlignment === 'left' ? AlignmentType.LEFT : AlignmentType.CENTER;
   const children = [];
 
   // -------------------------------------------------------------------------
-  // HEADER - Name centered, 14pt bold
+  // HEADER - Name, bold, in the template's accent colour
   // -------------------------------------------------------------------------
   children.push(
     new Paragraph({
-      alignment: AlignmentType.CENTER,
+      alignment,
       spacing: { after: 60 },
       children: [
-        new TextRun({
-          text: name.toUpperCase(),
+        textRun(theme, name.toUpperCase(), {
           bold: true,
-          size: STYLES.sizes.name,
-          font: STYLES.fonts.primary
+          size: theme.sizes.name,
+          font: theme.fonts.heading,
+          color: theme.accentColor
         })
       ]
     })
@@ -77,59 +73,53 @@ async function generateCV(cvContent, profile, region) {
 
   // Contact line - ALL on ONE line
   const contactParts = [];
-  
+  const separator = () => textRun(theme, ' • ');
+
   if (contact.location) {
-    contactParts.push(new TextRun({ text: contact.location, size: STYLES.sizes.body, font: STYLES.fonts.primary }));
+    contactParts.push(textRun(theme, contact.location));
   }
   if (contact.email) {
-    if (contactParts.length > 0) contactParts.push(new TextRun({ text: ' • ', size: STYLES.sizes.body, font: STYLES.fonts.primary }));
-    contactParts.push(new TextRun({ text: contact.email, underline: { type: UnderlineType.SINGLE }, size: STYLES.sizes.body, font: STYLES.fonts.primary }));
+    if (contactParts.length > 0) contactParts.push(separator());
+    contactParts.push(textRun(theme, contact.email, { underline: { type: UnderlineType.SINGLE } }));
   }
   if (contact.phone) {
-    if (contactParts.length > 0) contactParts.push(new TextRun({ text: ' • ', size: STYLES.sizes.body, font: STYLES.fonts.primary }));
-    contactParts.push(new TextRun({ text: contact.phone, size: STYLES.sizes.body, font: STYLES.fonts.primary }));
+    if (contactParts.length > 0) contactParts.push(separator());
+    contactParts.push(textRun(theme, contact.phone));
   }
   if (contact.linkedin) {
-    if (contactParts.length > 0) contactParts.push(new TextRun({ text: ' • ', size: STYLES.sizes.body, font: STYLES.fonts.primary }));
-    contactParts.push(new TextRun({ text: contact.linkedin, underline: { type: UnderlineType.SINGLE }, size: STYLES.sizes.body, font: STYLES.fonts.primary }));
+    if (contactParts.length > 0) contactParts.push(separator());
+    contactParts.push(textRun(theme, contact.linkedin, { underline: { type: UnderlineType.SINGLE } }));
   }
-  
-  // EU Compliance: Add nationality and visa status ONLY if they exist in user's data
-  if (region === 'EU' || nationality || visaStatus) {
-    if (nationality) {
-      if (contactParts.length > 0) contactParts.push(new TextRun({ text: ' • ', size: STYLES.sizes.body, font: STYLES.fonts.primary }));
-      contactParts.push(new TextRun({ text: nationality, size: STYLES.sizes.body, font: STYLES.fonts.primary }));
-    }
-    if (visaStatus) {
-      if (contactParts.length > 0) contactParts.push(new TextRun({ text: ' • ', size: STYLES.sizes.body, font: STYLES.fonts.primary }));
-      contactParts.push(new TextRun({ text: `Visa Status: ${visaStatus}`, size: STYLES.sizes.body, font: STYLES.fonts.primary }));
-    }
+
+  // Personal details follow the target country's conventions
+  for (const detail of getPersonalDetails(cvContent, conventions)) {
+    if (contactParts.length > 0) contactParts.push(separator());
+    contactParts.push(textRun(theme, detail));
   }
 
   if (contactParts.length > 0) {
     children.push(
       new Paragraph({
-        alignment: AlignmentType.CENTER,
-        spacing: { after: STYLES.spacing.paragraph },
+        alignment,
+        spacing: { after: theme.spacing.paragraph },
         children: contactParts
       })
     );
   }
 
   // -------------------------------------------------------------------------
-  // HEADLINE - Centered, bold
+  // HEADLINE - bold, under the contact line
   // -------------------------------------------------------------------------
   if (headline) {
     children.push(
       new Paragraph({
-        alignment: AlignmentType.CENTER,
-        spacing: { after: STYLES.spacing.section },
+        alignment,
+        spacing: { after: theme.spacing.section },
         children: [
-          new TextRun({
-            text: headline.toUpperCase(),
+          textRun(theme, headline.toUpperCase(), {
             bold: true,
-            size: STYLES.sizes.heading,
-            font: STYLES.fonts.primary
+            size: theme.sizes.heading,
+            font: theme.fonts.heading
           })
         ]
       })
@@ -137,98 +127,94 @@ async function generateCV(cvContent, profile, region) {
   }
 
   // -------------------------------------------------------------------------
-  // SUMMARY
+  // SECTIONS - in the template's order
   // -------------------------------------------------------------------------
-  if (summary) {
-    
-    children.push(createSectionHeading('PROFESSIONAL SUMMARY'));
-    children.push(
-      new Paragraph({
-        spacing: { after: STYLES.spacing.section, line: STYLES.spacing.line },
-        children: [
-          new TextRun({
-            text: summary,
-            size: STYLES.sizes.body,
-            font: STYLES.fonts.primary
-          })
-        ]
-      })
-    );
+  for (const section of theme.sectionOrder) {
+    const paragraphs = SECTION_RENDERERS[section](cvContent, theme, conventions);
+    if (paragraphs.length > 0) {
+      children.push(createSectionHeading(conventions.sectionTitles[section], theme), ...paragraphs);
+    }
   }
 
   // -------------------------------------------------------------------------
-  // CORE COMPETENCIES
+  // CREATE DOCUMENT
   // -------------------------------------------------------------------------
-  if (coreCompetencies.length > 0) {
-    
-    children.push(createSectionHeading('CORE COMPETENCIES'));
+  return await packDocument(children, theme, conventions);
+}
 
-    for (const category of coreCompetencies) {
-      children.push(
+// ============================================================================
+// CV SECTIONS
+// ============================================================================
+// Each renderer returns the section's paragraphs (without heading), or an
+// empty array when the CV has nothing for that section.
+
+const SECTION_RENDERERS = {
+  summary({ summary = '' }, theme) {
+    if (!summary) return [];
+    return [
+      new Paragraph({
+        spacing: { after: theme.spacing.section, line: theme.spacing.line },
+        children: [textRun(theme, summary)]
+      })
+    ];
+  },
+
+  competencies({ coreCompetencies = [] }, theme) {
+    if (coreCompetencies.length === 0) return [];
+
+    // Compact layouts run all categories together in one paragraph
+    if (theme.layout.competenciesInline) {
+      const runs = [];
+      coreCompetencies.forEach((category, i) => {
+        if (i > 0) runs.push(textRun(theme, '  |  '));
+        runs.push(
+          textRun(theme, `${category.category}: `, { bold: true }),
+          textRun(theme, category.skills.join(', '))
+        );
+      });
+      return [
         new Paragraph({
-          spacing: { after: 80, line: STYLES.spacing.line },
-          children: [
-            new TextRun({
-              text: `${category.category}: `,
-              bold: true,
-              size: STYLES.sizes.body,
-              font: STYLES.fonts.primary
-            }),
-            new TextRun({
-              text: category.skills.join(', '),
-              size: STYLES.sizes.body,
-              font: STYLES.fonts.primary
-            })
-          ]
+          spacing: { after: theme.spacing.paragraph, line: theme.spacing.line },
+          children: runs
         })
-      );
+      ];
     }
-  }
 
-  // -------------------------------------------------------------------------
-  // PROFESSIONAL EXPERIENCE
-  // -------------------------------------------------------------------------
-  if (experience.length > 0) {
-    
-    children.push(createSectionHeading('PROFESSIONAL EXPERIENCE'));
+    return coreCompetencies.map(category =>
+      new Paragraph({
+        spacing: { after: theme.spacing.item, line: theme.spacing.line },
+        children: [
+          textRun(theme, `${category.category}: `, { bold: true }),
+          textRun(theme, category.skills.join(', '))
+        ]
+      })
+    );
+  },
+
+  experience({ experience = [] }, theme, conventions) {
+    const paragraphs = [];
 
     for (const job of experience) {
       // Job title and company
-      children.push(
+      paragraphs.push(
         new Paragraph({
           spacing: { after: 60 },
           children: [
-            new TextRun({
-              text: job.title,
-              bold: true,
-              size: STYLES.sizes.body,
-              font: STYLES.fonts.primary
-            }),
-            new TextRun({
-              text: ' | ',
-              size: STYLES.sizes.body,
-              font: STYLES.fonts.primary
-            }),
-            new TextRun({
-              text: job.company,
-              bold: true,
-              size: STYLES.sizes.body,
-              font: STYLES.fonts.primary
-            })
+            textRun(theme, job.title, { bold: true }),
+            textRun(theme, ' | '),
+            textRun(theme, job.company, { bold: true })
           ]
         })
       );
 
       // Location and dates
-      children.push(
+      paragraphs.push(
         new Paragraph({
           spacing: { after: 60 },
           children: [
-            new TextRun({
-              text: `${job.location || ''} | ${job.dates || ''}`,
+            textRun(theme, `${job.location || ''} | ${formatDateRange(job.dates, conventions.dateFormat) || ''}`, {
               italics: true,
-              size: STYLES.sizes.small,
-              font: STYLES.fonts.primary
+              size: theme.sizes.small
             })
           ]
         })
@@ -236,147 +222,74 @@ async function generateCV(cvContent, profile, region) {
 
       // Company description
       if (job.description) {
-        children.push(
+        paragraphs.push(
           new Paragraph({
-            spacing: { after: 80 },
-            children: [
-              new TextRun({
-                text: job.description,
-                italics: true,
-                size: STYLES.sizes.small,
-                font: STYLES.fonts.primary
-              })
-            ]
+            spacing: { after: theme.spacing.item },
+            children: [textRun(theme, job.description, { italics: true, size: theme.sizes.small })]
           })
         );
       }
 
       // Achievements as bullet points
       for (const achievement of job.achievements || []) {
-        children.push(
+        paragraphs.push(
           new Paragraph({
-            spacing: { after: 80, line: STYLES.spacing.line },
-            children: [
-              new TextRun({
-                text: '• ',
-                size: STYLES.sizes.body,
-                font: STYLES.fonts.primary
-              }),
-              ...formatAchievement(achievement)
-            ]
+            spacing: { after: theme.spacing.item, line: theme.spacing.line },
+            children: [textRun(theme, '• '), ...formatAchievement(achievement, theme)]
           })
         );
       }
 
       // Space after each job
-      children.push(new Paragraph({ spacing: { after: STYLES.spacing.paragraph } }));
+      paragraphs.push(new Paragraph({ spacing: { after: theme.spacing.paragraph } }));
     }
-  }
-
-  // -------------------------------------------------------------------------
-  // EDUCATION
-  // -------------------------------------------------------------------------
-  if (education.length > 0) {
-    
-    children.push(createSectionHeading('EDUCATION'));
 
-    for (const edu of education) {
-      children.push(
-        new Paragraph({
-          spacing: { after: 80, line: STYLES.spacing.line },
-          children: [
-            new TextRun({
-              text: `${edu.degree} | ${edu.institution} | ${edu.year}`,
-              size: STYLES.sizes.body,
-              font: STYLES.fonts.primary
-            })
-          ]
-        })
-      );
-    }
-  }
+    return paragraphs;
+  },
 
-  // -------------------------------------------------------------------------
-  // CERTIFICATIONS
-  // -------------------------------------------------------------------------
-  if (certifications.length > 0) {
-    
-    children.push(createSectionHeading('CERTIFICATIONS'));
-    
-    children.push(
+  education({ education = [] }, theme) {
+    return education.map(edu =>
       new Paragraph({
-        spacing: { after: STYLES.spacing.paragraph, line: STYLES.spacing.line },
-        children: [
-          new TextRun({
-            text: certifications.join(' • '),
-            size: STYLES.sizes.body,
-            font: STYLES.fonts.primary
-          })
-        ]
+        spacing: { after: theme.spacing.item, line: theme.spacing.line },
+        children: [textRun(theme, `${edu.degree} | ${edu.institution} | ${edu.year}`)]
       })
     );
-  }
+  },
 
-  // -------------------------------------------------------------------------
-  // LANGUAGES
-  // -------------------------------------------------------------------------
-  // Filter out any languages with undefined/null values
-  const validLanguages = (languages || []).filter(l => 
-    l && l.language && l.language !== 'undefined' && l.level && l.level !== 'undefined'
-  );
-  
-  if (validLanguages.length > 0) {
-    
-    children.push(createSectionHeading('LANGUAGES'));
+  certifications({ certifications = [] }, theme) {
+    if (certifications.length === 0) return [];
+    return [
+      new Paragraph({
+        spacing: { after: theme.spacing.paragraph, line: theme.spacing.line },
+        children: [textRun(theme, certifications.join(' • '))]
+      })
+    ];
+  },
+
+  languages({ languages = [] }, theme) {
+    // Filter out any languages with undefined/null values
+    const validLanguages = (languages || []).filter(l =>
+      l && l.language && l.language !== 'undefined' && l.level && l.level !== 'undefined'
+    );
+    if (validLanguages.length === 0) return [];
 
     const langText = validLanguages.map(l => `${l.language} (${l.level})`).join(', ');
-    children.push(
+    return [
       new Paragraph({
-        spacing: { after: STYLES.spacing.paragraph, line: STYLES.spacing.line },
-        children: [
-          new TextRun({
-            text: langText,
-            size: STYLES.sizes.body,
-            font: STYLES.fonts.primary
-          })
-        ]
+        spacing: { after: theme.spacing.paragraph, line: theme.spacing.line },
+        children: [textRun(theme, langText)]
       })
-    );
+    ];
   }
-
-  // -------------------------------------------------------------------------
-  // CREATE DOCUMENT
-  // -------------------------------------------------------------------------
-  const doc = new Document({
-    styles: {
-      default: {
-        document: {
-          run: {
-            font: STYLES.fonts.primary,
-            size: STYLES.sizes.body
-          }
-        }
-      }
-    },
-    sections: [{
-      properties: {
-        page: {
-          size: { width: 12240, height: 15840 }, // US Letter
-          margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 } // 1 inch margins
-        }
-      },
-      children
-    }]
-  });
-
-  return await Packer.toBuffer(doc);
-}
+};
 
 // ============================================================================
 // COVER LETTER GENERATOR
 // ============================================================================
 
-async function generateCoverLetter(letterContent, profile, jobData, region) {
+async function generateCoverLetter(letterContent, profile, jobData, locale, options = {}) {
+  const { conventions } = resolveLocale(locale);
+  const theme = resolveTheme(options.template, options.theme);
   const {
     opening = '',
     body = [],
@@ -386,11 +299,12 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
     jobTitle = 'Position'
   } = letterContent;
 
+  const alignment = theme.layout.headerAlignment === 'left' ? AlignmentType.LEFT : AlignmentType.CENTER;
   const children = [];
-  const today = new Date().toLocaleDateString('en-US', { 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
+  const today = new Date().toLocaleDateString(conventions.letterDateLocale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
   });
 
   // -------------------------------------------------------------------------
@@ -398,14 +312,14 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
   // -------------------------------------------------------------------------
   children.push(
     new Paragraph({
-      alignment: AlignmentType.CENTER,
+      alignment,
       spacing: { after: 60 },
       children: [
-        new TextRun({
-          text: (profile?.name || 'CANDIDATE NAME').toUpperCase(),
+        textRun(theme, (profile?.name || 'CANDIDATE NAME').toUpperCase(), {
           bold: true,
-          size: 24, // 12pt
-          font: STYLES.fonts.primary
+          size: theme.sizes.heading,
+          font: theme.fonts.heading,
+          color: theme.accentColor
         })
       ]
     })
@@ -414,7 +328,7 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
   // Contact line
   const contactParts = [];
   const contact = profile?.contact || {};
-  
+
   if (contact.location) contactParts.push(contact.location);
   if (contact.email) contactParts.push(contact.email);
   if (contact.phone) contactParts.push(contact.phone);
@@ -423,15 +337,10 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
   if (contactParts.length > 0) {
     children.push(
       new Paragraph({
-        alignment: AlignmentType.CENTER,
-        spacing: { after: STYLES.spacing.section },
-        children: [
-          new TextRun({
-            text: contactParts.join(' • '),
-            size: STYLES.sizes.body,
-            font: STYLES.fonts.primary
-          })
-        ]
+        alignment,
+        spacing: { after: theme.spacing.section },
+        border: theme.layout.headingRule ? accentRule(theme) : undefined,
+        children: [textRun(theme, contactParts.join(' • '))]
       })
     );
   }
@@ -441,14 +350,8 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
   // -------------------------------------------------------------------------
   children.push(
     new Paragraph({
-      spacing: { after: STYLES.spacing.section },
-      children: [
-        new TextRun({
-          text: today,
-          size: STYLES.sizes.body,
-          font: STYLES.fonts.primary
-        })
-      ]
+      spacing: { after: theme.spacing.section },
+      children: [textRun(theme, today)]
     })
   );
 
@@ -458,39 +361,21 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
   children.push(
     new Paragraph({
       spacing: { after: 60 },
-      children: [
-        new TextRun({
-          text: recipientName,
-          size: STYLES.sizes.body,
-          font: STYLES.fonts.primary
-        })
-      ]
+      children: [textRun(theme, recipientName)]
     })
   );
 
   children.push(
     new Paragraph({
       spacing: { after: 60 },
-      children: [
-        new TextRun({
-          text: companyName,
-          size: STYLES.sizes.body,
-          font: STYLES.fonts.primary
-        })
-      ]
+      children: [textRun(theme, companyName)]
     })
   );
 
   children.push(
     new Paragraph({
-      spacing: { after: STYLES.spacing.section },
-      children: [
-        new TextRun({
-          text: jobData?.location || '',
-          size: STYLES.sizes.body,
-          font: STYLES.fonts.primary
-        })
-      ]
+      spacing: { after: theme.spacing.section },
+      children: [textRun(theme, jobData?.location || '')]
     })
   );
 
@@ -499,33 +384,21 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
   // -------------------------------------------------------------------------
   children.push(
     new Paragraph({
-      spacing: { after: STYLES.spacing.paragraph },
-      children: [
-        new TextRun({
-          text: `Dear ${recipientName},`,
-          size: STYLES.sizes.body,
-          font: STYLES.fonts.primary
-        })
-      ]
+      spacing: { after: theme.spacing.paragraph },
+      children: [textRun(theme, `Dear ${recipientName},`)]
     })
   );
 
   // -------------------------------------------------------------------------
   // BODY
   // -------------------------------------------------------------------------
-  
+
   // Opening paragraph
   if (opening) {
     children.push(
       new Paragraph({
-        spacing: { after: STYLES.spacing.paragraph, line: STYLES.spacing.line },
-        children: [
-          new TextRun({
-            text: opening,
-            size: STYLES.sizes.body,
-            font: STYLES.fonts.primary
-          })
-        ]
+        spacing: { after: theme.spacing.paragraph, line: theme.spacing.line },
+        children: [textRun(theme, opening)]
       })
     );
   }
@@ -534,14 +407,8 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
   for (const paragraph of body) {
     children.push(
       new Paragraph({
-        spacing: { after: STYLES.spacing.paragraph, line: STYLES.spacing.line },
-        children: [
-          new TextRun({
-            text: paragraph,
-            size: STYLES.sizes.body,
-            font: STYLES.fonts.primary
-          })
-        ]
+        spacing: { after: theme.spacing.paragraph, line: theme.spacing.line },
+        children: [textRun(theme, paragraph)]
       })
     );
   }
@@ -550,14 +417,8 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
   if (closing) {
     children.push(
       new Paragraph({
-        spacing: { after: STYLES.spacing.section, line: STYLES.spacing.line },
-        children: [
-          new TextRun({
-            text: closing,
-            size: STYLES.sizes.body,
-            font: STYLES.fonts.primary
-          })
-        ]
+        spacing: { after: theme.spacing.section, line: theme.spacing.line },
+        children: [textRun(theme, closing)]
       })
     );
   }
@@ -568,75 +429,177 @@ async function generateCoverLetter(letterContent, profile, jobData, region) {
   children.push(
     new Paragraph({
       spacing: { after: 60 },
-      children: [
-        new TextRun({
-          text: 'Best regards,',
-          size: STYLES.sizes.body,
-          font: STYLES.fonts.primary
-        })
-      ]
+      children: [textRun(theme, 'Best regards,')]
     })
   );
 
   children.push(
     new Paragraph({
+      children: [textRun(theme, profile?.name || 'Candidate Name')]
+    })
+  );
+
+  // -------------------------------------------------------------------------
+  // CREATE DOCUMENT
+  // -------------------------------------------------------------------------
+  return await packDocument(children, theme, conventions);
+}
+
+// ============================================================================
+// INTERVIEW PREP GENERATOR
+// ============================================================================
+
+/**
+ * Generate the interview prep pack .docx: questions by category, each with
+ * its STAR answer or coaching note, then questions to ask the interviewer.
+ * `profile` is the CV content, used for the candidate's name.
+ */
+async function generateInterviewPrep(prepContent, profile, jobData, locale, options = {}) {
+  const { conventions } = resolveLocale(locale);
+  const theme = resolveTheme(options.template, options.theme);
+  const {
+    questionsToAsk = [],
+    jobTitle = jobData?.title || 'Position',
+    companyName = jobData?.company || 'Company'
+  } = prepContent;
+
+  const alignment = theme.layout.headerAlignment === 'left' ? AlignmentType.LEFT : AlignmentType.CENTER;
+  const children = [];
+
+  // -------------------------------------------------------------------------
+  // HEADER
+  // -------------------------------------------------------------------------
+  children.push(
+    new Paragraph({
+      alignment,
+      spacing: { after: 60 },
       children: [
-        new TextRun({
-          text: profile?.name || 'Candidate Name',
-          size: STYLES.sizes.body,
-          font: STYLES.fonts.primary
+        textRun(theme, 'INTERVIEW PREPARATION', {
+          bold: true,
+          size: theme.sizes.name,
+          font: theme.fonts.heading,
+          color: theme.accentColor
         })
       ]
     })
   );
 
+  children.push(
+    new Paragraph({
+      alignment,
+      spacing: { after: theme.spacing.section },
+      border: theme.layout.headingRule ? accentRule(theme) : undefined,
+      children: [textRun(theme, [profile?.name, `${jobTitle} at ${companyName}`].filter(Boolean).join(' • '))]
+    })
+  );
+
   // -------------------------------------------------------------------------
-  // CREATE DOCUMENT
+  // QUESTIONS - by category, each with a STAR answer or a coaching note
   // -------------------------------------------------------------------------
-  const doc = new Document({
-    styles: {
-      default: {
-        document: {
-          run: {
-            font: STYLES.fonts.primary,
-            size: STYLES.sizes.body
-          }
-        }
+  for (const group of groupQuestions(prepContent)) {
+    children.push(createSectionHeading(group.title.toUpperCase(), theme));
+
+    for (const item of group.questions) {
+      children.push(
+        new Paragraph({
+          spacing: { after: 60 },
+          children: [textRun(theme, item.question, { bold: true })]
+        })
+      );
+
+      if (item.focus) {
+        children.push(
+          new Paragraph({
+            spacing: { after: theme.spacing.item },
+            children: [textRun(theme, item.focus, { italics: true, size: theme.sizes.small })]
+          })
+        );
       }
-    },
-    sections: [{
-      properties: {
-        page: {
-          size: { width: 12240, height: 15840 },
-          margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 }
+
+      if (item.answer) {
+        for (const [label, text] of starParts(item.answer)) {
+          children.push(
+            new Paragraph({
+              spacing: { after: theme.spacing.item, line: theme.spacing.line },
+              children: [textRun(theme, `${label}: `, { bold: true }), ...formatAchievement(text, theme)]
+            })
+          );
         }
-      },
-      children
-    }]
-  });
+      }
 
-  return await Packer.toBuffer(doc);
+      children.push(new Paragraph({ spacing: { after: theme.spacing.paragraph } }));
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // QUESTIONS TO ASK
+  // -------------------------------------------------------------------------
+  if (questionsToAsk.length > 0) {
+    children.push(createSectionHeading('QUESTIONS TO ASK', theme));
+    for (const question of questionsToAsk) {
+      children.push(
+        new Paragraph({
+          spacing: { after: theme.spacing.item, line: theme.spacing.line },
+          children: [textRun(theme, `• ${question}`)]
+        })
+      );
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // CREATE DOCUMENT
+  // -------------------------------------------------------------------------
+  return await packDocument(children, theme, conventions);
 }
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
-function createSectionHeading(text) {
+function starParts(answer) {
+  return [
+    ['Situation', answer.situation],
+    ['Task', answer.task],
+    ['Action', answer.action],
+    ['Result', answer.result]
+  ].filter(([, text]) => text);
+}
+
+/**
+ * Body-text run in the theme's font and size; `overrides` are passed
+ * through to TextRun (bold, italics, size, font, color...)
+ */
+function textRun(theme, text, overrides = {}) {
+  return new TextRun({
+    text,
+    size: theme.sizes.body,
+    font: theme.fonts.body,
+    ...overrides
+  });
+}
+
+function accentRule(theme) {
+  return {
+    bottom: { style: BorderStyle.SINGLE, size: 6, color: theme.accentColor, space: 1 }
+  };
+}
+
+function createSectionHeading(text, theme) {
   return new Paragraph({
-    spacing: { after: STYLES.spacing.paragraph },
+    spacing: { after: theme.spacing.paragraph },
+    border: theme.layout.headingRule ? accentRule(theme) : undefined,
     children: [
-      new TextRun({
-        text: text,
+      textRun(theme, text, {
         bold: true,
-        size: STYLES.sizes.heading,
-        font: STYLES.fonts.primary
+        size: theme.sizes.heading,
+        font: theme.fonts.heading,
+        color: theme.accentColor
       })
     ]
   });
 }
 
-function formatAchievement(text) {
+function formatAchievement(text, theme) {
   // Bold numbers and percentages in achievements
   const parts = [];
   const regex = /(\d+%?|\d+\+?)/g;
@@ -646,39 +609,49 @@ function formatAchievement(text) {
   while ((match = regex.exec(text)) !== null) {
     // Add text before the number
     if (match.index > lastIndex) {
-      parts.push(new TextRun({
-        text: text.slice(lastIndex, match.index),
-        size: STYLES.sizes.body,
-        font: STYLES.fonts.primary
-      }));
+      parts.push(textRun(theme, text.slice(lastIndex, match.index)));
     }
     // Add the number in bold
-    parts.push(new TextRun({
-      text: match[0],
-      bold: true,
-      size: STYLES.sizes.body,
-      font: STYLES.fonts.primary
-    }));
+    parts.push(textRun(theme, match[0], { bold: true }));
     lastIndex = regex.lastIndex;
   }
 
   // Add remaining text
   if (lastIndex < text.length) {
-    parts.push(new TextRun({
-      text: text.slice(lastIndex),
-      size: STYLES.sizes.body,
-      font: STYLES.fonts.primary
-    }));
+    parts.push(textRun(theme, text.slice(lastIndex)));
   }
 
-  return parts.length > 0 ? parts : [new TextRun({
-    text: text,
-    size: STYLES.sizes.body,
-    font: STYLES.fonts.primary
-  })];
+  return parts.length > 0 ? parts : [textRun(theme, text)];
+}
+
+async function packDocument(children, theme, conventions) {
+  const doc = new Document({
+    styles: {
+      default: {
+        document: {
+          run: {
+            font: theme.fonts.body,
+            size: theme.sizes.body
+          }
+        }
+      }
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: PAGE_SIZES[conventions.paper],
+          margin: theme.margins
+        }
+      },
+      children
+    }]
+  });
+
+  return await Packer.toBuffer(doc);
 }
 
 module.exports = {
   generateCV,
-  generateCoverLetter
+  generateCoverLetter,
+  generateInterviewPrep
 };
@@ -0,0 +1,270 @@
+/**
+ * FlashJobs 2.0 - Entitlements
+ * Plans and per-period quotas for every channel. A generation reserves one
+ * unit of each feature it produces (CV, cover letter, interview pack,
+ * elevator pitch) before it starts, and gives them back if it fails or is
+ * cancelled. Editing a generated CV with AI uses one CV edit per request.
+ *
+ * Quotas belong to a subject: a signed-in user, a WhatsApp number, or a
+ * guest (by IP address). Users and WhatsApp numbers carry a plan
+ * (users.plan, whatsapp_users.plan); guests always get the guest plan.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('./auth');
+
+// limit null = unlimited. period is 'day' or 'month' (calendar, UTC)
+const PLANS = {
+  guest: {
+    label: 'Guest',
+    period: 'day',
+    quotas: { cv: 1, coverLetter: 1, interviewPrep: 0, pitch: 1, edit: 5 }
+  },
+  free: {
+    label: 'Free',
+    period: 'month',
+    quotas: { cv: 2, coverLetter: 2, interviewPrep: 1, pitch: 3, edit: 20 }
+  },
+  premium: {
+    label: 'Premium',
+    period: 'month',
+    quotas: { cv: 50, coverLetter: 50, interviewPrep: 20, pitch: 50, edit: 500 }
+  },
+  team: {
+    label: 'Team',
+    period: 'month',
+    quotas: { cv: null, coverLetter: null, interviewPrep: null, pitch: null, edit: null }
+  }
+};
+
+const FEATURE_LABELS = {
+  cv: ['CV', 'CVs'],
+  coverLetter: ['cover letter', 'cover letters'],
+  interviewPrep: ['interview pack', 'interview packs'],
+  pitch: ['elevator pitch', 'elevator pitches'],
+  edit: ['CV edit', 'CV edits']
+};
+
+class QuotaExceededError extends Error {
+  constructor(feature, status) {
+    const { limit } = status.features[feature];
+    const [singular, plural] = FEATURE_LABELS[feature];
+    super(limit === 0
+      ? `${plural[0].toUpperCase()}${plural.slice(1)} aren't included in the ${status.planLabel} plan`
+      : `You've reached the ${status.planLabel} plan's limit of ${limit} ${limit === 1 ? singular : plural} a ${status.period}`);
+    this.name = 'QuotaExceededError';
+    this.feature = feature;
+    this.quota = status;
+  }
+}
+
+// ============================================================================
+// SUBJECTS AND PERIODS
+// ============================================================================
+
+// The WhatsApp bot proves its API calls are its own with this secret. The
+// bot runs in this process, so without BOT_API_SECRET each process makes up
+// its own; set it if the bot's calls can reach another instance.
+const BOT_SECRET = process.env.BOT_API_SECRET || crypto.randomBytes(32).toString('hex');
+const BOT_SECRET_HEADER = 'X-Bot-Secret';
+const WHATSAPP_NUMBER_HEADER = 'X-WhatsApp-Number';
+
+function isBotRequest(req) {
+  const given = Buffer.from(req.get(BOT_SECRET_HEADER) || '');
+  const expected = Buffer.from(BOT_SECRET);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Headers for the WhatsApp bot's API calls on behalf of a number
+ */
+function botRequestHeaders(phoneNumber) {
+  return { [BOT_SECRET_HEADER]: BOT_SECRET, [WHATSAPP_NUMBER_HEADER]: phoneNumber };
+}
+
+/**
+ * The WhatsApp number a request is made for, or null. The WhatsApp bot
+ * names it in a header, which only counts alongside the bot's secret. Being
+ * a header, it can be read before a multipart body is parsed.
+ */
+function requestWhatsAppNumber(req) {
+  return isBotRequest(req) && req.get(WHATSAPP_NUMBER_HEADER) ? req.get(WHATSAPP_NUMBER_HEADER) : null;
+}
+
+/**
+ * Whose quota a request uses: the signed-in user, the WhatsApp number the
+ * bot is acting for, or the guest's IP address
+ */
+function quotaSubject(req) {
+  if (req.userId) {
+    return { type: 'user', id: String(req.userId) };
+  }
+  const whatsappNumber = requestWhatsAppNumber(req);
+  if (whatsappNumber) {
+    return { type: 'whatsapp', id: whatsappNumber };
+  }
+  return { type: 'guest', id: req.ip || 'unknown' };
+}
+
+function subjectKey(subject) {
+  return `${subject.type}:${subject.id}`;
+}
+
+/**
+ * Inverse of subjectKey for accounts that can hold a plan (users and
+ * WhatsApp numbers); null for anything else
+ */
+function parseSubjectKey(key) {
+  const match = /^(user|whatsapp):(.+)$/.exec(key || '');
+  return match ? { type: match[1], id: match[2] } : null;
+}
+
+/**
+ * The features a generation with these options produces
+ */
+function generationFeatures(options = {}) {
+  return [
+    'cv',
+    options.generateCoverLetter !== false && 'coverLetter',
+    options.generateInterviewPrep && 'interviewPrep',
+    options.generatePitch && 'pitch'
+  ].filter(Boolean);
+}
+
+function periodBounds(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  if (period === 'day') {
+    const day = now.getUTCDate();
+    return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) };
+  }
+  return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+}
+
+async function getPlanId(subject) {
+  if (subject.type === 'guest') return 'guest';
+
+  const result = subject.type === 'user'
+    ? await pool.query('SELECT plan FROM users WHERE id = $1', [subject.id])
+    : await pool.query('SELECT plan FROM whatsapp_users WHERE phone_number = $1', [subject.id]);
+  const plan = result.rows[0]?.plan;
+  return PLANS[plan] ? plan : 'free';
+}
+
+// ============================================================================
+// QUOTAS
+// ============================================================================
+
+/**
+ * Plan and remaining quota for a subject:
+ * { plan, planLabel, period, periodStart, resetsAt, features: { cv: { limit, used, remaining } } }
+ * limit and remaining are null for unlimited features.
+ */
+async function getQuotaStatus(subject) {
+  const planId = await getPlanId(subject);
+  const plan = PLANS[planId];
+  const { start, end } = periodBounds(plan.period);
+
+  const usage = await pool.query(
+    'SELECT feature, used FROM quota_usage WHERE subject = $1 AND period_start = $2',
+    [subjectKey(subject), start]
+  );
+  const used = Object.fromEntries(usage.rows.map(row => [row.feature, row.used]));
+
+  const features = {};
+  for (const [feature, limit] of Object.entries(plan.quotas)) {
+    const count = used[feature] || 0;
+    features[feature] = {
+      limit,
+      used: count,
+      remaining: limit === null ? null : Math.max(0, limit - count)
+    };
+  }
+
+  return {
+    plan: planId,
+    planLabel: plan.label,
+    period: plan.period,
+    periodStart: start,
+    resetsAt: end,
+    features
+  };
+}
+
+/**
+ * Take one unit of each feature, all or nothing. Throws a
+ * QuotaExceededError naming the first feature that's run out. Returns
+ * { subject, features, periodStart, quota } for releaseQuota, where quota
+ * is the status after the reservation.
+ */
+async function reserveQuota(subject, features) {
+  const status = await getQuotaStatus(subject);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    for (const feature of features) {
+      const { limit } = status.features[feature];
+      if (limit === 0) {
+        throw new QuotaExceededError(feature, status);
+      }
+
+      // Check and count in one statement so parallel requests can't overshoot
+      const result = await client.query(
+        `INSERT INTO quota_usage (subject, feature, period_start, used) VALUES ($1, $2, $3, 1)
+         ON CONFLICT (subject, feature, period_start)
+         DO UPDATE SET used = quota_usage.used + 1, updated_at = NOW()
+         WHERE $4::int IS NULL OR quota_usage.used < $4
+         RETURNING used`,
+        [subjectKey(subject), feature, status.periodStart, limit]
+      );
+      if (result.rows.length === 0) {
+        throw new QuotaExceededError(feature, status);
+      }
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return {
+    subject,
+    features,
+    periodStart: status.periodStart,
+    quota: await getQuotaStatus(subject)
+  };
+}
+
+/**
+ * Give back a reservation whose generation failed or was cancelled. Never
+ * throws.
+ */
+async function releaseQuota(reservation) {
+  if (!reservation) return;
+  try {
+    await pool.query(
+      `UPDATE quota_usage SET used = GREATEST(used - 1, 0), updated_at = NOW()
+       WHERE subject = $1 AND feature = ANY($2) AND period_start = $3`,
+      [subjectKey(reservation.subject), reservation.features, reservation.periodStart]
+    );
+  } catch (error) {
+    console.error('Quota release error (non-fatal):', error.message);
+  }
+}
+
+module.exports = {
+  PLANS,
+  QuotaExceededError,
+  requestWhatsAppNumber,
+  botRequestHeaders,
+  quotaSubject,
+  subjectKey,
+  parseSubjectKey,
+  generationFeatures,
+  getQuotaStatus,
+  reserveQuota,
+  releaseQuota
+};
@@ -0,0 +1,95 @@
+/**
+ * FlashJobs 2.0 - Extraction Cache
+ * Stores the facts extracted from a candidate's LinkedIn + CV text, so
+ * repeat generations from the same saved profile skip the extraction call.
+ * Entries are personal data: they expire when unused for
+ * EXTRACTION_CACHE_DAYS, and a signed-in user's go when they delete theirs.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('./auth');
+
+// Bump when the extraction prompt or post-processing changes, so stale
+// results extracted under the old rules are not reused
+const EXTRACTION_VERSION = 2;
+
+const CACHE_RETENTION_DAYS = parseInt(process.env.EXTRACTION_CACHE_DAYS, 10) || 30;
+
+/**
+ * Hash the combined profile input together with the extraction model
+ */
+function hashExtractionInput(userProvidedData, model) {
+  return crypto
+    .createHash('sha256')
+    .update(`v${EXTRACTION_VERSION}\n${model}\n${userProvidedData.trim()}`)
+    .digest('hex');
+}
+
+/**
+ * Load cached extracted data for an input hash, or null on a miss. A hit
+ * for a signed-in user makes the entry theirs.
+ * Cache errors never fail a generation - they just mean re-extracting.
+ */
+async function getCachedExtraction(inputHash, userId = null) {
+  try {
+    const result = await pool.query(
+      `UPDATE profile_extractions SET last_used_at = NOW(), user_id = COALESCE($2, user_id)
+       WHERE input_hash = $1
+       RETURNING extracted_data`,
+      [inputHash, userId]
+    );
+    return result.rows.length > 0 ? result.rows[0].extracted_data : null;
+  } catch (error) {
+    console.error('Extraction cache read error (non-fatal):', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save extracted data for an input hash
+ */
+async function saveExtraction(inputHash, extractedData, userId = null) {
+  try {
+    await pool.query(
+      `INSERT INTO profile_extractions (input_hash, extracted_data, user_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (input_hash)
+       DO UPDATE SET extracted_data = $2, last_used_at = NOW(), user_id = COALESCE($3, profile_extractions.user_id)`,
+      [inputHash, JSON.stringify(extractedData), userId]
+    );
+  } catch (error) {
+    console.error('Extraction cache write error (non-fatal):', error.message);
+  }
+}
+
+/**
+ * Forget every cached extraction of a user's input
+ */
+async function deleteUserExtractions(userId) {
+  await pool.query('DELETE FROM profile_extractions WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Delete entries unused for CACHE_RETENTION_DAYS. Never throws.
+ */
+async function pruneExtractionCache() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM profile_extractions WHERE last_used_at < NOW() - $1 * INTERVAL '1 day'`,
+      [CACHE_RETENTION_DAYS]
+    );
+    if (result.rowCount > 0) {
+      console.log(`🧹 Deleted ${result.rowCount} cached profile extraction(s) unused for ${CACHE_RETENTION_DAYS} days`);
+    }
+  } catch (error) {
+    console.error('Extraction cache cleanup error (non-fatal):', error.message);
+  }
+}
+
+module.exports = {
+  hashExtractionInput,
+  getCachedExtraction,
+  saveExtraction,
+  deleteUserExtractions,
+  pruneExtractionCache
+};
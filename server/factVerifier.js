@@ -0,0 +1,445 @@
+/**
+ * FlashJobs 2.0 - Fact Verifier
+ * Checks the tailored CV against the facts extracted from the candidate's own
+ * documents and reverts or removes anything that cannot be traced back to them.
+ */
+
+const { findSkill, skillAliases, mentionedSkills } = require('./skillTaxonomy');
+
+// Skills this short ("C", "R", "Go") also turn up as initials and everyday
+// words, so they must be listed in the extracted skills, not just appear in
+// the CV text
+const SHORT_SKILL_LENGTH = 3;
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim();
+}
+
+function containsPhrase(haystack, needle) {
+  if (!needle) return false;
+  return ` ${haystack} `.includes(` ${needle} `);
+}
+
+// "1,200" and "1200" are the same claim, as are "2.50" and "2.5". Digits
+// inside a name ("B2B", "K8s", "Q3") aren't figures.
+function extractNumbers(text) {
+  const matches = String(text || '').match(/(?<![A-Za-z])\d[\d,]*(?:\.\d+)?/g) || [];
+  return matches.map(n => {
+    let value = n.replace(/,/g, '');
+    if (value.includes('.')) value = value.replace(/\.?0+$/, '');
+    return value;
+  });
+}
+
+// "Python and Kubernetes" and "Python, SQL" are two claims each
+function splitSkillList(item) {
+  return String(item || '').split(/\s*(?:,|;|\s&\s|\band\b)\s*/i).map(s => s.trim()).filter(Boolean);
+}
+
+// Aliases ("K8s", "Postgres") resolve to the taxonomy's canonical name
+function skillKey(skill) {
+  const known = findSkill(skill);
+  return normalize(known ? known.name : skill);
+}
+
+function wordOverlap(a, b) {
+  const wordsA = new Set(normalize(a).split(' ').filter(w => w.length > 2));
+  const wordsB = new Set(normalize(b).split(' ').filter(w => w.length > 2));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / new Set([...wordsA, ...wordsB]).size;
+}
+
+function splitSentences(text) {
+  return String(text || '').match(/[^.!?]+[.!?]*\s*/g) || [];
+}
+
+// ============================================================================
+// SOURCE FACTS
+// ============================================================================
+
+function collectStrings(value, out = []) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    out.push(String(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectStrings(v, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectStrings(v, out));
+  }
+  return out;
+}
+
+function buildFactIndex(extractedData, sourceText) {
+  const rawFacts = `${sourceText || ''}\n${collectStrings(extractedData).join('\n')}`;
+  const skills = new Set();
+  for (const skill of extractedData?.skills || []) {
+    [skill, ...splitSkillList(skill)].forEach(s => skills.add(skillKey(s)));
+  }
+  skills.delete('');
+
+  // Figures can only come from the candidate's roles and achievements (and
+  // their stated years of experience); phone numbers, postcodes and
+  // graduation years elsewhere in the CV don't back up a metric
+  const experienceText = collectStrings([extractedData?.experience, extractedData?.yearsExperience]).join('\n');
+
+  return {
+    text: normalize(rawFacts),
+    numbers: new Set(extractNumbers(experienceText)),
+    skills,
+    certifications: (extractedData?.certifications || []).map(normalize).filter(Boolean)
+  };
+}
+
+function unsupportedNumbers(text, facts) {
+  return [...new Set(extractNumbers(text))].filter(n => !facts.numbers.has(n));
+}
+
+function isKnownSkillPart(part, facts) {
+  const key = skillKey(part);
+  if (!key) return false;
+  if (facts.skills.has(key)) return true;
+  return [normalize(part), key].some(norm => norm.length > SHORT_SKILL_LENGTH && containsPhrase(facts.text, norm));
+}
+
+/**
+ * A skill is known when it matches an extracted skill exactly or through a
+ * taxonomy alias, or (if not too short to tell) appears in the CV text. A
+ * list like "Python and Kubernetes" is only known if every item in it is.
+ */
+function isKnownSkill(skill, facts) {
+  if (isKnownSkillPart(skill, facts)) return true;
+  const parts = splitSkillList(skill);
+  return parts.length > 1 && parts.every(part => isKnownSkillPart(part, facts));
+}
+
+function isKnownCertification(cert, facts) {
+  const norm = normalize(cert);
+  if (!norm) return false;
+  if (facts.certifications.some(known => known === norm || containsPhrase(known, norm))) return true;
+  return containsPhrase(facts.text, norm);
+}
+
+/**
+ * Whether a taxonomy skill claimed in free text (headline, summary) is backed
+ * up by the candidate's documents. A broader skill is backed up by one of its
+ * children, e.g. "JavaScript frameworks" by React.
+ */
+function isSupportedSkillClaim(skill, facts) {
+  return skillAliases(skill).some(name => isKnownSkill(name, facts));
+}
+
+// ============================================================================
+// EXPERIENCE MATCHING
+// ============================================================================
+
+function findSourceRole(role, sourceRoles, usedRoles) {
+  const company = normalize(role.company);
+  const title = normalize(role.title);
+  const dates = normalize(role.dates);
+
+  let best = null;
+  let bestScore = 0;
+
+  sourceRoles.forEach((candidate, index) => {
+    if (usedRoles.has(index)) return;
+    const candidateCompany = normalize(candidate.company);
+    if (!candidateCompany || !company) return;
+
+    let score = 0;
+    if (candidateCompany === company) score += 3;
+    else if (containsPhrase(candidateCompany, company) || containsPhrase(company, candidateCompany)) score += 2;
+    else return;
+
+    if (normalize(candidate.title) === title) score += 2;
+    if (normalize(candidate.dates) === dates) score += 2;
+
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Verify tailored CV content against extracted facts and the original CV text.
+ * Returns a corrected copy of the content plus a report of every change made.
+ */
+function verifyCVContent(cvContent, extractedData, sourceText) {
+  const facts = buildFactIndex(extractedData, sourceText);
+  const content = JSON.parse(JSON.stringify(cvContent || {}));
+  const issues = [];
+  const checked = { roles: 0, achievements: 0, skills: 0, numbers: 0 };
+
+  const flag = (section, field, value, action, reason, replacement) => {
+    issues.push({ section, field, value, action, reason, ...(replacement !== undefined && { replacement }) });
+  };
+
+  // -------------------------------------------------------------------------
+  // EXPERIENCE - companies, titles, dates and metrics
+  // -------------------------------------------------------------------------
+  const sourceRoles = extractedData?.experience || [];
+  const usedRoles = new Set();
+  const verifiedExperience = [];
+
+  for (const role of content.experience || []) {
+    checked.roles++;
+    const label = `${role.title || 'Role'} at ${role.company || 'Unknown'}`;
+    const matchIndex = findSourceRole(role, sourceRoles, usedRoles);
+
+    let source = null;
+    if (matchIndex === null) {
+      if (containsPhrase(facts.text, normalize(role.company)) && containsPhrase(facts.text, normalize(role.title))) {
+        flag('experience', 'role', label, 'kept', 'Role not in extracted data but found in original CV text');
+      } else {
+        flag('experience', 'role', label, 'removed', 'Company and title not found in your documents');
+        continue;
+      }
+    } else {
+      usedRoles.add(matchIndex);
+      source = sourceRoles[matchIndex];
+      for (const field of ['company', 'title', 'dates', 'location']) {
+        if (source[field] && normalize(role[field]) !== normalize(source[field])) {
+          flag('experience', field, role[field] || '', 'reverted', `${field} must match your CV exactly`, source[field]);
+          role[field] = source[field];
+        }
+      }
+    }
+
+    // Any unsupported metric reverts the bullet to the closest original
+    // achievement, or drops it if there is nothing close enough
+    const originals = source?.achievements || [];
+    role.achievements = (role.achievements || []).map(achievement => {
+      checked.achievements++;
+      checked.numbers += extractNumbers(achievement).length;
+      const unsupported = unsupportedNumbers(achievement, facts);
+      if (unsupported.length === 0) return achievement;
+
+      const closest = originals
+        .map(original => ({ original, score: wordOverlap(original, achievement) }))
+        .sort((a, b) => b.score - a.score)[0];
+
+      if (closest && closest.score >= 0.3) {
+        flag('experience', 'achievement', achievement, 'reverted', `Unsupported figures: ${unsupported.join(', ')}`, closest.original);
+        return closest.original;
+      }
+      flag('experience', 'achievement', achievement, 'removed', `Unsupported figures: ${unsupported.join(', ')}`);
+      return null;
+    }).filter(Boolean);
+
+    if (role.description && unsupportedNumbers(role.description, facts).length > 0) {
+      flag('experience', 'description', role.description, 'removed', 'Company description contains unsupported figures');
+      delete role.description;
+    }
+
+    verifiedExperience.push(role);
+  }
+  content.experience = verifiedExperience;
+
+  // -------------------------------------------------------------------------
+  // CORE COMPETENCIES & CERTIFICATIONS
+  // -------------------------------------------------------------------------
+  content.coreCompetencies = (content.coreCompetencies || []).map(category => {
+    const skills = (category.skills || []).filter(skill => {
+      checked.skills++;
+      if (isKnownSkill(skill, facts)) return true;
+      flag('coreCompetencies', category.category || 'skills', skill, 'removed', 'Skill not found in your documents');
+      return false;
+    });
+    return { ...category, skills };
+  }).filter(category => category.skills.length > 0);
+
+  content.certifications = (content.certifications || []).filter(cert => {
+    if (isKnownCertification(cert, facts)) return true;
+    flag('certifications', 'certification', cert, 'removed', 'Certification not found in your documents');
+    return false;
+  });
+
+  // -------------------------------------------------------------------------
+  // HEADLINE & SUMMARY - free text, so only metrics and skills the
+  // taxonomy recognises can be checked
+  // -------------------------------------------------------------------------
+  const unsupportedClaims = text => {
+    const mentioned = mentionedSkills(text);
+    checked.skills += mentioned.length;
+    checked.numbers += extractNumbers(text).length;
+    const skills = mentioned.filter(skill => !isSupportedSkillClaim(skill, facts));
+    const numbers = unsupportedNumbers(text, facts);
+    return [
+      numbers.length > 0 && `Unsupported figures: ${numbers.join(', ')}`,
+      skills.length > 0 && `Skills not found in your documents: ${skills.join(', ')}`
+    ].filter(Boolean).join('; ');
+  };
+
+  if (content.headline) {
+    const reason = unsupportedClaims(content.headline);
+    if (reason) {
+      const replacement = extractedData?.currentTitle || '';
+      flag('headline', 'headline', content.headline, 'reverted', reason, replacement);
+      content.headline = replacement;
+    }
+  }
+
+  if (content.summary) {
+    const kept = splitSentences(content.summary).filter(sentence => {
+      const reason = unsupportedClaims(sentence);
+      if (!reason) return true;
+      flag('summary', 'sentence', sentence.trim(), 'removed', reason);
+      return false;
+    });
+    content.summary = kept.join('').trim();
+  }
+
+  const corrections = issues.filter(issue => issue.action !== 'kept').length;
+
+  return {
+    cvContent: content,
+    report: {
+      status: corrections > 0 ? 'corrected' : 'verified',
+      checked,
+      corrections,
+      issues
+    }
+  };
+}
+
+/**
+ * Verify the STAR answers of an interview prep pack. Each answer must come
+ * from one of the candidate's roles and use only figures from their
+ * documents; unsupported answers are removed but the question is kept, so
+ * the candidate can still prepare for it.
+ */
+function verifyInterviewPrep(prepContent, extractedData) {
+  const facts = buildFactIndex(extractedData, '');
+  const content = JSON.parse(JSON.stringify(prepContent || {}));
+  const sourceRoles = extractedData?.experience || [];
+  const issues = [];
+  const checked = { answers: 0, numbers: 0 };
+
+  const flag = (question, value, reason) => {
+    issues.push({ section: 'questions', field: 'answer', value, action: 'removed', reason, question });
+  };
+
+  for (const item of content.questions || []) {
+    const answer = item.answer;
+    if (!answer) continue;
+    checked.answers++;
+
+    const matchIndex = findSourceRole({ company: answer.company }, sourceRoles, new Set());
+    if (matchIndex === null) {
+      flag(item.question, answer.company, 'Answer is not based on one of your roles');
+      item.answer = null;
+      continue;
+    }
+    answer.company = sourceRoles[matchIndex].company;
+
+    const text = [answer.situation, answer.task, answer.action, answer.result].join(' ');
+    checked.numbers += extractNumbers(text).length;
+    const unsupported = unsupportedNumbers(text, facts);
+    if (unsupported.length > 0) {
+      flag(item.question, answer.result, `Unsupported figures: ${unsupported.join(', ')}`);
+      item.answer = null;
+    }
+  }
+
+  return {
+    prepContent: content,
+    report: {
+      status: issues.length > 0 ? 'corrected' : 'verified',
+      checked,
+      corrections: issues.length,
+      issues
+    }
+  };
+}
+
+/**
+ * Verify elevator pitches and LinkedIn copy. Like the CV summary these are
+ * free text, so sentences with figures that aren't in the candidate's
+ * documents are removed; a headline with them falls back to the current title.
+ */
+function verifyPitch(pitchContent, extractedData) {
+  const facts = buildFactIndex(extractedData, '');
+  const content = { ...pitchContent };
+  const issues = [];
+  const checked = { numbers: 0 };
+
+  const unsupportedIn = text => {
+    checked.numbers += extractNumbers(text).length;
+    return unsupportedNumbers(text, facts);
+  };
+
+  for (const field of ['pitch30', 'pitch60', 'linkedinAbout']) {
+    // Keep the About section's paragraph breaks
+    content[field] = String(content[field] || '').split(/(\n+)/).map(part => {
+      if (/^\n+$/.test(part)) return part;
+      return splitSentences(part).filter(sentence => {
+        const unsupported = unsupportedIn(sentence);
+        if (unsupported.length === 0) return true;
+        issues.push({ section: field, field: 'sentence', value: sentence.trim(), action: 'removed', reason: `Unsupported figures: ${unsupported.join(', ')}` });
+        return false;
+      }).join('');
+    }).join('').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  const unsupported = unsupportedIn(content.linkedinHeadline || '');
+  if (unsupported.length > 0) {
+    const replacement = extractedData?.currentTitle || '';
+    issues.push({ section: 'linkedinHeadline', field: 'headline', value: content.linkedinHeadline, action: 'reverted', reason: `Unsupported figures: ${unsupported.join(', ')}`, replacement });
+    content.linkedinHeadline = replacement;
+  }
+
+  return {
+    pitchContent: content,
+    report: {
+      status: issues.length > 0 ? 'corrected' : 'verified',
+      checked,
+      corrections: issues.length,
+      issues
+    }
+  };
+}
+
+/**
+ * Check achievements for a role that can't be traced back to the profile
+ * (e.g. one added by hand). With no original bullets to fall back on, any
+ * achievement with figures that aren't in the candidate's documents is
+ * removed. Returns { achievements, issues }.
+ */
+function verifyUnmatchedAchievements(achievements, extractedData) {
+  const facts = buildFactIndex(extractedData, '');
+  const issues = [];
+
+  const kept = (achievements || []).filter(achievement => {
+    const unsupported = unsupportedNumbers(achievement, facts);
+    if (unsupported.length === 0) return true;
+    issues.push({ section: 'experience', field: 'achievement', value: achievement, action: 'removed', reason: `Unsupported figures: ${unsupported.join(', ')}` });
+    return false;
+  });
+
+  return { achievements: kept, issues };
+}
+
+module.exports = {
+  verifyCVContent,
+  verifyInterviewPrep,
+  verifyPitch,
+  verifyUnmatchedAchievements
+};
@@ -0,0 +1,288 @@
+/**
+ * FlashJobs 2.0 - Generations
+ * Tracks in-flight generations so they can be cancelled, either explicitly
+ * (POST /api/generations/:id/cancel, the WhatsApp "reset" command) or
+ * because the client went away. Cancelling aborts the outstanding LLM
+ * requests and stops the pipeline at its next step.
+ *
+ * Background generation jobs also persist their progress events in
+ * generation_events, so a client whose connection dropped can re-attach and
+ * pick up from the last event it saw, and fetch the result afterwards. The
+ * process running a job bumps its updated_at as a heartbeat, so any instance
+ * can tell a job running elsewhere from one whose server went away.
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { pool } = require('./auth');
+
+class GenerationCancelledError extends Error {
+  constructor(generationId, reason) {
+    super(`Generation ${generationId} was cancelled (${reason})`);
+    this.name = 'GenerationCancelledError';
+    this.generationId = generationId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * A generation that can't run because of what the client sent (too little
+ * profile data, no name in the CV, a bad template or theme)
+ */
+class InvalidInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidInputError';
+  }
+}
+
+// generationId -> { controller, startedAt }
+const activeGenerations = new Map();
+
+// Background jobs still recording events: generationId -> { seq, writes }
+const jobStreams = new Map();
+
+// Live events for attached streams, emitted once the event is stored
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Events after which a job records nothing more
+const TERMINAL_EVENTS = ['complete', 'error', 'cancelled'];
+
+// Running jobs' heartbeat; one missed for JOB_STALE_SECONDS was interrupted
+const JOB_HEARTBEAT_INTERVAL = 30 * 1000;
+const JOB_STALE_SECONDS = 2 * 60;
+
+// Finished jobs and their events are kept this long
+const JOB_RETENTION_DAYS = 7;
+
+let heartbeat = null;
+
+/**
+ * Register a generation and return { generationId, signal }. A client may
+ * pick its own id (a UUID) so it can cancel before the response arrives,
+ * as the WhatsApp bot does; otherwise one is generated.
+ */
+function startGeneration(requestedId) {
+  const generationId = isUuid(requestedId || '') && !activeGenerations.has(requestedId)
+    ? requestedId
+    : uuidv4();
+  const controller = new AbortController();
+  activeGenerations.set(generationId, { controller, startedAt: Date.now() });
+  return { generationId, signal: controller.signal };
+}
+
+/**
+ * Cancel an in-flight generation. Returns false if it isn't running
+ * (unknown id, or already finished).
+ */
+function cancelGeneration(generationId, reason = 'cancelled by request') {
+  const generation = activeGenerations.get(generationId);
+  if (!generation) return false;
+  activeGenerations.delete(generationId);
+  generation.controller.abort(new GenerationCancelledError(generationId, reason));
+  console.log(`🛑 Cancelled generation ${generationId} after ${Math.round((Date.now() - generation.startedAt) / 1000)}s: ${reason}`);
+  return true;
+}
+
+function finishGeneration(generationId) {
+  activeGenerations.delete(generationId);
+}
+
+/**
+ * Cancel the generation when the client disconnects before the response is
+ * complete (tab closed, request aborted)
+ */
+function cancelOnDisconnect(res, generationId) {
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      cancelGeneration(generationId, 'client disconnected');
+    }
+  });
+}
+
+/**
+ * True for errors caused by cancelling, including the SDK's abort errors
+ */
+function isCancellation(error, signal) {
+  return error instanceof GenerationCancelledError || Boolean(signal?.aborted);
+}
+
+// ============================================================================
+// BACKGROUND JOBS
+// ============================================================================
+
+/**
+ * Start a background generation job owned by userId (null for guests and
+ * WhatsApp). Returns { generationId, signal } like startGeneration.
+ */
+async function createGenerationJob(userId) {
+  const { generationId, signal } = startGeneration();
+  try {
+    await pool.query(
+      'INSERT INTO generation_jobs (id, user_id) VALUES ($1, $2)',
+      [generationId, userId || null]
+    );
+  } catch (error) {
+    finishGeneration(generationId);
+    throw error;
+  }
+  jobStreams.set(generationId, { seq: 0, writes: Promise.resolve() });
+  if (!heartbeat) {
+    heartbeat = setInterval(touchRunningJobs, JOB_HEARTBEAT_INTERVAL).unref();
+  }
+  return { generationId, signal };
+}
+
+async function touchRunningJobs() {
+  if (jobStreams.size === 0) return;
+  try {
+    await pool.query(
+      "UPDATE generation_jobs SET updated_at = NOW() WHERE id = ANY($1) AND status = 'running'",
+      [[...jobStreams.keys()]]
+    );
+  } catch (error) {
+    console.error('Generation job heartbeat error (non-fatal):', error.message);
+  }
+}
+
+/**
+ * Record a job event. Events are numbered per job (the SSE event id) and
+ * stored in order; attached streams get each one once it's stored. A failed
+ * write is logged and doesn't stop the job.
+ */
+function recordEvent(generationId, event) {
+  const stream = jobStreams.get(generationId);
+  if (!stream) return Promise.resolve();
+
+  const seq = ++stream.seq;
+  stream.writes = stream.writes
+    .then(() => pool.query(
+      'INSERT INTO generation_events (job_id, seq, event) VALUES ($1, $2, $3)',
+      [generationId, seq, JSON.stringify(event)]
+    ))
+    .catch(error => console.error('Generation event write error (non-fatal):', error.message))
+    .then(() => jobEvents.emit(generationId, { seq, event }));
+  return stream.writes;
+}
+
+/**
+ * Record a job's outcome once its events are stored. status is 'complete',
+ * 'failed' or 'cancelled'; result is the final 'complete' event.
+ */
+async function settleJob(generationId, status, { result = null, error = null } = {}) {
+  const stream = jobStreams.get(generationId);
+  try {
+    if (stream) await stream.writes;
+    await pool.query(
+      `UPDATE generation_jobs SET status = $2, result = $3, error = $4, updated_at = NOW()
+       WHERE id = $1`,
+      [generationId, status, result ? JSON.stringify(result) : null, error]
+    );
+  } catch (dbError) {
+    console.error('Generation job update error:', dbError.message);
+  } finally {
+    jobStreams.delete(generationId);
+    finishGeneration(generationId);
+  }
+}
+
+/**
+ * Load a job row, or null for unknown (or malformed) ids
+ */
+async function getGenerationJob(generationId) {
+  if (!isUuid(generationId || '')) return null;
+  const result = await pool.query('SELECT * FROM generation_jobs WHERE id = $1', [generationId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Stored events after afterSeq, in order: [{ seq, event }]
+ */
+async function getGenerationEvents(generationId, afterSeq = 0) {
+  const result = await pool.query(
+    'SELECT seq, event FROM generation_events WHERE job_id = $1 AND seq > $2 ORDER BY seq',
+    [generationId, afterSeq]
+  );
+  return result.rows;
+}
+
+/**
+ * Listen for a job's live events. Returns the unsubscribe function.
+ */
+function onJobEvent(generationId, listener) {
+  jobEvents.on(generationId, listener);
+  return () => jobEvents.off(generationId, listener);
+}
+
+/**
+ * True while this process is still running the job. A job running on
+ * another instance is 'running' in generation_jobs but not here.
+ */
+function isJobRunning(generationId) {
+  return jobStreams.has(generationId);
+}
+
+function isTerminalEvent(event) {
+  return TERMINAL_EVENTS.includes(event?.type);
+}
+
+/**
+ * Jobs left 'running' by a server that stopped will never finish. Mark the
+ * ones whose heartbeat has stopped failed (just generationId's, if given)
+ * so clients waiting on them get an answer. Returns how many were marked.
+ */
+async function failInterruptedJobs(generationId = null) {
+  try {
+    const result = await pool.query(
+      `UPDATE generation_jobs SET status = 'failed', error = 'Generation was interrupted', updated_at = NOW()
+       WHERE status = 'running' AND updated_at < NOW() - $1 * INTERVAL '1 second'
+         AND ($2::uuid IS NULL OR id = $2)`,
+      [JOB_STALE_SECONDS, generationId]
+    );
+    if (result.rowCount > 0) {
+      console.log(`⚠ Marked ${result.rowCount} interrupted generation job(s) as failed`);
+    }
+    return result.rowCount;
+  } catch (error) {
+    console.error('Failed to clean up interrupted generation jobs:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Delete finished jobs, and their events, older than JOB_RETENTION_DAYS
+ */
+async function pruneGenerationJobs() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM generation_jobs WHERE status <> 'running' AND updated_at < NOW() - $1 * INTERVAL '1 day'`,
+      [JOB_RETENTION_DAYS]
+    );
+    if (result.rowCount > 0) {
+      console.log(`🧹 Pruned ${result.rowCount} finished generation job(s)`);
+    }
+  } catch (error) {
+    console.error('Generation job cleanup error (non-fatal):', error.message);
+  }
+}
+
+module.exports = {
+  GenerationCancelledError,
+  InvalidInputError,
+  startGeneration,
+  cancelGeneration,
+  finishGeneration,
+  cancelOnDisconnect,
+  isCancellation,
+  createGenerationJob,
+  recordEvent,
+  settleJob,
+  getGenerationJob,
+  getGenerationEvents,
+  onJobEvent,
+  isJobRunning,
+  isTerminalEvent,
+  failInterruptedJobs,
+  pruneGenerationJobs
+};
@@ -6,10 +6,39 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const mammoth = require('mammoth');
 const cheerio = require('cheerio');
-const Anthropic = require('@anthropic-ai/sdk');
 const cookieParser = require('cookie-parser');
-const { generateCV, generateCoverLetter } = require('./documentGenerator');
-const { passport, generateToken, pool, authenticateToken, optionalAuth } = require('./auth');
+const { generateCV, generateCoverLetter, generateInterviewPrep } = require('./documentGenerator');
+const { generateCVPdf, generateCoverLetterPdf, generateInterviewPrepPdf } = require('./pdfGenerator');
+const { resolveTheme, listTemplates } = require('./templates');
+const { verifyCVContent } = require('./factVerifier');
+const { regenerateSection, validateSectionRequest } = require('./sectionRegenerator');
+const { scoreDocument } = require('./atsScorer');
+const { extractSkills, compareSkills, skillAliases, groupCompetencies } = require('./skillTaxonomy');
+const { refineCV, validateRefinementMessage } = require('./cvRefiner');
+const { generateInterviewPrepContent } = require('./interviewPrep');
+const { generatePitch } = require('./pitchGenerator');
+const { detectLocale, resolveLocale } = require('./regions');
+const { createLLMProvider, resolveModel, withSignal, withRetryListener } = require('./llmProvider');
+const { completeStructured } = require('./structuredOutput');
+const { validateOutput } = require('./schemas');
+const { hashExtractionInput, getCachedExtraction, saveExtraction, deleteUserExtractions, pruneExtractionCache } = require('./extractionCache');
+const { createStorage, documentKey } = require('./storage');
+const {
+  InvalidInputError, startGeneration, cancelGeneration, finishGeneration, cancelOnDisconnect, isCancellation,
+  createGenerationJob, recordEvent, settleJob, getGenerationJob, getGenerationEvents,
+  onJobEvent, isJobRunning, isTerminalEvent, failInterruptedJobs, pruneGenerationJobs
+} = require('./generations');
+const { planGenerationSteps, createProgressTracker } = require('./progress');
+const { runSteps } = require('./pipeline');
+const { withUsageTracking, requestChannel, getUserUsage, getUsageReport } = require('./usage');
+const {
+  PLANS, QuotaExceededError, requestWhatsAppNumber, quotaSubject, generationFeatures, getQuotaStatus, reserveQuota, releaseQuota
+} = require('./entitlements');
+const {
+  PAID_PLANS, WebhookSignatureError, verifyWebhook, createBillingProvider, handleBillingEvent, getActivePlan, getSubscription
+} = require('./billing');
+const { rateLimit, recordGenerationFailure, pruneRateLimits } = require('./rateLimit');
+const { passport, generateToken, pool, authenticateToken, optionalAuth, requireAdmin } = require('./auth');
 
 // PDF parsing - handle different module formats
 let pdfParse;
@@ -24,10 +53,18 @@ try {
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+// Behind a proxy (Railway), req.ip comes from X-Forwarded-For; guest quotas
+// and rate limits are keyed by it. TRUST_PROXY is the number of proxy hops.
+const trustProxy = process.env.TRUST_PROXY ?? (process.env.NODE_ENV === 'production' ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// Initialize LLM provider (Anthropic, or the offline mock via LLM_PROVIDER=mock)
+const llmProvider = createLLMProvider();
+
+// Initialize billing provider (Stripe, or the local fake via BILLING_PROVIDER=fake)
+const billingProvider = createBillingProvider({ webhookUrl: `http://127.0.0.1:${PORT}/api/billing/webhook` });
 
 // Middleware
 app.use(cors({
@@ -36,6 +73,9 @@ app.use(cors({
     : 'http://localhost:3001',
   credentials: true
 }));
+// Billing webhooks are verified against the exact bytes sent, so this route
+// must be registered before the JSON body parser
+app.post('/api/billing/webhook', express.raw({ type: 'application/json' }), handleBillingWebhook);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true })); // For Twilio webhooks
 app.use(cookieParser());
@@ -58,8 +98,8 @@ const upload = multer({
   }
 });
 
-// Store generated documents temporarily
-const generatedDocs = new Map();
+// Generated files are written here and recorded in generated_documents
+const documentStorage = createStorage();
 
 // ============================================================================
 // AUTHENTICATION ENDPOINTS
@@ -136,11 +176,17 @@ app.get('/api/auth/me', authenticateToken, async (req, res) => {
       [req.userId]
     );
 
+    // AI usage and estimated cost across all their generations and edits
+    const usage = await getUserUsage(req.userId);
+    const quota = await getQuotaStatus({ type: 'user', id: String(req.userId) });
+
     res.json({ 
       user: userResult.rows[0],
       profile: profileResult.rows[0] || null,
       stats: {
-        applicationsGenerated: parseInt(countResult.rows[0].count)
+        applicationsGenerated: parseInt(countResult.rows[0].count),
+        usage,
+        quota
       }
     });
   } catch (err) {
@@ -149,6 +195,18 @@ app.get('/api/auth/me', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * The caller's plan and remaining quota, signed in or not
+ */
+app.get('/api/quota', optionalAuth, async (req, res) => {
+  try {
+    res.json({ quota: await getQuotaStatus(quotaSubject(req)) });
+  } catch (err) {
+    console.error('Get quota error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============================================================================
 // PROFILE MANAGEMENT ENDPOINTS
 // ============================================================================
@@ -217,6 +275,9 @@ app.post('/api/profile/cv', authenticateToken, upload.single('cvFile'), async (r
       [cvText, req.file.originalname, req.userId]
     );
 
+    // Facts extracted from the old CV shouldn't outlive it
+    await deleteUserExtractions(req.userId);
+
     console.log(`✅ Updated master CV for user ${req.userId}: ${req.file.originalname}`);
     res.json({ success: true, filename: req.file.originalname });
   } catch (err) {
@@ -257,9 +318,14 @@ app.get('/api/applications', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT a.id, a.job_url, a.job_title, a.company_name, a.generated_at,
-              d.cv_filename, d.cover_letter_filename, d.id as doc_id
+              d.cv_filename, d.cover_letter_filename, d.interview_prep_filename, d.id as doc_id, d.version
        FROM job_applications a
-       LEFT JOIN generated_documents d ON d.application_id = a.id
+       LEFT JOIN LATERAL (
+         SELECT * FROM generated_documents
+         WHERE application_id = a.id
+         ORDER BY version DESC, created_at DESC
+         LIMIT 1
+       ) d ON true
        WHERE a.user_id = $1
        ORDER BY a.generated_at DESC
        LIMIT 50`,
@@ -279,9 +345,14 @@ app.get('/api/applications', authenticateToken, async (req, res) => {
 app.get('/api/applications/:id', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT a.*, d.cv_content, d.cover_letter_content
+      `SELECT a.*, d.cv_content, d.cover_letter_content, d.interview_prep_content, d.pitch_content, d.id as doc_id, d.version
        FROM job_applications a
-       LEFT JOIN generated_documents d ON d.application_id = a.id
+       LEFT JOIN LATERAL (
+         SELECT * FROM generated_documents
+         WHERE application_id = a.id
+         ORDER BY version DESC, created_at DESC
+         LIMIT 1
+       ) d ON true
        WHERE a.id = $1 AND a.user_id = $2`,
       [req.params.id, req.userId]
     );
@@ -297,6 +368,62 @@ app.get('/api/applications/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Re-download a document from history, rebuilt from the saved content.
+ * ?format=pdf for PDF, ?template=<name> to re-render with another template.
+ */
+app.get('/api/applications/:id/download/:docType', authenticateToken, async (req, res) => {
+  try {
+    const { id, docType } = req.params;
+    const format = req.query.format || 'docx';
+
+    if (!['cv', 'letter', 'prep'].includes(docType)) {
+      return res.status(400).json({ error: 'Document type must be "cv", "letter" or "prep"' });
+    }
+    if (!DOCUMENT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format "${format}". Use docx or pdf.` });
+    }
+
+    let docOptions = null;
+    if (req.query.template) {
+      try {
+        docOptions = getDocumentOptions({ template: req.query.template });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+    }
+
+    const result = await pool.query(
+      `SELECT d.*, a.job_data
+       FROM job_applications a
+       JOIN generated_documents d ON d.application_id = a.id
+       WHERE a.id = $1 AND a.user_id = $2
+       ORDER BY d.version DESC, d.created_at DESC
+       LIMIT 1`,
+      [id, req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const record = result.rows[0];
+    const doc = getStoredDocument(record, docType);
+    if (!doc || !doc.content) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const buffer = await renderStoredDocument(record, docType, format, docOptions);
+
+    res.setHeader('Content-Type', DOCUMENT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${withExtension(doc.filename, format)}"`);
+    res.send(buffer);
+  } catch (err) {
+    console.error('Application download error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * Delete application
  */
@@ -312,10 +439,26 @@ app.delete('/api/applications/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Application not found' });
     }
 
+    const files = await pool.query(
+      'SELECT cv_file_path, cover_letter_file_path, interview_prep_file_path FROM generated_documents WHERE application_id = $1',
+      [req.params.id]
+    );
+
     await pool.query(
       'DELETE FROM job_applications WHERE id = $1',
       [req.params.id]
     );
+    // The profile facts extracted for it are cached too
+    await deleteUserExtractions(req.userId);
+
+    // Remove the stored files too (rows are removed by ON DELETE CASCADE)
+    for (const row of files.rows) {
+      for (const filePath of [row.cv_file_path, row.cover_letter_file_path, row.interview_prep_file_path].filter(Boolean)) {
+        await documentStorage.remove(filePath).catch(err =>
+          console.error('Failed to remove stored document (non-fatal):', err.message)
+        );
+      }
+    }
 
     res.json({ success: true });
   } catch (err) {
@@ -332,7 +475,7 @@ app.delete('/api/applications/:id', authenticateToken, async (req, res) => {
  * Parse LinkedIn Profile
  * Accepts either a URL (for scraping) or PDF file (for extraction)
  */
-app.post('/api/parse-linkedin', upload.single('linkedinPdf'), async (req, res) => {
+app.post('/api/parse-linkedin', optionalAuth, rateLimit('parse'), upload.single('linkedinPdf'), async (req, res) => {
   try {
     let profileData = {};
 
@@ -362,7 +505,7 @@ app.post('/api/parse-linkedin', upload.single('linkedinPdf'), async (req, res) =
  * Parse CV files
  * Extracts text from uploaded CV documents (.docx only)
  */
-app.post('/api/parse-cvs', upload.array('cvFiles', 10), async (req, res) => {
+app.post('/api/parse-cvs', optionalAuth, rateLimit('parse'), upload.array('cvFiles', 10), async (req, res) => {
   try {
     const cvTexts = [];
 
@@ -400,7 +543,7 @@ app.post('/api/parse-cvs', upload.array('cvFiles', 10), async (req, res) => {
  * Parse Job Description
  * Accepts either pasted text or URL to scrape
  */
-app.post('/api/parse-job', async (req, res) => {
+app.post('/api/parse-job', optionalAuth, rateLimit('parse'), async (req, res) => {
   try {
     let jobData = {};
 
@@ -432,332 +575,1689 @@ app.post('/api/parse-job', async (req, res) => {
 // GENERATION ENDPOINTS
 // ============================================================================
 
+/**
+ * Reserve the plan quota a generation request needs (see
+ * server/entitlements.js), by default the features its options ask for.
+ * Responds 402 with the quota status when it's used up, or 500 if it can't
+ * be checked, and returns null.
+ */
+async function reserveGenerationQuota(req, res, features = generationFeatures(req.body?.options)) {
+  try {
+    return await reserveQuota(quotaSubject(req), features);
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      res.status(402).json({ success: false, error: error.message, code: 'QUOTA_EXCEEDED', quota: error.quota });
+      return null;
+    }
+    console.error('Quota check error:', error);
+    res.status(500).json({ success: false, error: error.message });
+    return null;
+  }
+}
+
 /**
  * Simple non-streaming generation endpoint for WhatsApp bot
- * Returns JSON instead of SSE
+ * Returns JSON instead of SSE. The caller may pass its own generationId
+ * so it can cancel the generation while waiting for the response.
  */
-app.post('/api/generate-simple', async (req, res) => {
+app.post('/api/generate-simple', optionalAuth, rateLimit('generate'), async (req, res) => {
+  const reservation = await reserveGenerationQuota(req, res);
+  if (!reservation) return;
+
+  const { generationId, signal } = startGeneration(req.body?.generationId);
+  cancelOnDisconnect(res, generationId);
+
   try {
-    const { profile, cvTexts, jobData, options } = req.body;
-    const sessionId = uuidv4();
-
-    console.log('📱 WhatsApp generation request received');
-
-    // Detect region for compliance
-    const region = detectRegion(jobData);
-
-    // Generate CV with Claude
-    const cvResult = await generateCVWithClaude(
-      anthropic,
-      profile,
-      cvTexts,
-      jobData,
-      region,
-      (msg) => console.log('Progress:', msg) // Log progress to console
-    );
+    console.log(`📱 WhatsApp generation request received (generation ${generationId})`);
+
+    // Same pipeline as /api/generate, logging progress to the console
+    const { type, ...result } = await runGenerationPipeline({
+      llm: llmProvider,
+      signal,
+      generationId,
+      userId: null,
+      channel: requestChannel(req),
+      whatsappNumber: requestWhatsAppNumber(req),
+      input: req.body,
+      emit: (event) => event.type === 'progress' && console.log('Progress:', event.message)
+    });
 
-    const { cvContent, analysisSummary, extractedData } = cvResult;
-
-    // Generate Cover Letter if requested
-    let coverLetterContent = null;
-    if (options?.generateCoverLetter !== false) {
-      coverLetterContent = await generateCoverLetterWithClaude(
-        anthropic,
-        cvContent,
-        extractedData,
-        jobData,
-        profile,
-        region
-      );
+    console.log('✅ WhatsApp generation complete:', result.sessionId);
+
+    // Return JSON response
+    res.json({ success: true, generationId, ...result, quota: reservation.quota });
+
+  } catch (error) {
+    await releaseQuota(reservation);
+    if (isCancellation(error, signal)) {
+      console.log(`🛑 WhatsApp generation ${generationId} stopped`);
+      if (!res.writableEnded) {
+        res.json({ success: false, cancelled: true, generationId });
+      }
+      return;
     }
+    console.error('Simple generation error:', error);
+    await recordGenerationFailure(reservation.subject, error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  } finally {
+    finishGeneration(generationId);
+  }
+});
 
-    // Generate .docx files
-    const cvBuffer = await generateCV(cvContent, jobData, region);
-    // Use name extracted by Claude from CV, fallback to profile or Candidate
-    const candidateName = extractedData?.name || profile?.name || 'Candidate';
-    const safeName = candidateName.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30);
-    const safeJobTitle = (jobData?.title || 'Position').replace(/[^a-zA-Z0-9]/g, '_').substring(0, 40);
-    const cvFilename = `CV_${safeName}_${safeJobTitle}.docx`;
+app.post('/api/generate', optionalAuth, rateLimit('generate'), async (req, res) => {
+  const reservation = await reserveGenerationQuota(req, res);
+  if (!reservation) return;
 
-    let coverLetterBuffer = null;
-    let coverLetterFilename = null;
-    if (coverLetterContent) {
-      coverLetterBuffer = await generateCoverLetter(coverLetterContent, cvContent, jobData, region);
-      coverLetterFilename = `CoverLetter_${safeName}_${safeJobTitle}.docx`;
+  // Set up SSE for streaming progress
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  const sendEvent = (event) => {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Closing the tab aborts the outstanding LLM calls and stops the pipeline
+  const { generationId, signal } = startGeneration();
+  cancelOnDisconnect(res, generationId);
+  sendEvent({ type: 'started', generationId, quota: reservation.quota });
+
+  try {
+    const result = await runGenerationPipeline({
+      llm: llmProvider,
+      signal,
+      generationId,
+      userId: req.userId,
+      channel: requestChannel(req),
+      whatsappNumber: requestWhatsAppNumber(req),
+      input: req.body,
+      emit: sendEvent
+    });
+    sendEvent(result);
+    res.end();
+  } catch (error) {
+    await releaseQuota(reservation);
+    if (isCancellation(error, signal)) {
+      console.log(`🛑 Generation ${generationId} stopped`);
+      if (!res.writableEnded) {
+        sendEvent({ type: 'cancelled', generationId });
+        res.end();
+      }
+      return;
+    }
+    console.error('Generation error:', error);
+    await recordGenerationFailure(reservation.subject, error);
+    sendEvent({ type: 'error', message: error.message });
+    res.end();
+  } finally {
+    finishGeneration(generationId);
+  }
+});
+
+/**
+ * Start a generation as a background job. Takes the same body as
+ * /api/generate but returns the job id straight away; follow progress with
+ * GET /api/generations/:id/events and fetch the result from
+ * GET /api/generations/:id. Disconnecting doesn't stop a job - only
+ * POST /api/generations/:id/cancel does.
+ */
+app.post('/api/generations', optionalAuth, rateLimit('generate'), async (req, res) => {
+  const reservation = await reserveGenerationQuota(req, res);
+  if (!reservation) return;
+
+  try {
+    const { generationId, signal } = await createGenerationJob(req.userId);
+    runGenerationJob(generationId, signal, {
+      userId: req.userId || null,
+      channel: requestChannel(req),
+      whatsappNumber: requestWhatsAppNumber(req),
+      reservation
+    }, req.body);
+    console.log(`⚡ Generation job ${generationId} started`);
+    res.status(202).json({ success: true, generationId, quota: reservation.quota });
+  } catch (error) {
+    await releaseQuota(reservation);
+    console.error('Generation job start error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Job status, with the final 'complete' event as result once it's done
+ */
+app.get('/api/generations/:id', optionalAuth, async (req, res) => {
+  try {
+    const job = await getGenerationJob(req.params.id);
+    if (!job || (job.user_id && job.user_id !== req.userId)) {
+      return res.status(404).json({ error: 'Generation not found' });
     }
 
-    // Store documents for download
-    generatedDocs.set(sessionId, {
-      cv: { buffer: cvBuffer, filename: cvFilename, content: cvContent },
-      coverLetter: coverLetterBuffer ? { buffer: coverLetterBuffer, filename: coverLetterFilename, content: coverLetterContent } : null,
-      createdAt: Date.now()
+    res.json({
+      generationId: job.id,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at
     });
+  } catch (error) {
+    console.error('Generation job fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log('✅ WhatsApp generation complete:', sessionId);
+// How often /events checks the store for a job running on another instance
+const JOB_POLL_INTERVAL = 2000;
+
+/**
+ * A job's progress events as an SSE stream, replaying the stored ones first.
+ * Each event carries its sequence number as the SSE id, so a reconnecting
+ * EventSource resumes after the last event it saw (Last-Event-ID header, or
+ * ?lastEventId= for other clients). The stream ends after the job's last
+ * event.
+ */
+app.get('/api/generations/:id/events', optionalAuth, async (req, res) => {
+  try {
+    const job = await getGenerationJob(req.params.id);
+    if (!job || (job.user_id && job.user_id !== req.userId)) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    let lastSeq = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    let finished = false;
+    const sendEvent = ({ seq, event }) => {
+      if (finished || seq <= lastSeq) return;
+      lastSeq = seq;
+      res.write(`id: ${seq}\ndata: ${JSON.stringify(event)}\n\n`);
+      if (isTerminalEvent(event)) {
+        finished = true;
+        unsubscribe();
+        res.end();
+      }
+    };
+
+    // Subscribe before reading the stored events so none fall in between;
+    // live events that were also replayed are skipped by sequence number
+    let replaying = true;
+    const pending = [];
+    const unsubscribe = onJobEvent(job.id, (entry) => (replaying ? pending.push(entry) : sendEvent(entry)));
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      unsubscribe();
+    });
+
+    const stored = await getGenerationEvents(job.id, lastSeq);
+    stored.forEach(sendEvent);
+    replaying = false;
+    pending.forEach(sendEvent);
+
+    // A job that isn't running here may be running on another instance:
+    // follow its stored events until it settles. One that settled (or whose
+    // heartbeat stopped) without a final event was interrupted.
+    while (!finished && !closed && !isJobRunning(job.id)) {
+      await failInterruptedJobs(job.id);
+      const current = await getGenerationJob(job.id);
+      (await getGenerationEvents(job.id, lastSeq)).forEach(sendEvent);
+      if (finished) break;
+
+      if (current?.status !== 'running') {
+        // Resuming after the final event just ends the stream
+        const [last] = lastSeq > 0 ? await getGenerationEvents(job.id, lastSeq - 1) : [];
+        if (!isTerminalEvent(last?.event)) {
+          res.write(`data: ${JSON.stringify({ type: 'error', message: current?.error || 'Generation was interrupted' })}\n\n`);
+        }
+        finished = true;
+        unsubscribe();
+        res.end();
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+    }
+  } catch (error) {
+    console.error('Generation events error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+    res.end();
+  }
+});
+
+/**
+ * Cancel an in-flight generation or generation job. Used by the UI's Cancel
+ * button and the WhatsApp "reset" command; closing an /api/generate stream
+ * has the same effect. Jobs can only be cancelled by their owner.
+ *
+ * Generations are cancelled through the process running them, so with
+ * several instances behind a load balancer this only reaches generations on
+ * the instance that gets the request; route it there (sticky sessions) or
+ * run a single instance.
+ */
+app.post('/api/generations/:id/cancel', optionalAuth, async (req, res) => {
+  try {
+    const job = await getGenerationJob(req.params.id);
+    if (job && job.user_id && job.user_id !== req.userId) {
+      return res.status(404).json({ error: 'Generation not found or already finished' });
+    }
+
+    if (!cancelGeneration(req.params.id)) {
+      return res.status(404).json({ error: 'Generation not found or already finished' });
+    }
+    res.json({ success: true, generationId: req.params.id });
+  } catch (error) {
+    console.error('Generation cancel error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Elevator pitch and LinkedIn headline/About on their own, from the same
+ * profile input as generation. jobData is optional: with it the pitch is
+ * aimed at that job, without it the pitch presents the profile in general.
+ * Used by the WhatsApp "pitch" command.
+ */
+app.post('/api/pitch', optionalAuth, rateLimit('generate'), async (req, res) => {
+  const reservation = await reserveGenerationQuota(req, res, ['pitch']);
+  if (!reservation) return;
+
+  try {
+    const { profile, cvTexts, jobData } = req.body;
+    const onProgress = (msg) => console.log('Progress:', msg);
+    const llm = withUsageTracking(llmProvider, {
+      userId: req.userId || null,
+      channel: requestChannel(req),
+      whatsappNumber: requestWhatsAppNumber(req)
+    });
+
+    const { extractedData } = await loadProfileFacts(llm, profile, cvTexts || [], onProgress, req.userId);
+
+    let jobRequirements = null;
+    let locale = null;
+    if (jobData?.rawText) {
+      locale = detectLocale(jobData);
+      jobRequirements = await analyzeJobRequirements(llm, jobData);
+    }
+
+    const pitch = await generatePitch(llm, { extractedData, jobRequirements, locale, onProgress });
+    console.log(`🎤 Pitch generated for ${extractedData.name}${jobRequirements ? ` (${jobRequirements.jobTitle || 'target job'})` : ''}`);
 
-    // Return JSON response
     res.json({
       success: true,
-      sessionId,
-      files: {
-        cv: { filename: cvFilename, size: Math.round(cvBuffer.length / 1024) },
-        coverLetter: coverLetterBuffer ? { filename: coverLetterFilename, size: Math.round(coverLetterBuffer.length / 1024) } : null
+      pitch: pitch.content,
+      verification: pitch.verification,
+      jobData: jobRequirements ? {
+        title: jobRequirements.jobTitle || jobData?.title || 'Position',
+        company: jobRequirements.company || jobData?.company || 'Company'
+      } : null,
+      quota: reservation.quota
+    });
+  } catch (error) {
+    await releaseQuota(reservation);
+    console.error('Pitch generation error:', error);
+    await recordGenerationFailure(reservation.subject, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List available CV templates
+ */
+app.get('/api/templates', (req, res) => {
+  res.json({ templates: listTemplates() });
+});
+
+/**
+ * Preview generated document (returns JSON content, or the PDF inline with ?format=pdf)
+ */
+app.get('/api/preview/:sessionId/:docType', async (req, res) => {
+  try {
+    const { sessionId, docType } = req.params;
+    const record = await loadGeneratedDocuments(sessionId);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Documents not found' });
+    }
+
+    const doc = getStoredDocument(record, docType);
+    if (!doc || !doc.content) {
+      return res.status(404).json({ error: 'Document preview not available' });
+    }
+
+    if (req.query.format === 'pdf') {
+      const buffer = await readStoredDocument(record, docType, 'pdf');
+      res.setHeader('Content-Type', DOCUMENT_FORMATS.pdf.contentType);
+      res.setHeader('Content-Disposition', `inline; filename="${withExtension(doc.filename, 'pdf')}"`);
+      return res.send(buffer);
+    }
+
+    // Return the content as JSON for frontend rendering
+    res.json({ 
+      success: true, 
+      content: doc.content,
+      type: docType,
+      filename: doc.filename
+    });
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Download generated document (.docx by default, ?format=pdf for PDF)
+ */
+app.get('/api/download/:sessionId/:docType', async (req, res) => {
+  try {
+    const { sessionId, docType } = req.params;
+    const format = req.query.format || 'docx';
+
+    if (!DOCUMENT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format "${format}". Use docx or pdf.` });
+    }
+
+    const record = await loadGeneratedDocuments(sessionId);
+    if (!record) {
+      return res.status(404).json({ error: 'Documents not found' });
+    }
+
+    const doc = getStoredDocument(record, docType);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const buffer = await readStoredDocument(record, docType, format);
+
+    res.setHeader('Content-Type', DOCUMENT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${withExtension(doc.filename, format)}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Download error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// DOCUMENT EDITING ENDPOINTS
+// ============================================================================
+
+/**
+ * Save edited CV and/or cover letter content as a new document version.
+ * Body: { cvContent?, letterContent?, sessionId? } - sessionId is required
+ * for documents generated without an account.
+ */
+app.put('/api/documents/:id/content', optionalAuth, async (req, res) => {
+  try {
+    const { cvContent, letterContent } = req.body;
+
+    if (!cvContent && !letterContent) {
+      return res.status(400).json({ error: 'Provide cvContent and/or letterContent' });
+    }
+
+    const { record, status, error } = await loadEditableDocument(req, req.params.id);
+    if (!record) {
+      return res.status(status).json({ error });
+    }
+
+    if (letterContent && !record.cover_letter_content) {
+      return res.status(400).json({ error: 'This document has no cover letter' });
+    }
+
+    // Edited content must still be renderable
+    const errors = [
+      ...(cvContent ? validateOutput('tailoring', cvContent).errors.map(e => `cvContent: ${e}`) : []),
+      ...(letterContent ? validateOutput('coverLetter', letterContent).errors.map(e => `letterContent: ${e}`) : [])
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid document content', details: errors });
+    }
+
+    const { record: saved, files } = await saveDocumentVersion(record, { cvContent, letterContent });
+    console.log(`✏️ Saved document ${saved.id} (version ${saved.version} of session ${saved.session_id})`);
+
+    res.json({
+      success: true,
+      document: {
+        id: saved.id,
+        version: saved.version,
+        sessionId: saved.session_id
       },
-      jobData: {
-        title: jobData?.title || 'Position',
-        company: jobData?.company || 'Company'
+      content: {
+        cv: saved.cv_content,
+        letter: saved.cover_letter_content
       },
-      analysisSummary
+      atsScore: saved.ats_score,
+      files
     });
-
   } catch (error) {
-    console.error('Simple generation error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: error.message 
+    console.error('Document edit error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Regenerate one CV section against the profile and job the document was
+ * tailored from, and save the result as a new document version.
+ * Body: { section: 'headline'|'summary'|'achievements'|'competencies',
+ *         index? (experience entry, for achievements), instruction?, sessionId? }
+ */
+app.post('/api/documents/:id/regenerate', optionalAuth, rateLimit('generate'), async (req, res) => {
+  let reservation = null;
+  try {
+    const { section, index, instruction } = req.body;
+
+    const { record, status, error } = await loadEditableDocument(req, req.params.id);
+    if (!record) {
+      return res.status(status).json({ error });
+    }
+
+    if (!record.extracted_data) {
+      return res.status(400).json({ error: 'This document was generated before section regeneration was available. Generate it again to use this feature.' });
+    }
+
+    const requestError = validateSectionRequest(record.cv_content, { section, index, instruction });
+    if (requestError) {
+      return res.status(400).json({ error: requestError });
+    }
+
+    reservation = await reserveGenerationQuota(req, res, ['edit']);
+    if (!reservation) return;
+
+    console.log(`🔁 Regenerating ${section}${section === 'achievements' ? ` #${index}` : ''} for document ${record.id}`);
+
+    const result = await regenerateSection(withUsageTracking(llmProvider, { userId: record.user_id }), {
+      cvContent: record.cv_content,
+      extractedData: record.extracted_data,
+      jobRequirements: record.job_requirements,
+      locale: record.render_context?.locale,
+      section,
+      index,
+      instruction
     });
+
+    if (result.verification.corrections > 0) {
+      console.warn(`⚠ Fact check corrected ${result.verification.corrections} item(s) in regenerated ${section}:`, result.verification.issues);
+    }
+
+    const { record: saved, files } = await saveDocumentVersion(record, { cvContent: result.cvContent });
+
+    res.json({
+      success: true,
+      document: {
+        id: saved.id,
+        version: saved.version,
+        sessionId: saved.session_id
+      },
+      section,
+      index: section === 'achievements' ? index : undefined,
+      value: result.value,
+      verification: result.verification,
+      content: {
+        cv: saved.cv_content,
+        letter: saved.cover_letter_content
+      },
+      atsScore: saved.ats_score,
+      files,
+      quota: reservation.quota
+    });
+  } catch (error) {
+    console.error('Section regeneration error:', error);
+    if (reservation) {
+      await releaseQuota(reservation);
+      await recordGenerationFailure(reservation.subject, error);
+    }
+    res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/generate', optionalAuth, async (req, res) => {
+/**
+ * Refinement chat: apply one instruction ("emphasise my stakeholder work",
+ * "cut this to one page") to the CV. Streams progress over SSE like
+ * /api/generate; a turn that changes the CV is saved as a new version.
+ * Body: { message, sessionId? }
+ */
+app.post('/api/documents/:id/refine', optionalAuth, rateLimit('generate'), async (req, res) => {
+  const { message } = req.body;
+
+  let record;
+  try {
+    const loaded = await loadEditableDocument(req, req.params.id);
+    if (!loaded.record) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    record = loaded.record;
+  } catch (error) {
+    console.error('Refinement error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!record.extracted_data) {
+    return res.status(400).json({ error: 'This document was generated before refinement chat was available. Generate it again to use this feature.' });
+  }
+
+  const messageError = validateRefinementMessage(message);
+  if (messageError) {
+    return res.status(400).json({ error: messageError });
+  }
+
+  const reservation = await reserveGenerationQuota(req, res, ['edit']);
+  if (!reservation) return;
+
   // Set up SSE for streaming progress
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
 
-  const sendProgress = (message, status = 'processing') => {
-    res.write(`data: ${JSON.stringify({ type: 'progress', message, status })}\n\n`);
-  };
+  const sendProgress = (text, status = 'processing') => {
+    res.write(`data: ${JSON.stringify({ type: 'progress', message: text, status })}\n\n`);
+  };
+
+  try {
+    sendProgress('Reading your request...');
+    const history = await loadRefinementMessages(record.session_id);
+
+    const result = await refineCV(withUsageTracking(llmProvider, { userId: record.user_id }), {
+      cvContent: record.cv_content,
+      extractedData: record.extracted_data,
+      jobRequirements: record.job_requirements,
+      locale: record.render_context?.locale,
+      history,
+      message,
+      onProgress: sendProgress
+    });
+
+    if (result.verification.corrections > 0) {
+      console.warn(`⚠ Fact check corrected ${result.verification.corrections} item(s) in refinement:`, result.verification.issues);
+      sendProgress(`→ ⚠ Fact check: corrected ${result.verification.corrections} item(s) that weren't in your CV`);
+    }
+
+    let saved = record;
+    let files = null;
+    if (result.changed) {
+      sendProgress('Creating the new version...');
+      ({ record: saved, files } = await saveDocumentVersion(record, { cvContent: result.cvContent }));
+      console.log(`💬 Refined document ${saved.id} (version ${saved.version} of session ${saved.session_id})`);
+    } else {
+      sendProgress('No changes to the CV');
+    }
+
+    await saveRefinementTurn(record.session_id, saved.id, message, result.reply);
+
+    res.write(`data: ${JSON.stringify({
+      type: 'complete',
+      reply: result.reply,
+      changed: result.changed,
+      document: {
+        id: saved.id,
+        version: saved.version,
+        sessionId: saved.session_id
+      },
+      content: {
+        cv: saved.cv_content,
+        letter: saved.cover_letter_content
+      },
+      atsScore: saved.ats_score,
+      verification: result.verification,
+      files,
+      quota: reservation.quota
+    })}\n\n`);
+
+    res.end();
+  } catch (error) {
+    await releaseQuota(reservation);
+    console.error('Refinement error:', error);
+    await recordGenerationFailure(reservation.subject, error);
+    res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
+    res.end();
+  }
+});
+
+/**
+ * Refinement chat history for a document's generation
+ */
+app.get('/api/documents/:id/messages', optionalAuth, async (req, res) => {
+  try {
+    const { record, status, error } = await loadEditableDocument(req, req.params.id);
+    if (!record) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `SELECT m.role, m.content, m.document_id, d.version, m.created_at
+       FROM refinement_messages m
+       LEFT JOIN generated_documents d ON d.id = m.document_id
+       WHERE m.session_id = $1
+       ORDER BY m.id`,
+      [record.session_id]
+    );
+
+    res.json({
+      messages: result.rows.map(row => ({
+        role: row.role,
+        content: row.content,
+        documentId: row.document_id,
+        version: row.version,
+        createdAt: row.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get refinement messages error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// BILLING ENDPOINTS
+// ============================================================================
+
+// Where checkout sends the customer back to
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+/**
+ * Start a checkout for a paid plan. Signed-in users pay for their account;
+ * the WhatsApp bot pays for a number (named in its authenticated headers).
+ * Accounts already subscribed to this plan or a higher one get 409.
+ */
+app.post('/api/billing/checkout', optionalAuth, async (req, res) => {
+  try {
+    const plan = req.body.plan || 'premium';
+    if (!PAID_PLANS.includes(plan)) {
+      return res.status(400).json({ success: false, error: `plan must be one of: ${PAID_PLANS.join(', ')}` });
+    }
+
+    const subject = quotaSubject(req);
+    if (subject.type === 'guest') {
+      return res.status(401).json({ success: false, error: 'Sign in to upgrade your plan' });
+    }
+
+    const activePlan = await getActivePlan(subject);
+    if (activePlan && PAID_PLANS.indexOf(activePlan) >= PAID_PLANS.indexOf(plan)) {
+      return res.status(409).json({
+        success: false,
+        error: `You already have the ${PLANS[activePlan].label} plan`,
+        code: 'ALREADY_SUBSCRIBED',
+        plan: activePlan
+      });
+    }
+
+    const user = subject.type === 'user'
+      ? (await pool.query('SELECT email FROM users WHERE id = $1', [req.userId])).rows[0]
+      : null;
+    const baseUrl = publicBaseUrl(req);
+    const session = await billingProvider.createCheckoutSession({
+      plan,
+      subject,
+      email: user?.email,
+      successUrl: `${baseUrl}/?checkout=success`,
+      cancelUrl: `${baseUrl}/?checkout=cancelled`
+    });
+
+    res.json({
+      success: true,
+      plan,
+      checkoutSessionId: session.id,
+      checkoutUrl: new URL(session.url, `${baseUrl}/`).toString()
+    });
+  } catch (error) {
+    console.error('Checkout error:', error.response?.data || error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Payment provider webhook (registered above, before the JSON parser)
+ */
+async function handleBillingWebhook(req, res) {
+  let event;
+  try {
+    event = verifyWebhook(req.body, req.get('stripe-signature'));
+  } catch (error) {
+    console.warn('⚠ Rejected billing webhook:', error.message);
+    return res.status(error instanceof WebhookSignatureError ? 400 : 500).json({ error: error.message });
+  }
+
+  try {
+    const handled = await handleBillingEvent(billingProvider, event);
+    res.json({ received: true, handled });
+  } catch (error) {
+    // 500 makes the provider retry the event later
+    console.error('Billing webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * The signed-in user's subscription and the quota it gives them
+ */
+app.get('/api/billing/subscription', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      subscription: await getSubscription({ userId: req.userId }),
+      quota: await getQuotaStatus({ type: 'user', id: String(req.userId) })
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Local checkout page and controls for BILLING_PROVIDER=fake
+if (billingProvider.name === 'fake') {
+  app.get('/api/billing/fake/checkout/:id', (req, res) => {
+    const session = billingProvider.getCheckoutSession(req.params.id);
+    if (!session) {
+      return res.status(404).send('Checkout session not found');
+    }
+    res.send(`<!DOCTYPE html>
+<html><head><title>Test checkout</title></head>
+<body style="font-family: monospace; max-width: 480px; margin: 60px auto;">
+  <h1>🧪 Test checkout</h1>
+  <p>FlashJobs ${escapeHtml(PLANS[session.plan].label)} for ${escapeHtml(session.subject)}</p>
+  <form method="POST" action="/api/billing/fake/checkout/${escapeHtml(session.id)}/complete">
+    <button type="submit">Pay</button>
+    <a href="${escapeHtml(session.cancelUrl)}">Cancel</a>
+  </form>
+</body></html>`);
+  });
+
+  app.post('/api/billing/fake/checkout/:id/complete', async (req, res) => {
+    try {
+      const session = billingProvider.getCheckoutSession(req.params.id);
+      const subscription = await billingProvider.completeCheckout(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Checkout session not found or already completed' });
+      }
+      if (req.is('application/json')) {
+        return res.json({ success: true, subscriptionId: subscription.id });
+      }
+      res.redirect(303, session.successUrl);
+    } catch (error) {
+      console.error('Fake checkout error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/billing/fake/subscriptions/:id/:action', async (req, res) => {
+    try {
+      const actions = { renew: 'renewSubscription', cancel: 'cancelSubscription' };
+      if (!actions[req.params.action]) {
+        return res.status(400).json({ error: 'action must be renew or cancel' });
+      }
+      const subscription = await billingProvider[actions[req.params.action]](req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found or already cancelled' });
+      }
+      res.json({ success: true, subscription });
+    } catch (error) {
+      console.error('Fake subscription error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+/**
+ * LLM usage and estimated cost report. ?from and ?to are dates
+ * (YYYY-MM-DD, to inclusive); defaults to the last 30 days.
+ */
+app.get('/api/admin/usage', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    // A date-only `to` covers that whole day
+    const end = req.query.to ? new Date(to.getTime() + 24 * 60 * 60 * 1000) : to;
+    res.json(await getUsageReport({ from, to: end }));
+  } catch (error) {
+    console.error('Usage report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// GENERATION PIPELINE
+// ============================================================================
+
+/**
+ * The full generation behind /api/generate, /api/generate-simple and
+ * background generation jobs: profile loading, CV/letter/prep/pitch
+ * generation, rendering and saving. Runs as a dependency graph (see
+ * server/pipeline.js) so independent LLM calls and rendering overlap:
+ * job analysis runs alongside profile extraction, and the cover letter,
+ * interview prep and pitch are written while the CV is being tailored.
+ * Progress goes to `emit` as typed step events (see server/progress.js);
+ * returns the 'complete' event. `signal` cancels it, aborting its LLM
+ * calls. LLM usage is recorded under generationId, userId, channel and
+ * whatsappNumber.
+ */
+async function runGenerationPipeline({ llm: provider, signal, generationId, userId, channel, whatsappNumber, input, emit }) {
+  const { jobData, options } = input;
+  const sessionId = uuidv4();
+  const progress = createProgressTracker(emit, planGenerationSteps(options, { savedProfile: Boolean(userId) }));
+
+  // Aborted when a step fails, so the steps still running stop their LLM
+  // calls instead of spending tokens on results that are dropped
+  const stepsController = new AbortController();
+
+  // Every call's tokens are recorded against this generation; retries and
+  // model fallbacks show up on the step they're holding up
+  const calls = withSignal(provider, AbortSignal.any([signal, stepsController.signal]));
+  const llm = withRetryListener(withUsageTracking(calls, { generationId, userId, channel, whatsappNumber }), ({ step, message, attempt, delayMs, reason, model, fallback }) => {
+    progress.info(step, message, { attempt, delayMs, reason, model, fallback });
+  });
+
+  // Validate the template before spending time on generation
+  const docOptions = getDocumentOptions(options);
+
+  // e.g. CV_Alex_Morgan_Senior_Product_Manager.docx
+  const documentFilename = (kind, r) =>
+    `${kind}_${sanitizeFilename(r.verification.cvContent.name || 'Candidate')}_${sanitizeFilename(r.jobAnalysis.jobTitle || jobData?.title || 'Position')}.docx`;
+
+  const startedAt = Date.now();
+  const { results, timings } = await runSteps([
+    {
+      // Fill in a signed-in user's saved LinkedIn profile and master CV
+      id: 'profile',
+      when: Boolean(userId),
+      run: async () => {
+        progress.start('profile', 'Loading your saved profile...');
+        const { profile, cvTexts, used } = await loadSavedProfileInput(userId, input);
+        progress.complete('profile',
+          used.length > 0 ? `✓ Using your saved ${used.join(' and ')}` : 'No saved profile data needed',
+          { used });
+        return { profile, cvTexts };
+      }
+    },
+    {
+      // Detect country and CV conventions
+      id: 'locale',
+      run: () => {
+        progress.start('locale', 'Detecting the job\'s country and CV conventions...');
+        const locale = detectLocale(jobData);
+        progress.complete('locale',
+          locale.country
+            ? `Detected: ${locale.region} role in ${locale.countryName} (${Math.round(locale.confidence * 100)}% confidence) — applying ${locale.conventions.label} CV conventions`
+            : 'No specific country detected — using international CV conventions',
+          {
+            country: locale.country,
+            countryName: locale.countryName,
+            region: locale.region,
+            confidence: locale.confidence,
+            conventions: locale.conventions.label
+          });
+        return locale;
+      }
+    },
+    {
+      // Facts ONLY (no generation yet) from the user's CVs
+      id: 'extraction',
+      needs: ['profile'],
+      run: async (r) => {
+        const { profile, cvTexts } = r.profile || input;
+        progress.start('extraction', 'Extracting your actual profile data from uploaded CVs...');
+        const facts = await loadProfileFacts(llm, profile, cvTexts || [], (msg) => progress.info('extraction', msg), userId);
+
+        const { extractedData } = facts;
+        const skillCount = extractedData.skills?.length || 0;
+        const expCount = extractedData.experience?.length || 0;
+        progress.complete('extraction', `✓ Found ${extractedData.name}: ${expCount} roles and ${skillCount} skills`, {
+          name: extractedData.name,
+          roles: expCount,
+          skills: skillCount
+        });
+        return facts;
+      }
+    },
+    {
+      id: 'jobAnalysis',
+      run: async () => {
+        progress.start('jobAnalysis', 'Analyzing job description requirements...');
+        const jobRequirements = await analyzeJobRequirements(llm, jobData);
+
+        const jobTitle = jobRequirements.jobTitle || jobData?.title || 'Position';
+        const jobCompany = jobRequirements.company || jobData?.company || 'Company';
+        progress.complete('jobAnalysis', `✓ Job: ${jobTitle} at ${jobCompany}`, {
+          title: jobTitle,
+          company: jobCompany,
+          requiredSkills: (jobRequirements.requiredSkills || []).length,
+          preferredSkills: (jobRequirements.preferredSkills || []).length
+        });
+        return jobRequirements;
+      }
+    },
+    {
+      // Compare the CV to the job requirements
+      id: 'gapAnalysis',
+      needs: ['extraction', 'jobAnalysis'],
+      run: (r) => {
+        progress.start('gapAnalysis', 'Comparing your profile against job requirements...');
+        const gaps = analyzeSkillGaps(r.extraction.extractedData, r.jobAnalysis);
+        const { matchedRequired, missingRequired, transferable, matchedPreferred, matchPercent } = gaps;
+
+        if (matchedRequired.length > 0) {
+          progress.info('gapAnalysis', `✓ Matched: ${matchedRequired.slice(0, 5).join(', ')}${matchedRequired.length > 5 ? '...' : ''}`);
+        }
+        if (missingRequired.length > 0) {
+          progress.info('gapAnalysis', `⚠ Gaps to address: ${missingRequired.slice(0, 4).join(', ')}${missingRequired.length > 4 ? '...' : ''}`);
+        }
+        if (transferable.length > 0) {
+          progress.info('gapAnalysis', `Using ${transferable[0].related.slice(0, 2).join(', ')} experience as transferable to ${transferable[0].skill}`);
+        }
+
+        progress.complete('gapAnalysis', `✓ Skills match: ${matchPercent}% of required skills`, {
+          matchPercentage: matchPercent,
+          matched: matchedRequired,
+          missing: missingRequired,
+          transferable,
+          matchedPreferred
+        });
+        return gaps;
+      }
+    },
+    {
+      id: 'tailoring',
+      needs: ['extraction', 'jobAnalysis', 'gapAnalysis', 'locale'],
+      run: async (r) => {
+        progress.start('tailoring', 'Generating tailored CV (using only your real information)...');
+        const cvContent = await tailorCV(llm, {
+          extractedData: r.extraction.extractedData,
+          jobRequirements: r.jobAnalysis,
+          gaps: r.gapAnalysis,
+          locale: r.locale
+        });
+        progress.complete('tailoring', '✓ Tailored CV drafted');
+        return cvContent;
+      }
+    },
+    {
+      // Verify every company, date, metric and skill against the source
+      id: 'verification',
+      needs: ['extraction', 'tailoring'],
+      run: (r) => {
+        progress.start('verification', 'Fact-checking tailored CV against your original documents...');
+        const verification = verifyCVContent(r.tailoring, r.extraction.extractedData, r.extraction.userProvidedData);
+        const cvContent = verification.cvContent;
+        cvContent.coreCompetencies = groupCompetencies(cvContent.coreCompetencies);
+
+        if (verification.report.corrections > 0) {
+          console.warn(`⚠ Fact check corrected ${verification.report.corrections} item(s):`, verification.report.issues);
+        }
+        progress.complete('verification',
+          verification.report.corrections > 0
+            ? `⚠ Fact check: corrected ${verification.report.corrections} item(s) that weren't in your CV`
+            : '✓ Fact check passed: every fact traced back to your CV',
+          verification.report);
+        return { cvContent, report: verification.report };
+      }
+    },
+    {
+      // Written from the extracted facts, so it doesn't wait for the CV
+      id: 'coverLetter',
+      when: options?.generateCoverLetter !== false,
+      needs: ['profile', 'extraction', 'locale'],
+      run: async (r) => {
+        const { profile, cvTexts } = r.profile || input;
+        progress.start('coverLetter', 'Generating cover letter using your real achievements...');
+        const coverLetterContent = await generateCoverLetterWithClaude(
+          llm,
+          profile,
+          cvTexts,
+          jobData,
+          r.locale,
+          r.extraction.extractedData
+        );
+        progress.complete('coverLetter', '✓ Cover letter drafted with your real achievements');
+        return coverLetterContent;
+      }
+    },
+    {
+      id: 'interviewPrep',
+      when: Boolean(options?.generateInterviewPrep),
+      needs: ['extraction', 'jobAnalysis', 'locale'],
+      run: async (r) => {
+        progress.start('interviewPrep', 'Preparing interview questions and answers from your real achievements...');
+        const interviewPrep = await generateInterviewPrepContent(llm, {
+          extractedData: r.extraction.extractedData,
+          jobRequirements: r.jobAnalysis,
+          jobData,
+          locale: r.locale,
+          onProgress: (msg) => progress.info('interviewPrep', msg)
+        });
+
+        if (interviewPrep.verification.corrections > 0) {
+          console.warn(`⚠ Fact check removed ${interviewPrep.verification.corrections} interview answer(s):`, interviewPrep.verification.issues);
+          progress.info('interviewPrep', `⚠ Fact check: removed ${interviewPrep.verification.corrections} suggested answer(s) that weren't in your CV`);
+        }
+        progress.complete('interviewPrep', `✓ Interview prep ready: ${interviewPrep.content.questions.length} likely questions`, {
+          questions: interviewPrep.content.questions.length,
+          corrections: interviewPrep.verification.corrections
+        });
+        return interviewPrep;
+      }
+    },
+    {
+      id: 'pitch',
+      when: Boolean(options?.generatePitch),
+      needs: ['extraction', 'jobAnalysis', 'locale'],
+      run: async (r) => {
+        progress.start('pitch', 'Writing your elevator pitch and LinkedIn profile...');
+        const pitch = await generatePitch(llm, {
+          extractedData: r.extraction.extractedData,
+          jobRequirements: r.jobAnalysis,
+          locale: r.locale,
+          onProgress: (msg) => progress.info('pitch', msg)
+        });
+
+        if (pitch.verification.corrections > 0) {
+          console.warn(`⚠ Fact check corrected ${pitch.verification.corrections} pitch item(s):`, pitch.verification.issues);
+          progress.info('pitch', `⚠ Fact check: corrected ${pitch.verification.corrections} item(s) that weren't in your CV`);
+        }
+        progress.complete('pitch', '✓ Elevator pitch and LinkedIn copy ready', {
+          corrections: pitch.verification.corrections
+        });
+        return pitch;
+      }
+    },
+    {
+      // The CV .docx and its ATS score, as soon as the verified CV is ready
+      // (the cover letter and prep pack are rendered in their own steps)
+      id: 'render',
+      needs: ['profile', 'locale', 'jobAnalysis', 'verification'],
+      run: async (r) => {
+        const { profile } = r.profile || input;
+        const { cvContent } = r.verification;
+        progress.start('render', `Creating your CV .docx (${docOptions.label} template, ${docOptions.font} font)...`);
+
+        const buffer = await generateCV(cvContent, profile, r.locale, docOptions);
+        const atsScore = await scoreRenderedCV(buffer, r.jobAnalysis, r.locale);
+
+        progress.complete('render',
+          atsScore && atsScore.score !== null
+            ? `✓ ATS keyword coverage: ${atsScore.score}% (${atsScore.required.matched}/${atsScore.required.total} required keywords)`
+            : '✓ CV created',
+          { atsScore: atsScore ? atsScore.score : null });
+        return { buffer, filename: documentFilename('CV', r), content: cvContent, atsScore };
+      }
+    },
+    {
+      // Needs the verified CV too, for the letterhead
+      id: 'renderCoverLetter',
+      when: options?.generateCoverLetter !== false,
+      needs: ['locale', 'jobAnalysis', 'verification', 'coverLetter'],
+      run: async (r) => {
+        progress.start('renderCoverLetter', 'Creating your cover letter .docx...');
+        const buffer = await generateCoverLetter(r.coverLetter, r.verification.cvContent, jobData, r.locale, docOptions);
+        progress.complete('renderCoverLetter', '✓ Cover letter created');
+        return { buffer, filename: documentFilename('CoverLetter', r), content: r.coverLetter };
+      }
+    },
+    {
+      id: 'renderInterviewPrep',
+      when: Boolean(options?.generateInterviewPrep),
+      needs: ['locale', 'jobAnalysis', 'verification', 'interviewPrep'],
+      run: async (r) => {
+        progress.start('renderInterviewPrep', 'Creating your interview prep .docx...');
+        const buffer = await generateInterviewPrep(r.interviewPrep.content, r.verification.cvContent, jobData, r.locale, docOptions);
+        progress.complete('renderInterviewPrep', '✓ Interview prep pack created');
+        return { buffer, filename: documentFilename('InterviewPrep', r), content: r.interviewPrep.content };
+      }
+    },
+    {
+      id: 'save',
+      needs: ['locale', 'extraction', 'jobAnalysis', 'pitch', 'render', 'renderCoverLetter', 'renderInterviewPrep'],
+      run: async (r) => {
+        progress.start('save', 'Saving your documents...');
+
+        const { render: cv, renderCoverLetter: coverLetter, renderInterviewPrep: interviewPrep } = r;
+        const applicationId = userId ? await saveApplicationHistory(userId, jobData) : null;
+
+        // Store documents for download
+        const documentId = await saveGeneratedDocuments({
+          sessionId,
+          userId: userId || null,
+          applicationId,
+          cv,
+          coverLetter,
+          interviewPrep,
+          pitch: r.pitch?.content,
+          locale: r.locale,
+          jobData,
+          docOptions,
+          extractedData: r.extraction.extractedData,
+          jobRequirements: r.jobAnalysis,
+          atsScore: cv.atsScore
+        });
+
+        const ready = ['CV', coverLetter && 'Cover Letter', interviewPrep && 'Interview Prep'].filter(Boolean);
+        progress.complete('save', `✓ ${ready.join(', ')} ready for download`, { documentId, sessionId });
+        return documentId;
+      }
+    }
+  ], { signal, controller: stepsController });
+
+  const locale = results.locale;
+  const jobRequirements = results.jobAnalysis;
+  const { render: cv, renderCoverLetter: coverLetter, renderInterviewPrep: interviewPrep } = results;
+
+  const analysisSummary = buildAnalysisSummary({
+    extractedData: results.extraction.extractedData,
+    jobRequirements,
+    gaps: results.gapAnalysis,
+    verificationReport: results.verification.report,
+    locale
+  });
+  analysisSummary.atsScore = cv.atsScore;
+  analysisSummary.timings = { totalMs: Date.now() - startedAt, steps: timings };
+
+  // Final result
+  return {
+    type: 'complete',
+    sessionId,
+    documentId: results.save,
+    files: {
+      cv: { filename: cv.filename, size: Math.round(cv.buffer.length / 1024) },
+      coverLetter: coverLetter ? { filename: coverLetter.filename, size: Math.round(coverLetter.buffer.length / 1024) } : null,
+      interviewPrep: interviewPrep ? { filename: interviewPrep.filename, size: Math.round(interviewPrep.buffer.length / 1024) } : null
+    },
+    pitch: results.pitch?.content || null,
+    jobData: {
+      title: jobRequirements?.jobTitle || jobData?.title || 'Position',
+      company: jobRequirements?.company || jobData?.company || 'Company'
+    },
+    stats: {
+      region: locale.region,
+      country: locale.country,
+      countryConfidence: locale.confidence
+    },
+    analysisSummary
+  };
+}
+
+/**
+ * A signed-in user's saved LinkedIn profile and master CV fill in whatever
+ * the request left out. Returns { profile, cvTexts, used }.
+ */
+async function loadSavedProfileInput(userId, { profile, cvTexts }) {
+  const used = [];
+  const savedProfile = await pool.query(
+    `SELECT linkedin_url, linkedin_profile_data, master_cv_text, master_cv_filename 
+     FROM user_profiles WHERE user_id = $1`,
+    [userId]
+  );
+
+  if (savedProfile.rows.length > 0) {
+    const userProfile = savedProfile.rows[0];
+
+    // Use saved LinkedIn data if not provided
+    if (!profile && userProfile.linkedin_profile_data) {
+      profile = userProfile.linkedin_profile_data;
+      used.push('LinkedIn profile');
+    }
+
+    // Use saved CV if not provided
+    if ((!cvTexts || cvTexts.length === 0) && userProfile.master_cv_text) {
+      cvTexts = [{
+        filename: userProfile.master_cv_filename || 'Master CV',
+        text: userProfile.master_cv_text
+      }];
+      used.push('master CV');
+    }
+  }
+
+  return { profile, cvTexts, used };
+}
 
+/**
+ * Add the job to a signed-in user's application history. Returns the
+ * application id, or null if it couldn't be saved (never fails the
+ * generation).
+ */
+async function saveApplicationHistory(userId, jobData) {
   try {
-    let { profile, cvTexts, jobData, options } = req.body;
-    const sessionId = uuidv4();
-
-    // If user is logged in, check for saved profile
-    if (req.userId) {
-      sendProgress('Loading your saved profile...');
-      const savedProfile = await pool.query(
-        `SELECT linkedin_url, linkedin_profile_data, master_cv_text, master_cv_filename 
-         FROM user_profiles WHERE user_id = $1`,
-        [req.userId]
-      );
+    const appResult = await pool.query(
+      `INSERT INTO job_applications (user_id, job_url, job_title, company_name, job_description, job_data) 
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [
+        userId,
+        jobData.url || null,
+        jobData.title || 'Unknown Position',
+        jobData.company || 'Unknown Company',
+        jobData.rawText ? jobData.rawText.substring(0, 5000) : null,
+        JSON.stringify(jobData)
+      ]
+    );
 
-      if (savedProfile.rows.length > 0) {
-        const userProfile = savedProfile.rows[0];
-        
-        // Use saved LinkedIn data if not provided
-        if (!profile && userProfile.linkedin_profile_data) {
-          profile = userProfile.linkedin_profile_data;
-          sendProgress('✓ Using saved LinkedIn profile');
-        }
-        
-        // Use saved CV if not provided
-        if ((!cvTexts || cvTexts.length === 0) && userProfile.master_cv_text) {
-          cvTexts = [{
-            filename: userProfile.master_cv_filename || 'Master CV',
-            text: userProfile.master_cv_text
-          }];
-          sendProgress('✓ Using saved master CV');
-        }
-      }
-    }
+    const applicationId = appResult.rows[0].id;
+    console.log(`✅ Saved application ${applicationId} for user ${userId}`);
+    return applicationId;
+  } catch (dbError) {
+    console.error('Database save error (non-fatal):', dbError);
+    return null;
+  }
+}
 
-    sendProgress('Initializing FlashJobs 2.0 engine...');
-    await sleep(500);
+/**
+ * Run a background generation job to the end, recording its events and
+ * outcome on the job. Never throws.
+ */
+async function runGenerationJob(generationId, signal, { userId, channel, whatsappNumber, reservation }, input) {
+  const emit = (event) => recordEvent(generationId, event);
+  emit({ type: 'started', generationId, quota: reservation?.quota });
 
-    // Detect region for compliance
-    const region = detectRegion(jobData);
-    if (region === 'EU') {
-      sendProgress('Detected: EU role — will add compliance fields if available in your profile...');
-    } else if (region === 'UK') {
-      sendProgress('Detected: UK role — will add right-to-work fields if available...');
+  try {
+    const result = await runGenerationPipeline({
+      llm: llmProvider,
+      signal,
+      generationId,
+      userId,
+      channel,
+      whatsappNumber,
+      input,
+      emit
+    });
+    emit(result);
+    await settleJob(generationId, 'complete', { result });
+    console.log(`✅ Generation job ${generationId} complete`);
+  } catch (error) {
+    // Failed and cancelled generations don't count against the plan
+    await releaseQuota(reservation);
+    if (isCancellation(error, signal)) {
+      console.log(`🛑 Generation job ${generationId} stopped`);
+      emit({ type: 'cancelled', generationId });
+      await settleJob(generationId, 'cancelled');
+      return;
     }
-    await sleep(500);
+    console.error('Generation job error:', error);
+    await recordGenerationFailure(reservation?.subject, error);
+    emit({ type: 'error', message: error.message });
+    await settleJob(generationId, 'failed', { error: error.message });
+  }
+}
 
-    // Generate CV with Claude (includes extraction and gap analysis)
-    sendProgress('Starting CV generation process...');
-    
-    const cvResult = await generateCVWithClaude(
-      anthropic,
-      profile,
-      cvTexts,
-      jobData,
-      region,
-      (msg) => sendProgress(msg)
-    );
+// ============================================================================
+// DOCUMENT RENDERING
+// ============================================================================
 
-    // cvResult now contains CV content, analysis summary, and extracted data
-    const { cvContent, analysisSummary, extractedData } = cvResult;
+const DOCUMENT_FORMATS = {
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  pdf: { contentType: 'application/pdf' }
+};
 
-    sendProgress('✓ CV content generated with your verified information');
-    await sleep(400);
+function withExtension(filename, format) {
+  return filename.replace(/\.docx$/, `.${format}`);
+}
 
-    // Generate Cover Letter with Claude (using extracted data)
-    let coverLetterContent = null;
-    if (options?.generateCoverLetter !== false) {
-      sendProgress('Generating cover letter using your real achievements...');
-      
-      coverLetterContent = await generateCoverLetterWithClaude(
-        anthropic,
-        profile,
-        cvTexts,
-        jobData,
-        region,
-        (msg) => sendProgress(msg),
-        extractedData // Pass the extracted data
-      );
+// Download/preview URL document types and the renderers they use
+const RENDER_TYPES = { cv: 'cv', letter: 'coverLetter', prep: 'interviewPrep' };
 
-      sendProgress('✓ Cover letter drafted with authentic content');
-      await sleep(400);
-    }
+/**
+ * Render a CV, cover letter or interview prep pack from its content model
+ * to docx or pdf
+ */
+async function renderDocument(docType, format, { content, cvContent, jobData, locale, docOptions }) {
+  if (docType === 'cv') {
+    return format === 'pdf'
+      ? generateCVPdf(content, null, locale, docOptions)
+      : generateCV(content, null, locale, docOptions);
+  }
+  if (docType === 'interviewPrep') {
+    return format === 'pdf'
+      ? generateInterviewPrepPdf(content, cvContent, jobData, locale, docOptions)
+      : generateInterviewPrep(content, cvContent, jobData, locale, docOptions);
+  }
+  return format === 'pdf'
+    ? generateCoverLetterPdf(content, cvContent, jobData, locale, docOptions)
+    : generateCoverLetter(content, cvContent, jobData, locale, docOptions);
+}
 
-    // Create .docx files
-    sendProgress('Formatting documents (Georgia font, proper spacing)...');
-    await sleep(600);
+/**
+ * ATS keyword coverage of a rendered CV, scored on the document's own text
+ * so it reflects exactly what an applicant tracking system would read
+ */
+async function scoreRenderedCV(cvBuffer, jobRequirements, locale) {
+  if (!jobRequirements) return null;
+  const { value: text } = await mammoth.extractRawText({ buffer: cvBuffer });
+  return scoreDocument({
+    text,
+    jobRequirements,
+    sectionTitles: resolveLocale(locale).conventions.sectionTitles,
+    aliases: skillAliases
+  });
+}
 
-    sendProgress('Creating .docx files...');
-    
-    const cvBuffer = await generateCV(cvContent, profile, region);
-    const safeName = sanitizeFilename(cvContent.name || 'Candidate');
-    const safeJobTitle = sanitizeFilename(analysisSummary?.jobAnalysis?.title || jobData?.title || 'Position');
-    const cvFilename = `CV_${safeName}_${safeJobTitle}.docx`;
-    
-    let coverLetterBuffer = null;
-    let coverLetterFilename = null;
-    
-    if (coverLetterContent) {
-      coverLetterBuffer = await generateCoverLetter(coverLetterContent, cvContent, jobData, region);
-      coverLetterFilename = `CoverLetter_${safeName}_${safeJobTitle}.docx`;
-    }
+/**
+ * Template selection from request options. Resolving the theme up front
+ * rejects unknown templates or bad overrides before any LLM calls are made.
+ */
+function getDocumentOptions(options) {
+  let theme;
+  try {
+    theme = resolveTheme(options?.template, options?.theme || undefined);
+  } catch (error) {
+    throw new InvalidInputError(error.message);
+  }
+  return {
+    template: theme.name,
+    theme: options?.theme || undefined,
+    label: theme.label,
+    font: theme.fonts.body
+  };
+}
 
-    // Store documents for download
-    generatedDocs.set(sessionId, {
-      cv: { buffer: cvBuffer, filename: cvFilename, content: cvContent },
-      coverLetter: coverLetterBuffer ? { buffer: coverLetterBuffer, filename: coverLetterFilename, content: coverLetterContent } : null,
-      createdAt: Date.now()
-    });
+// ============================================================================
+// DOCUMENT PERSISTENCE
+// ============================================================================
 
-    // If user is logged in, save to database
-    if (req.userId) {
-      try {
-        // Save job application
-        const appResult = await pool.query(
-          `INSERT INTO job_applications (user_id, job_url, job_title, company_name, job_description, job_data) 
-           VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
-          [
-            req.userId,
-            jobData.url || null,
-            jobData.title || 'Unknown Position',
-            jobData.company || 'Unknown Company',
-            jobData.rawText ? jobData.rawText.substring(0, 5000) : null,
-            JSON.stringify(jobData)
-          ]
-        );
+/**
+ * Write the generated files to storage and record them in generated_documents.
+ * Every generation gets a row (anonymous ones too) so download links survive
+ * restarts. Returns the document id.
+ */
+async function saveGeneratedDocuments({ sessionId, userId, applicationId, cv, coverLetter, interviewPrep, pitch, locale, jobData, docOptions, extractedData, jobRequirements, atsScore }) {
+  const cvPath = await documentStorage.put(
+    documentKey(sessionId, cv.filename), cv.buffer, DOCUMENT_FORMATS.docx.contentType
+  );
+  const coverLetterPath = coverLetter
+    ? await documentStorage.put(documentKey(sessionId, coverLetter.filename), coverLetter.buffer, DOCUMENT_FORMATS.docx.contentType)
+    : null;
+  const interviewPrepPath = interviewPrep
+    ? await documentStorage.put(documentKey(sessionId, interviewPrep.filename), interviewPrep.buffer, DOCUMENT_FORMATS.docx.contentType)
+    : null;
+
+  const result = await pool.query(
+    `INSERT INTO generated_documents 
+     (application_id, user_id, session_id, cv_content, cv_filename, cv_file_path,
+      cover_letter_content, cover_letter_filename, cover_letter_file_path,
+      interview_prep_content, interview_prep_filename, interview_prep_file_path, pitch_content,
+      template, template_options, render_context, extracted_data, job_requirements, ats_score) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+     RETURNING id`,
+    [
+      applicationId,
+      userId,
+      sessionId,
+      JSON.stringify(cv.content),
+      cv.filename,
+      cvPath,
+      coverLetter ? JSON.stringify(coverLetter.content) : null,
+      coverLetter?.filename || null,
+      coverLetterPath,
+      interviewPrep ? JSON.stringify(interviewPrep.content) : null,
+      interviewPrep?.filename || null,
+      interviewPrepPath,
+      pitch ? JSON.stringify(pitch) : null,
+      docOptions.template,
+      docOptions.theme ? JSON.stringify(docOptions.theme) : null,
+      JSON.stringify({
+        locale,
+        jobData: { title: jobData?.title || null, company: jobData?.company || null, location: jobData?.location || null }
+      }),
+      extractedData ? JSON.stringify(extractedData) : null,
+      jobRequirements ? JSON.stringify(jobRequirements) : null,
+      atsScore ? JSON.stringify(atsScore) : null
+    ]
+  );
 
-        const applicationId = appResult.rows[0].id;
-
-        // Save generated documents
-        await pool.query(
-          `INSERT INTO generated_documents 
-           (application_id, user_id, cv_content, cv_filename, cover_letter_content, cover_letter_filename) 
-           VALUES ($1, $2, $3, $4, $5, $6)`,
-          [
-            applicationId,
-            req.userId,
-            JSON.stringify(cvContent),
-            cvFilename,
-            coverLetterContent ? JSON.stringify(coverLetterContent) : null,
-            coverLetterFilename
-          ]
-        );
+  return result.rows[0].id;
+}
+
+// Documents from generations without an account (guests and WhatsApp) are
+// deleted this many days after their last version
+const ANONYMOUS_DOCUMENT_RETENTION_DAYS = parseInt(process.env.DOCUMENT_RETENTION_DAYS, 10) || 30;
 
-        console.log(`✅ Saved application ${applicationId} for user ${req.userId}`);
-      } catch (dbError) {
-        console.error('Database save error (non-fatal):', dbError);
-        // Don't fail the generation if DB save fails
+/**
+ * Delete anonymous generations (every version, and their stored files)
+ * whose latest version is older than ANONYMOUS_DOCUMENT_RETENTION_DAYS.
+ * Signed-in users' documents are kept until they delete them. Never throws.
+ */
+async function pruneAnonymousDocuments() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM generated_documents WHERE user_id IS NULL AND session_id IN (
+         SELECT session_id FROM generated_documents WHERE user_id IS NULL
+         GROUP BY session_id HAVING MAX(created_at) < NOW() - $1 * INTERVAL '1 day'
+       )
+       RETURNING cv_file_path, cover_letter_file_path, interview_prep_file_path`,
+      [ANONYMOUS_DOCUMENT_RETENTION_DAYS]
+    );
+    for (const row of result.rows) {
+      for (const filePath of [row.cv_file_path, row.cover_letter_file_path, row.interview_prep_file_path].filter(Boolean)) {
+        await documentStorage.remove(filePath).catch(err =>
+          console.error('Failed to remove stored document (non-fatal):', err.message)
+        );
       }
     }
-
-    // Clean up old documents (older than 1 hour)
-    cleanupOldDocuments();
-
-    sendProgress('✓ CV ready for download');
-    await sleep(300);
-    
-    if (coverLetterContent) {
-      sendProgress('✓ Cover Letter ready for download');
-      await sleep(300);
+    if (result.rowCount > 0) {
+      console.log(`🧹 Deleted ${result.rowCount} anonymous document version(s) older than ${ANONYMOUS_DOCUMENT_RETENTION_DAYS} days`);
     }
+  } catch (error) {
+    console.error('Document cleanup error (non-fatal):', error.message);
+  }
+}
 
-    sendProgress('Generation complete!');
-
-    // Send final result
-    res.write(`data: ${JSON.stringify({
-      type: 'complete',
-      sessionId,
-      files: {
-        cv: { filename: cvFilename, size: Math.round(cvBuffer.length / 1024) },
-        coverLetter: coverLetterBuffer ? { filename: coverLetterFilename, size: Math.round(coverLetterBuffer.length / 1024) } : null
-      },
-      stats: {
-        region
-      },
-      analysisSummary
-    })}\n\n`);
+async function loadGeneratedDocuments(sessionId) {
+  const result = await pool.query(
+    'SELECT * FROM generated_documents WHERE session_id = $1 ORDER BY version DESC LIMIT 1',
+    [sessionId]
+  );
+  return result.rows[0] || null;
+}
 
-    res.end();
-  } catch (error) {
-    console.error('Generation error:', error);
-    res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
-    res.end();
+function getStoredDocument(record, docType) {
+  if (docType === 'cv') {
+    return { filename: record.cv_filename, path: record.cv_file_path, content: record.cv_content };
   }
-});
+  if (docType === 'prep') {
+    if (!record.interview_prep_content) return null;
+    return { filename: record.interview_prep_filename, path: record.interview_prep_file_path, content: record.interview_prep_content };
+  }
+  if (!record.cover_letter_content) return null;
+  return { filename: record.cover_letter_filename, path: record.cover_letter_file_path, content: record.cover_letter_content };
+}
 
 /**
- * Preview generated document (returns HTML preview)
+ * The stored .docx is served as-is; PDFs (and documents saved before files
+ * were stored) are rendered from the saved content
  */
-app.get('/api/preview/:sessionId/:docType', (req, res) => {
-  const { sessionId, docType } = req.params;
-  const docs = generatedDocs.get(sessionId);
-
-  if (!docs) {
-    return res.status(404).json({ error: 'Documents not found or expired' });
+async function readStoredDocument(record, docType, format) {
+  const doc = getStoredDocument(record, docType);
+  if (format === 'docx' && doc.path) {
+    return await documentStorage.get(doc.path);
   }
+  return await renderStoredDocument(record, docType, format);
+}
 
-  const doc = docType === 'cv' ? docs.cv : docs.coverLetter;
-  if (!doc || !doc.content) {
-    return res.status(404).json({ error: 'Document preview not available' });
-  }
+/**
+ * Rebuild a stored document from its saved content, with the template it was
+ * generated with unless `docOptions` picks another
+ */
+async function renderStoredDocument(record, docType, format, docOptions = null) {
+  const doc = getStoredDocument(record, docType);
+  const context = record.render_context || {};
 
-  // Return the content as JSON for frontend rendering
-  res.json({ 
-    success: true, 
+  return await renderDocument(RENDER_TYPES[docType] || 'coverLetter', format, {
     content: doc.content,
-    type: docType,
-    filename: doc.filename
+    cvContent: record.cv_content,
+    jobData: context.jobData || record.job_data,
+    // Documents saved before render context was stored fall back to detecting
+    // the locale from the saved job
+    locale: context.locale || (record.job_data ? detectLocale(record.job_data) : undefined),
+    docOptions: docOptions || { template: record.template || undefined, theme: record.template_options || undefined }
   });
-});
+}
 
 /**
- * Download generated document
+ * Save edited content as a new version of a stored document. All files are
+ * re-rendered, since the letter and prep pack headers also use the CV's name
+ * and contact. The version is allocated and its row written in one
+ * transaction that holds the session's rows locked, so concurrent edits get
+ * distinct versions and never overwrite each other's files.
  */
-app.get('/api/download/:sessionId/:docType', (req, res) => {
-  const { sessionId, docType } = req.params;
-  const docs = generatedDocs.get(sessionId);
+async function saveDocumentVersion(record, { cvContent, letterContent }) {
+  const sessionId = record.session_id || uuidv4();
+  const next = {
+    ...record,
+    cv_content: cvContent || record.cv_content,
+    cover_letter_content: letterContent || record.cover_letter_content
+  };
+
+  const cvBuffer = await renderStoredDocument(next, 'cv', 'docx');
+  const atsScore = await scoreRenderedCV(cvBuffer, record.job_requirements, record.render_context?.locale);
+  const coverLetterBuffer = next.cover_letter_content ? await renderStoredDocument(next, 'letter', 'docx') : null;
+  const interviewPrepBuffer = next.interview_prep_content ? await renderStoredDocument(next, 'prep', 'docx') : null;
 
-  if (!docs) {
-    return res.status(404).json({ error: 'Documents not found or expired' });
+  const client = await pool.connect();
+  const written = [];
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM generated_documents WHERE session_id = $1 FOR UPDATE', [sessionId]);
+    const latest = await client.query(
+      'SELECT COALESCE(MAX(version), 1) AS version FROM generated_documents WHERE session_id = $1',
+      [sessionId]
+    );
+    const version = Number(latest.rows[0].version) + 1;
+
+    const cvPath = documentKey(sessionId, record.cv_filename, version);
+    const coverLetterPath = coverLetterBuffer ? documentKey(sessionId, record.cover_letter_filename, version) : null;
+    const interviewPrepPath = interviewPrepBuffer ? documentKey(sessionId, record.interview_prep_filename, version) : null;
+
+    const result = await client.query(
+      `INSERT INTO generated_documents 
+       (application_id, user_id, session_id, version, parent_id, cv_content, cv_filename, cv_file_path,
+        cover_letter_content, cover_letter_filename, cover_letter_file_path,
+        interview_prep_content, interview_prep_filename, interview_prep_file_path, pitch_content,
+        template, template_options, render_context, extracted_data, job_requirements, ats_score) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+       RETURNING *`,
+      [
+        record.application_id,
+        record.user_id,
+        sessionId,
+        version,
+        record.id,
+        JSON.stringify(next.cv_content),
+        record.cv_filename,
+        cvPath,
+        next.cover_letter_content ? JSON.stringify(next.cover_letter_content) : null,
+        record.cover_letter_filename,
+        coverLetterPath,
+        next.interview_prep_content ? JSON.stringify(next.interview_prep_content) : null,
+        record.interview_prep_filename,
+        interviewPrepPath,
+        record.pitch_content ? JSON.stringify(record.pitch_content) : null,
+        record.template,
+        record.template_options ? JSON.stringify(record.template_options) : null,
+        record.render_context ? JSON.stringify(record.render_context) : null,
+        record.extracted_data ? JSON.stringify(record.extracted_data) : null,
+        record.job_requirements ? JSON.stringify(record.job_requirements) : null,
+        atsScore ? JSON.stringify(atsScore) : null
+      ]
+    );
+
+    // Files go under the version the row now owns; if writing them fails the
+    // row is rolled back with them
+    for (const [key, buffer] of [[cvPath, cvBuffer], [coverLetterPath, coverLetterBuffer], [interviewPrepPath, interviewPrepBuffer]]) {
+      if (!buffer) continue;
+      written.push(await documentStorage.put(key, buffer, DOCUMENT_FORMATS.docx.contentType));
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      record: result.rows[0],
+      files: {
+        cv: { filename: record.cv_filename, size: Math.round(cvBuffer.length / 1024) },
+        coverLetter: coverLetterBuffer ? { filename: record.cover_letter_filename, size: Math.round(coverLetterBuffer.length / 1024) } : null,
+        interviewPrep: interviewPrepBuffer ? { filename: record.interview_prep_filename, size: Math.round(interviewPrepBuffer.length / 1024) } : null
+      }
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    for (const key of written) {
+      await documentStorage.remove(key).catch(err =>
+        console.error('Failed to remove stored document (non-fatal):', err.message)
+      );
+    }
+    throw error;
+  } finally {
+    client.release();
   }
+}
+
+/**
+ * Load a stored document the requester may change. Documents of signed-in
+ * users need that user; anonymous ones need the generation's sessionId.
+ * Any version's id resolves to the latest version, so edits never build on
+ * stale content. Returns { record } or { status, error }.
+ */
+async function loadEditableDocument(req, documentId) {
+  const result = await pool.query(
+    `SELECT d.*, a.job_data
+     FROM generated_documents target
+     JOIN generated_documents d
+       ON d.id = target.id OR (target.session_id IS NOT NULL AND d.session_id = target.session_id)
+     LEFT JOIN job_applications a ON a.id = d.application_id
+     WHERE target.id = $1
+     ORDER BY d.version DESC
+     LIMIT 1`,
+    [documentId]
+  );
+  const record = result.rows[0];
+  const sessionId = req.body?.sessionId || req.query.sessionId;
 
-  const doc = docType === 'cv' ? docs.cv : docs.coverLetter;
-  if (!doc) {
-    return res.status(404).json({ error: 'Document not found' });
+  const allowed = record && (record.user_id
+    ? record.user_id === req.userId
+    : Boolean(record.session_id) && record.session_id === sessionId);
+
+  if (!allowed) {
+    return { status: 404, error: 'Document not found' };
   }
+  return { record };
+}
 
-  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
-  res.setHeader('Content-Disposition', `attachment; filename="${doc.filename}"`);
-  res.send(doc.buffer);
-});
+/**
+ * Earlier refinement chat turns for a generation, oldest first
+ */
+async function loadRefinementMessages(sessionId) {
+  const result = await pool.query(
+    'SELECT role, content FROM refinement_messages WHERE session_id = $1 ORDER BY id',
+    [sessionId]
+  );
+  return result.rows;
+}
+
+/**
+ * Store a chat turn. Both messages are written together so the history
+ * always alternates user/assistant, as the model API expects.
+ */
+async function saveRefinementTurn(sessionId, documentId, message, reply) {
+  await pool.query(
+    `INSERT INTO refinement_messages (session_id, document_id, role, content)
+     VALUES ($1, $2, 'user', $3), ($1, $2, 'assistant', $4)`,
+    [sessionId, documentId, message.trim(), reply]
+  );
+}
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -837,22 +2337,8 @@ function parseJobDescription(text) {
     job.company = lines[1].trim();
   }
 
-  // Extract keywords (common job-related terms)
-  const keywordPatterns = [
-    /\b(python|javascript|react|node|sql|aws|azure|gcp)\b/gi,
-    /\b(agile|scrum|kanban|jira|confluence)\b/gi,
-    /\b(project management|product management|stakeholder|cross-functional)\b/gi,
-    /\b(saas|b2b|b2c|enterprise|startup)\b/gi,
-    /\b(api|rest|graphql|microservices)\b/gi,
-    /\b(leadership|strategy|analytics|automation)\b/gi
-  ];
-
-  const foundKeywords = new Set();
-  for (const pattern of keywordPatterns) {
-    const matches = text.match(pattern) || [];
-    matches.forEach(m => foundKeywords.add(m.toLowerCase()));
-  }
-  job.keywords = Array.from(foundKeywords);
+  // Extract keywords (skills from the taxonomy, by canonical name)
+  job.keywords = extractSkills(text);
 
   // Detect location
   const locationPatterns = [
@@ -994,17 +2480,7 @@ function summarizeProfile(profile, cvTexts) {
     (allText.match(/\b(manager|director|lead|specialist|engineer|analyst)\b/gi) || []).length;
 
   // Extract skills
-  const skillPatterns = [
-    'project management', 'product management', 'agile', 'scrum', 
-    'stakeholder management', 'cross-functional', 'leadership',
-    'automation', 'saas', 'analytics', 'strategy', 'operations',
-    'customer success', 'account management', 'sales', 'marketing',
-    'python', 'javascript', 'sql', 'excel', 'tableau', 'jira'
-  ];
-  
-  const topSkills = skillPatterns.filter(skill => 
-    allText.includes(skill.toLowerCase())
-  );
+  const topSkills = extractSkills(allText);
 
   return {
     yearsExperience,
@@ -1031,69 +2507,13 @@ function analyzeJob(jobData) {
   };
 }
 
-function detectRegion(jobData) {
-  const text = (jobData?.rawText || '' + jobData?.location || '').toLowerCase();
-  
-  const euCountries = ['germany', 'german', 'berlin', 'munich', 'france', 'french', 'paris',
-    'netherlands', 'dutch', 'amsterdam', 'spain', 'spanish', 'barcelona', 'madrid',
-    'italy', 'italian', 'rome', 'milan', 'ireland', 'irish', 'dublin',
-    'portugal', 'lisbon', 'belgium', 'brussels', 'austria', 'vienna',
-    'sweden', 'stockholm', 'denmark', 'copenhagen', 'finland', 'helsinki',
-    'poland', 'warsaw', 'czech', 'prague', 'eu ', 'european union', 'europe'];
-  
-  const ukTerms = ['uk', 'united kingdom', 'britain', 'british', 'london', 'manchester', 'edinburgh'];
-  
-  const usTerms = ['usa', 'united states', 'america', 'new york', 'san francisco', 
-    'los angeles', 'seattle', 'austin', 'boston', 'chicago'];
-
-  if (euCountries.some(term => text.includes(term))) return 'EU';
-  if (ukTerms.some(term => text.includes(term))) return 'UK';
-  if (usTerms.some(term => text.includes(term))) return 'US';
-  
-  return 'GLOBAL';
-}
-
-function calculateKeywordMatch(profileSummary, jobAnalysis) {
-  const profileKeywords = new Set(profileSummary.topSkills.map(s => s.toLowerCase()));
-  const jobKeywords = new Set(jobAnalysis.keywords.map(k => k.toLowerCase()));
-  
-  if (jobKeywords.size === 0) return 65;
-  
-  let matches = 0;
-  for (const keyword of jobKeywords) {
-    if (profileKeywords.has(keyword)) matches++;
-  }
-  
-  const matchPercent = Math.round((matches / jobKeywords.size) * 100);
-  return Math.max(matchPercent, 55); // Minimum 55%
-}
-
-async function generateCVWithClaude(anthropic, profile, cvTexts, jobData, region, onProgress) {
-  
-  // Step 1: Extract ACTUAL data from user's CVs
-  onProgress('→ Extracting your actual profile data from uploaded CVs...');
-  
-  const allCvContent = cvTexts.map(cv => cv.text).join('\n\n---\n\n');
-  const linkedinContent = profile?.rawText || '';
-  const userProvidedData = `${linkedinContent}\n\n${allCvContent}`;
-  
-  // For WhatsApp users, LinkedIn scraping often fails, so CV content alone is sufficient
-  const hasEnoughCvData = allCvContent.trim() && allCvContent.length >= 100;
-  const hasEnoughLinkedInData = linkedinContent.trim() && linkedinContent.length >= 100;
-  
-  if (!hasEnoughCvData && !hasEnoughLinkedInData) {
-    console.error('Insufficient data:', { cvLength: allCvContent.length, linkedinLength: linkedinContent.length });
-    throw new Error('Insufficient profile data. Please upload your CV or LinkedIn PDF.');
-  }
-  
-  console.log('✓ Profile data validated:', { cvLength: allCvContent.length, linkedinLength: linkedinContent.length });
-
-  // Step 2: First Claude call - Extract facts ONLY (no generation yet)
-  onProgress('→ Identifying your real experience, skills, and achievements...');
-  
-  const extractionResponse = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 3000,
+/**
+ * Extract facts ONLY from the candidate's documents (no generation yet)
+ */
+async function extractProfileFacts(llm, userProvidedData) {
+  const extractionResponse = await completeStructured(llm, {
+    step: 'extraction',
+    maxTokens: 3000,
     messages: [{
       role: 'user',
       content: `Extract ONLY the factual information from this person's CV/profile. Do not invent, assume, or add anything.
@@ -1110,6 +2530,7 @@ Extract and return a JSON object with ONLY information that is explicitly stated
   "location": "exact location from CV or null if not found",
   "nationality": "if mentioned, or null",
   "visaStatus": "if mentioned, or null",
+  "dateOfBirth": "if mentioned, exactly as written, or null",
   "currentTitle": "their most recent job title",
   "yearsExperience": "calculate from their work history",
   "skills": ["only skills explicitly mentioned or demonstrated"],
@@ -1142,14 +2563,7 @@ CRITICAL RULES:
     system: 'You are a precise data extractor. Extract only factual information that explicitly exists in the provided text. Never invent, assume, or fill in missing information. For education years, extract the completion/graduation year from date ranges.'
   });
 
-  let extractedData;
-  try {
-    const jsonMatch = extractionResponse.content[0].text.match(/\{[\s\S]*\}/);
-    extractedData = JSON.parse(jsonMatch[0]);
-  } catch (e) {
-    console.error('Extraction parse error:', e);
-    throw new Error('Could not extract profile data. Please ensure your CV is readable.');
-  }
+  const extractedData = extractionResponse.data;
 
   // Post-process to clean up any null values in education
   if (extractedData.education) {
@@ -1162,23 +2576,57 @@ CRITICAL RULES:
 
   // Validate we have minimum required data
   if (!extractedData.name || extractedData.name === 'null') {
-    throw new Error('Could not find your name in the uploaded documents. Please check your CV.');
+    throw new InvalidInputError('Could not find your name in the uploaded documents. Please check your CV.');
   }
 
-  onProgress(`→ Found profile for: ${extractedData.name}`);
-  await sleep(400);
-  
-  const skillCount = extractedData.skills?.length || 0;
-  const expCount = extractedData.experience?.length || 0;
-  onProgress(`→ Identified ${expCount} roles and ${skillCount} skills from your background...`);
-  await sleep(500);
+  return extractedData;
+}
 
-  // Step 3: Analyze job requirements
-  onProgress('→ Analyzing job description requirements...');
+/**
+ * Validate the LinkedIn + CV input and extract the candidate's facts from it,
+ * reusing a cached extraction when the same input was seen before. The
+ * cache entry belongs to userId, if signed in.
+ * Returns { extractedData, userProvidedData }.
+ */
+async function loadProfileFacts(llm, profile, cvTexts, onProgress, userId = null) {
+  const allCvContent = cvTexts.map(cv => cv.text).join('\n\n---\n\n');
+  const linkedinContent = profile?.rawText || '';
+  const userProvidedData = `${linkedinContent}\n\n${allCvContent}`;
+  
+  // For WhatsApp users, LinkedIn scraping often fails, so CV content alone is sufficient
+  const hasEnoughCvData = allCvContent.trim() && allCvContent.length >= 100;
+  const hasEnoughLinkedInData = linkedinContent.trim() && linkedinContent.length >= 100;
+  
+  if (!hasEnoughCvData && !hasEnoughLinkedInData) {
+    console.error('Insufficient data:', { cvLength: allCvContent.length, linkedinLength: linkedinContent.length });
+    throw new InvalidInputError('Insufficient profile data. Please upload your CV or LinkedIn PDF.');
+  }
   
-  const jobAnalysisResponse = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2000,
+  console.log('✓ Profile data validated:', { cvLength: allCvContent.length, linkedinLength: linkedinContent.length });
+
+  // Facts ONLY (no generation yet), reused from the cache when the same
+  // LinkedIn + CV text has been extracted before
+  const extractionHash = hashExtractionInput(userProvidedData, `${llm.name}:${resolveModel('extraction')}`);
+  let extractedData = await getCachedExtraction(extractionHash, userId);
+
+  if (extractedData) {
+    onProgress('✓ Reusing your profile analysis (CV unchanged since last time)');
+  } else {
+    onProgress('Identifying your real experience, skills, and achievements...');
+    extractedData = await extractProfileFacts(llm, userProvidedData);
+    await saveExtraction(extractionHash, extractedData, userId);
+  }
+
+  return { extractedData, userProvidedData };
+}
+
+/**
+ * Required/preferred skills, responsibilities and ATS keywords of a job
+ */
+async function analyzeJobRequirements(llm, jobData) {
+  const jobAnalysisResponse = await completeStructured(llm, {
+    step: 'jobAnalysis',
+    maxTokens: 2000,
     messages: [{
       role: 'user',
       content: `Analyze this job description and extract:
@@ -1205,75 +2653,57 @@ Return as JSON:
     system: 'Extract job requirements accurately from the job description.'
   });
 
-  let jobRequirements;
-  try {
-    const jsonMatch = jobAnalysisResponse.content[0].text.match(/\{[\s\S]*\}/);
-    jobRequirements = JSON.parse(jsonMatch[0]);
-  } catch (e) {
-    jobRequirements = { requiredSkills: [], preferredSkills: [], keywords: [] };
-  }
-
-  onProgress(`→ Job: ${jobRequirements.jobTitle || jobData?.title || 'Position'} at ${jobRequirements.company || jobData?.company || 'Company'}`);
-  await sleep(400);
-
-  // Step 4: Gap Analysis - Compare CV to Job Requirements
-  onProgress('→ Comparing your profile against job requirements...');
-  await sleep(600);
+  return jobAnalysisResponse.data;
+}
 
-  const candidateSkills = new Set((extractedData.skills || []).map(s => s.toLowerCase()));
+/**
+ * Compare the candidate's skills with the job's required and preferred
+ * skills
+ */
+function analyzeSkillGaps(extractedData, jobRequirements) {
   const requiredSkills = jobRequirements.requiredSkills || [];
   const preferredSkills = jobRequirements.preferredSkills || [];
-  
-  const matchedRequired = requiredSkills.filter(skill => 
-    candidateSkills.has(skill.toLowerCase()) || 
-    [...candidateSkills].some(cs => cs.includes(skill.toLowerCase()) || skill.toLowerCase().includes(cs))
-  );
-  
-  const missingRequired = requiredSkills.filter(skill => !matchedRequired.includes(skill));
-  
-  const matchedPreferred = preferredSkills.filter(skill =>
-    candidateSkills.has(skill.toLowerCase()) ||
-    [...candidateSkills].some(cs => cs.includes(skill.toLowerCase()) || skill.toLowerCase().includes(cs))
-  );
+
+  // Same keyword matching as the ATS score (stems, phrases, acronyms, plus
+  // taxonomy aliases), run against everything the candidate's documents say
+  const profileText = [
+    ...(extractedData.skills || []),
+    ...(extractedData.certifications || []),
+    extractedData.currentTitle,
+    ...(extractedData.experience || []).flatMap(role => [role.title, ...(role.achievements || [])])
+  ].filter(Boolean).join('\n');
+
+  const {
+    matched: matchedRequired,
+    missing: missingRequired,
+    transferable
+  } = compareSkills(requiredSkills, profileText);
+  const { matched: matchedPreferred } = compareSkills(preferredSkills, profileText);
 
   const matchPercent = requiredSkills.length > 0 
     ? Math.round((matchedRequired.length / requiredSkills.length) * 100)
     : 70;
 
-  onProgress(`→ Skills match: ${matchPercent}% of required skills`);
-  await sleep(400);
-
-  if (matchedRequired.length > 0) {
-    onProgress(`→ ✓ Matched: ${matchedRequired.slice(0, 5).join(', ')}${matchedRequired.length > 5 ? '...' : ''}`);
-    await sleep(400);
-  }
-
-  if (missingRequired.length > 0) {
-    onProgress(`→ ⚠ Gaps to address: ${missingRequired.slice(0, 4).join(', ')}${missingRequired.length > 4 ? '...' : ''}`);
-    await sleep(400);
-  }
-
-  // Step 5: Strategy Planning
-  onProgress('→ Planning CV optimization strategy...');
-  await sleep(500);
-
-  if (missingRequired.length > 0) {
-    onProgress(`→ Strategy: Highlight transferable skills that relate to ${missingRequired[0]}`);
-    await sleep(400);
-  }
-  
-  onProgress('→ Strategy: Lead with quantified achievements that match job priorities');
-  await sleep(400);
-  
-  onProgress('→ Strategy: Reposition experience to emphasize relevant responsibilities');
-  await sleep(500);
+  return {
+    requiredSkills,
+    preferredSkills,
+    matchedRequired,
+    missingRequired,
+    transferable,
+    matchedPreferred,
+    matchPercent
+  };
+}
 
-  // Step 6: Generate tailored CV using ONLY extracted data
-  onProgress('→ Generating tailored CV (using only your real information)...');
+/**
+ * Write the tailored CV using ONLY the extracted facts
+ */
+async function tailorCV(llm, { extractedData, jobRequirements, gaps, locale }) {
+  const { matchedRequired, missingRequired, transferable, matchedPreferred } = gaps;
 
-  const tailoringResponse = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 4000,
+  const tailoringResponse = await completeStructured(llm, {
+    step: 'tailoring',
+    maxTokens: 4000,
     messages: [{
       role: 'user',
       content: `Create a tailored CV for this candidate. You MUST use ONLY the verified data provided below. DO NOT invent any information.
@@ -1284,9 +2714,13 @@ ${JSON.stringify(extractedData, null, 2)}
 ## TARGET JOB REQUIREMENTS:
 ${JSON.stringify(jobRequirements, null, 2)}
 
+## TARGET MARKET:
+${locale.countryName || 'International'} (${locale.conventions.label} CV conventions)
+
 ## GAP ANALYSIS:
 - Matched Required Skills: ${matchedRequired.join(', ') || 'None identified'}
 - Missing Required Skills: ${missingRequired.join(', ') || 'None'}
+- Related Experience for Missing Skills: ${transferable.map(t => `${t.skill} (has ${t.related.join(', ')})`).join('; ') || 'None'}
 - Matched Preferred Skills: ${matchedPreferred.join(', ') || 'None identified'}
 
 ## YOUR TASK:
@@ -1351,31 +2785,7 @@ ABSOLUTE RULES:
 If the verified data shows null or is missing, DO NOT include that field.`
   });
 
-  let cvContent;
-  try {
-    const jsonMatch = tailoringResponse.content[0].text.match(/\{[\s\S]*\}/);
-    cvContent = JSON.parse(jsonMatch[0]);
-  } catch (e) {
-    console.error('CV generation parse error:', e);
-    // Fallback to extracted data
-    cvContent = {
-      name: extractedData.name,
-      contact: {
-        email: extractedData.email,
-        phone: extractedData.phone,
-        linkedin: extractedData.linkedin,
-        location: extractedData.location
-      },
-      nationality: extractedData.nationality,
-      visaStatus: extractedData.visaStatus,
-      headline: extractedData.currentTitle || 'Professional',
-      summary: 'Experienced professional.',
-      experience: extractedData.experience || [],
-      education: extractedData.education || [],
-      certifications: extractedData.certifications || [],
-      languages: extractedData.languages || []
-    };
-  }
+  let cvContent = tailoringResponse.data;
 
   // Final validation - ensure we're using real data
   cvContent.name = extractedData.name;
@@ -1384,11 +2794,26 @@ If the verified data shows null or is missing, DO NOT include that field.`
   if (extractedData.linkedin) cvContent.contact.linkedin = extractedData.linkedin;
   cvContent.education = extractedData.education || cvContent.education;
   cvContent.languages = extractedData.languages || cvContent.languages;
+  cvContent.dateOfBirth = extractedData.dateOfBirth || null;
 
-  onProgress('→ CV content generated with your verified information');
-  
-  // Build analysis summary for the user
-  const analysisSummary = {
+  return cvContent;
+}
+
+/**
+ * Analysis summary shown to the user alongside the generated documents
+ */
+function buildAnalysisSummary({ extractedData, jobRequirements, gaps, verificationReport, locale }) {
+  const {
+    requiredSkills,
+    preferredSkills,
+    matchedRequired,
+    missingRequired,
+    transferable,
+    matchedPreferred,
+    matchPercent
+  } = gaps;
+
+  return {
     profileAnalysis: {
       name: extractedData.name,
       yearsExperience: extractedData.yearsExperience,
@@ -1406,6 +2831,7 @@ If the verified data shows null or is missing, DO NOT include that field.`
       matchPercentage: matchPercent,
       matchedSkills: matchedRequired,
       missingSkills: missingRequired,
+      transferableSkills: transferable,
       matchedPreferred: matchedPreferred
     },
     strategy: {
@@ -1418,27 +2844,34 @@ If the verified data shows null or is missing, DO NOT include that field.`
         matchedRequired.length > 0 ? `Emphasized matching skills: ${matchedRequired.slice(0, 4).join(', ')}` : null,
         missingRequired.length > 0 ? `Addressed gaps through transferable experience` : null
       ].filter(Boolean)
+    },
+    verification: verificationReport,
+    regionAnalysis: {
+      country: locale.country,
+      countryName: locale.countryName,
+      region: locale.region,
+      confidence: locale.confidence,
+      language: locale.language,
+      signals: locale.signals,
+      conventions: {
+        label: locale.conventions.label,
+        paper: locale.conventions.paper,
+        dateFormat: locale.conventions.dateFormat,
+        notes: locale.conventions.notes
+      }
     }
   };
-  
-  return {
-    cvContent,
-    analysisSummary,
-    extractedData // Pass this for cover letter generation
-  };
 }
 
-async function generateCoverLetterWithClaude(anthropic, profile, cvTexts, jobData, region, onProgress, extractedData) {
-  onProgress('→ Crafting cover letter using your verified achievements...');
-
+async function generateCoverLetterWithClaude(llm, profile, cvTexts, jobData, locale, extractedData) {
   // Use the extracted data passed from CV generation
   const candidateName = extractedData?.name || 'Candidate';
   const candidateExperience = extractedData?.experience || [];
   const candidateSkills = extractedData?.skills || [];
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 2000,
+  const response = await completeStructured(llm, {
+    step: 'coverLetter',
+    maxTokens: 2000,
     messages: [{
       role: 'user',
       content: `Write a cover letter for this candidate. Use ONLY the verified information provided.
@@ -1481,24 +2914,7 @@ ${(jobData?.rawText || '').slice(0, 1500)}
     system: `You write authentic cover letters using only the candidate's real experience. Never invent achievements or qualifications. If the candidate lacks a required skill, do not claim they have it - instead focus on their actual transferable strengths.`
   });
 
-  onProgress('→ Cover letter drafted with your real achievements...');
-
-  try {
-    const jsonMatch = response.content[0].text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-  } catch (e) {
-    console.error('Cover letter parse error:', e);
-  }
-
-  return {
-    opening: `I am writing to express my interest in the ${jobData?.title || 'position'} role at ${jobData?.company || 'your company'}.`,
-    body: ['With my background and experience, I am confident I can contribute to your team.'],
-    closing: 'I look forward to discussing this opportunity with you.',
-    companyName: jobData?.company || 'your company',
-    jobTitle: jobData?.title || 'this position'
-  };
+  return response.data;
 }
 
 function sanitizeFilename(str) {
@@ -1508,19 +2924,6 @@ function sanitizeFilename(str) {
     .slice(0, 50);
 }
 
-function cleanupOldDocuments() {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  for (const [id, doc] of generatedDocs.entries()) {
-    if (doc.createdAt < oneHourAgo) {
-      generatedDocs.delete(id);
-    }
-  }
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 // ============================================================================
 // WHATSAPP BOT ENDPOINTS
 // ============================================================================
@@ -1578,7 +2981,17 @@ app.post('/api/whatsapp/status', (req, res) => {
 const { initializeDatabase } = require('./initDb');
 
 // Initialize database schema if needed, then start server
-initializeDatabase().then(() => {
+initializeDatabase().then(async () => {
+  await failInterruptedJobs();
+  await pruneRateLimits();
+  await pruneGenerationJobs();
+  await pruneAnonymousDocuments();
+  await pruneExtractionCache();
+  setInterval(failInterruptedJobs, 60 * 1000).unref();
+  setInterval(pruneRateLimits, 60 * 60 * 1000).unref();
+  setInterval(pruneGenerationJobs, 60 * 60 * 1000).unref();
+  setInterval(pruneAnonymousDocuments, 60 * 60 * 1000).unref();
+  setInterval(pruneExtractionCache, 60 * 60 * 1000).unref();
   app.listen(PORT, () => {
     console.log(`
 ╔════════════════════════════════════════════════════════╗
@@ -1591,6 +3004,7 @@ initializeDatabase().then(() => {
     console.log('    GET  /api/auth/google - Sign in with Google');
     console.log('    POST /api/auth/logout - Logout');
     console.log('    GET  /api/auth/me - Get current user');
+    console.log('    GET  /api/quota - Plan and remaining quota');
     console.log('  PROFILE:');
     console.log('    GET  /api/profile - Get saved profile');
     console.log('    PUT  /api/profile/linkedin - Update LinkedIn URL');
@@ -1602,7 +3016,16 @@ initializeDatabase().then(() => {
     console.log('    POST /api/parse-cvs - Parse CV files');
     console.log('    POST /api/parse-job - Parse job description');
     console.log('    POST /api/generate - Generate CV & Cover Letter');
+    console.log('    POST /api/generations - Start a background generation job');
+    console.log('    GET  /api/generations/:id/events - Job progress (SSE, resumable)');
+    console.log('    POST /api/generations/:id/cancel - Cancel a generation');
     console.log('    GET  /api/download/:sessionId/:docType - Download documents');
+    console.log('  BILLING:');
+    console.log('    POST /api/billing/checkout - Start a checkout for a paid plan');
+    console.log('    POST /api/billing/webhook - Payment provider webhook');
+    console.log('    GET  /api/billing/subscription - Current subscription');
+    console.log('  ADMIN:');
+    console.log('    GET  /api/admin/usage - LLM usage and cost report');
     console.log('');
   });
 }).catch(err => {
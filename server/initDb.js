@@ -24,24 +24,30 @@ async function initializeDatabase() {
 
     console.log('Tables found:', checkTables.rows.length);
 
-    if (checkTables.rows.length === 0) {
+    const isFreshDatabase = checkTables.rows.length === 0;
+    if (isFreshDatabase) {
       console.log('📦 Tables not found. Initializing schema...');
-      
-      // Read and execute schema.sql
-      const schemaPath = path.join(__dirname, 'schema.sql');
-      console.log('Schema path:', schemaPath);
-      
-      if (!fs.existsSync(schemaPath)) {
-        throw new Error('schema.sql file not found at: ' + schemaPath);
-      }
-      
-      const schema = fs.readFileSync(schemaPath, 'utf8');
-      console.log('Schema file size:', schema.length, 'bytes');
-      
-      await pool.query(schema);
-      
+    } else {
+      console.log('✅ Database schema already exists - applying any new tables and columns');
+    }
+
+    // Read and execute schema.sql (every statement is idempotent, so this
+    // is also how existing databases pick up new tables and columns)
+    const schemaPath = path.join(__dirname, 'schema.sql');
+    console.log('Schema path:', schemaPath);
+
+    if (!fs.existsSync(schemaPath)) {
+      throw new Error('schema.sql file not found at: ' + schemaPath);
+    }
+
+    const schema = fs.readFileSync(schemaPath, 'utf8');
+    console.log('Schema file size:', schema.length, 'bytes');
+
+    await pool.query(schema);
+
+    if (isFreshDatabase) {
       console.log('✅ Database schema initialized successfully!');
-      
+
       // Verify tables were created
       const verify = await pool.query(`
         SELECT table_name 
@@ -51,7 +57,7 @@ async function initializeDatabase() {
       `);
       console.log('Created tables:', verify.rows.map(r => r.table_name).join(', '));
     } else {
-      console.log('✅ Database schema already exists');
+      console.log('✅ Database schema up to date');
     }
 
     await pool.end();
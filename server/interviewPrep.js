@@ -0,0 +1,112 @@
+/**
+ * FlashJobs 2.0 - Interview Prep
+ * Builds an interview preparation pack for a job: the questions the
+ * interviewer is likely to ask, STAR-format answers drawn only from the
+ * candidate's extracted achievements, and questions to ask in return.
+ */
+
+const { completeStructured } = require('./structuredOutput');
+const { verifyInterviewPrep } = require('./factVerifier');
+
+// Question categories in the order the pack presents them
+const QUESTION_CATEGORIES = [
+  { key: 'behavioural', title: 'Behavioural Questions' },
+  { key: 'role', title: 'Role Questions' },
+  { key: 'technical', title: 'Technical Questions' },
+  { key: 'motivation', title: 'Motivation & Fit' }
+];
+
+/**
+ * Generate the prep pack for a job from the same extracted profile and job
+ * analysis the CV was tailored from. Returns { content, verification }.
+ */
+async function generateInterviewPrepContent(llm, { extractedData, jobRequirements, jobData, locale, onProgress = () => {} }) {
+  onProgress('Predicting interview questions for this role...');
+
+  const roles = (extractedData?.experience || []).map(role => ({
+    company: role.company,
+    title: role.title,
+    dates: role.dates,
+    achievements: role.achievements || []
+  }));
+
+  const response = await completeStructured(llm, {
+    step: 'interviewPrep',
+    maxTokens: 4000,
+    messages: [{
+      role: 'user',
+      content: `Prepare this candidate for an interview. You MUST use ONLY the verified data provided below for answers. DO NOT invent any information.
+
+## VERIFIED CANDIDATE ROLES AND ACHIEVEMENTS (USE ONLY THIS):
+${JSON.stringify(roles, null, 2)}
+
+## VERIFIED SKILLS:
+${(extractedData?.skills || []).join(', ') || 'None listed'}
+
+## TARGET JOB REQUIREMENTS:
+${JSON.stringify(jobRequirements || {}, null, 2)}
+
+## TARGET JOB:
+Title: ${jobRequirements?.jobTitle || jobData?.title || 'Position'}
+Company: ${jobRequirements?.company || jobData?.company || 'Company'}
+Market: ${locale?.countryName || 'International'}
+
+## YOUR TASK:
+1. Write 8-12 questions this interviewer is likely to ask, based on the job's responsibilities and required skills
+2. For each question, add a STAR answer (situation, task, action, result) built from ONE of the candidate's achievements above
+3. If the candidate has no achievement that answers a question (e.g. a missing skill), set "answer" to null and use "focus" to suggest how to answer honestly
+4. Add 3-5 thoughtful questions the candidate can ask the interviewer about this role and company
+
+## STRICT RULES:
+- "company" in each answer must be the EXACT company of the achievement used
+- Numbers and metrics must be EXACTLY as stated in the verified data
+- DO NOT invent projects, results, team sizes or skills
+
+## OUTPUT FORMAT:
+Return a JSON object:
+{
+  "questions": [
+    {
+      "question": "The interview question",
+      "category": "behavioural" | "role" | "technical" | "motivation",
+      "focus": "What the interviewer is looking for",
+      "answer": { "company": "Company", "situation": "...", "task": "...", "action": "...", "result": "..." } or null
+    }
+  ],
+  "questionsToAsk": ["Question for the interviewer"],
+  "jobTitle": "${jobRequirements?.jobTitle || jobData?.title || 'Position'}",
+  "companyName": "${jobRequirements?.company || jobData?.company || 'Company'}"
+}`
+    }],
+    system: `You are an interview coach preparing a candidate for a specific job. You predict realistic questions and help the candidate answer them with their REAL experience.
+
+ABSOLUTE RULES:
+1. NEVER invent information - every answer must come from the candidate's verified achievements
+2. NEVER claim skills or experience the candidate doesn't have
+3. When the candidate lacks the experience a question asks about, leave the answer empty and coach them to answer honestly`
+  });
+
+  onProgress('Checking suggested answers against your original documents...');
+  const verification = verifyInterviewPrep(response.data, extractedData);
+
+  return {
+    content: verification.prepContent,
+    verification: verification.report
+  };
+}
+
+/**
+ * Questions grouped by category in presentation order, for rendering.
+ * Returns [{ title, questions }] without empty groups.
+ */
+function groupQuestions(prepContent) {
+  const questions = prepContent?.questions || [];
+  return QUESTION_CATEGORIES
+    .map(({ key, title }) => ({ title, questions: questions.filter(q => q.category === key) }))
+    .filter(group => group.questions.length > 0);
+}
+
+module.exports = {
+  generateInterviewPrepContent,
+  groupQuestions
+};
@@ -0,0 +1,320 @@
+/**
+ * FlashJobs 2.0 - LLM Provider
+ * Single entry point for every language model call, so the generation
+ * pipeline doesn't care which provider or model is answering.
+ *
+ * Provider interface:
+ *   complete({ step, system, messages, maxTokens, signal, model }) -> { text, model, usage }
+ *
+ * `signal` is an AbortSignal that cancels the request. `model` overrides the
+ * step's configured model.
+ *
+ * Providers from createLLMProvider retry transient failures (rate limits,
+ * overloads, timeouts) with backoff and can fall back to a second model;
+ * pass `onRetry` to hear about it.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { createMockProvider } = require('./mockProvider');
+
+// ============================================================================
+// MODEL CONFIGURATION
+// ============================================================================
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+// Each pipeline step can run on its own model, e.g. a cheaper model for
+// extraction and the strongest one for tailoring
+const STEP_MODEL_ENV = {
+  extraction: 'LLM_MODEL_EXTRACTION',
+  jobAnalysis: 'LLM_MODEL_JOB_ANALYSIS',
+  tailoring: 'LLM_MODEL_TAILORING',
+  coverLetter: 'LLM_MODEL_COVER_LETTER',
+  // Rewriting or refining a tailored CV is tailoring work, so they share that model
+  sectionRegeneration: 'LLM_MODEL_TAILORING',
+  refinement: 'LLM_MODEL_TAILORING',
+  interviewPrep: 'LLM_MODEL_INTERVIEW_PREP',
+  // Pitches are short persuasive writing, like the cover letter
+  pitch: 'LLM_MODEL_COVER_LETTER'
+};
+
+function resolveModel(step) {
+  return process.env[STEP_MODEL_ENV[step]] || process.env.LLM_MODEL || DEFAULT_MODEL;
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+function createAnthropicProvider() {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    console.warn('⚠ ANTHROPIC_API_KEY is not set - generation will fail. Set LLM_PROVIDER=mock to run without a key.');
+  }
+
+  // Retries and timeouts are handled by withRetries, not the SDK
+  const client = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    maxRetries: 0
+  });
+
+  return {
+    name: 'anthropic',
+
+    async complete({ step, system, messages, maxTokens, signal, model: modelOverride }) {
+      const model = modelOverride || resolveModel(step);
+      const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages
+      }, { signal });
+
+      return {
+        text: response.content[0].text,
+        model: response.model || model,
+        usage: response.usage || null
+      };
+    }
+  };
+}
+
+/**
+ * A provider whose every call is tied to one AbortSignal, so a whole
+ * pipeline can be cancelled without passing the signal through each step.
+ * Calls made after the signal fired fail straight away.
+ */
+function withSignal(llm, signal) {
+  return {
+    name: llm.name,
+
+    async complete(request) {
+      signal.throwIfAborted();
+      return llm.complete({ ...request, signal });
+    }
+  };
+}
+
+/**
+ * A provider that reports every retry and model fallback of its calls to
+ * onRetry({ step, message, attempt, maxRetries, delayMs, reason, model, fallback })
+ */
+function withRetryListener(llm, onRetry) {
+  return {
+    name: llm.name,
+
+    complete(request) {
+      return llm.complete({ ...request, onRetry });
+    }
+  };
+}
+
+// ============================================================================
+// RETRIES AND FALLBACK
+// ============================================================================
+
+// Timeouts, conflicts, rate limits, server errors and 529 "overloaded"
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+// A retry-after longer than this is cut short rather than stalling the generation
+const MAX_RETRY_AFTER_MS = 60000;
+
+class LLMTimeoutError extends Error {
+  constructor(step, timeoutMs) {
+    super(`The AI didn't respond within ${Math.round(timeoutMs / 1000)}s${step ? ` (${step})` : ''}`);
+    this.name = 'LLMTimeoutError';
+    this.step = step;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function getRetryConfig() {
+  return {
+    maxRetries: envInt('LLM_MAX_RETRIES', 3),
+    timeoutMs: envInt('LLM_TIMEOUT_MS', 120000),
+    fallbackModel: process.env.LLM_FALLBACK_MODEL || null
+  };
+}
+
+/**
+ * Short reason for a transient failure, or null if retrying won't help
+ * (bad request, auth error, cancellation...)
+ */
+function retryReason(error) {
+  if (error instanceof LLMTimeoutError) return 'timed out';
+  if (error instanceof Anthropic.APIUserAbortError) return null;
+  if (error instanceof Anthropic.APIConnectionError) return 'connection failed';
+  if (!RETRYABLE_STATUSES.has(error?.status)) return null;
+  if (error.status === 429) return 'rate limited';
+  if (error.status === 529) return 'overloaded';
+  return `error ${error.status}`;
+}
+
+/**
+ * How long the API asked us to wait (retry-after-ms / retry-after), if it did
+ */
+function retryAfterMs(error) {
+  const headers = error?.headers;
+  const header = (name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]);
+
+  const ms = parseFloat(header('retry-after-ms'));
+  if (ms >= 0) return ms;
+
+  const value = header('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before retry number `retry` (1-based): the server's retry-after if
+ * given, otherwise exponential backoff with jitter so parallel calls don't
+ * retry in lockstep
+ */
+function retryDelayMs(error, retry) {
+  const retryAfter = retryAfterMs(error);
+  if (retryAfter !== null) return Math.min(retryAfter, MAX_RETRY_AFTER_MS);
+
+  const backoff = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** (retry - 1));
+  return Math.round(backoff * (0.5 + Math.random() * 0.5));
+}
+
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * One call, abandoned with an LLMTimeoutError after timeoutMs
+ */
+async function completeWithTimeout(llm, request, timeoutMs) {
+  if (!timeoutMs) return llm.complete(request);
+
+  request.signal?.throwIfAborted();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new LLMTimeoutError(request.step, timeoutMs)), timeoutMs);
+  const onAbort = () => controller.abort(request.signal.reason);
+  request.signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await llm.complete({ ...request, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.reason instanceof LLMTimeoutError) throw controller.signal.reason;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    request.signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Retry transient failures up to maxRetries times per model, then move to
+ * fallbackModel (if set) and retry that too. Cancellation is never retried.
+ */
+function withRetries(llm, { maxRetries, timeoutMs, fallbackModel } = getRetryConfig()) {
+  return {
+    name: llm.name,
+
+    async complete({ onRetry, ...request }) {
+      const { step, signal } = request;
+      let model = request.model || resolveModel(step);
+      let retries = 0;
+
+      for (;;) {
+        try {
+          return await completeWithTimeout(llm, { ...request, model }, timeoutMs);
+        } catch (error) {
+          const reason = signal?.aborted ? null : retryReason(error);
+          if (!reason) throw error;
+
+          if (retries < maxRetries) {
+            retries++;
+            const delayMs = retryDelayMs(error, retries);
+            const seconds = Math.max(1, Math.round(delayMs / 1000));
+            console.warn(`⚠ ${step} call to ${model} ${reason} - retry ${retries}/${maxRetries} in ${seconds}s`);
+            onRetry?.({
+              step,
+              message: `⚠ AI service ${reason} — retrying in ${seconds}s (attempt ${retries + 1} of ${maxRetries + 1})`,
+              attempt: retries + 1,
+              maxRetries,
+              delayMs,
+              reason,
+              model,
+              fallback: false
+            });
+            await waitForRetry(delayMs, signal);
+            continue;
+          }
+
+          if (fallbackModel && model !== fallbackModel) {
+            console.warn(`⚠ ${step} call to ${model} ${reason} after ${retries} retries - falling back to ${fallbackModel}`);
+            onRetry?.({
+              step,
+              message: '⚠ AI service still unavailable — switching to the backup model',
+              attempt: 1,
+              maxRetries,
+              delayMs: 0,
+              reason,
+              model: fallbackModel,
+              fallback: true
+            });
+            model = fallbackModel;
+            retries = 0;
+            continue;
+          }
+
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+// ============================================================================
+// PROVIDER SELECTION
+// ============================================================================
+
+/**
+ * Create the provider selected by LLM_PROVIDER (anthropic by default),
+ * with retries and model fallback
+ */
+function createLLMProvider() {
+  const providerName = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+
+  switch (providerName) {
+    case 'anthropic':
+      return withRetries(createAnthropicProvider());
+    case 'mock':
+      console.log('🧪 Using mock LLM provider - responses are canned demo data');
+      return withRetries(createMockProvider());
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use "anthropic" or "mock".`);
+  }
+}
+
+module.exports = {
+  LLMTimeoutError,
+  createLLMProvider,
+  resolveModel,
+  withSignal,
+  withRetryListener,
+  withRetries
+};
@@ -0,0 +1,282 @@
+/**
+ * FlashJobs 2.0 - Mock LLM Provider
+ * Deterministic canned responses for every generation step, so the full
+ * pipeline runs locally and in demos without an API key.
+ */
+
+const MOCK_MODEL = 'mock-1';
+
+// ============================================================================
+// CANNED RESPONSES
+// ============================================================================
+
+const EXTRACTION = {
+  name: 'Alex Morgan',
+  email: 'alex.morgan@example.com',
+  phone: '+49 151 2345 6789',
+  linkedin: 'https://linkedin.com/in/alexmorgan',
+  location: 'Berlin, Germany',
+  nationality: null,
+  visaStatus: null,
+  currentTitle: 'Product Manager',
+  yearsExperience: '6',
+  skills: [
+    'Product Management',
+    'Stakeholder Management',
+    'Agile',
+    'Scrum',
+    'SQL',
+    'Jira',
+    'User Research',
+    'Roadmapping',
+    'B2B'
+  ],
+  experience: [
+    {
+      title: 'Product Manager',
+      company: 'Brightline Software GmbH',
+      location: 'Berlin, Germany',
+      dates: 'Mar 2021 - Present',
+      achievements: [
+        'Launched a self-serve onboarding flow that cut time-to-value from 14 days to 3 days',
+        'Led a cross-functional team of 8 engineers and designers through quarterly roadmap planning',
+        'Increased trial-to-paid conversion by 18% through pricing page experiments'
+      ]
+    },
+    {
+      title: 'Associate Product Manager',
+      company: 'Cartwheel Logistics',
+      location: 'Amsterdam, Netherlands',
+      dates: 'Jun 2018 - Feb 2021',
+      achievements: [
+        'Shipped a route optimisation feature used by 120 enterprise customers',
+        'Ran 40 customer interviews to define the analytics dashboard requirements'
+      ]
+    }
+  ],
+  education: [
+    {
+      degree: 'Master of Science in Business Informatics',
+      institution: 'Humboldt University of Berlin',
+      year: '2018'
+    }
+  ],
+  certifications: ['Certified Scrum Product Owner'],
+  languages: ['English (Native)', 'German (B2)']
+};
+
+const JOB_ANALYSIS = {
+  jobTitle: 'Senior Product Manager',
+  company: 'Northwind Analytics',
+  requiredSkills: ['Product Management', 'Stakeholder Management', 'SQL', 'Agile', 'A/B Testing'],
+  preferredSkills: ['Jira', 'B2B SaaS', 'User Research'],
+  keyResponsibilities: [
+    'Own the product roadmap for the analytics platform',
+    'Work with engineering and design to ship customer-facing features',
+    'Run experiments to improve activation and retention'
+  ],
+  yearsRequired: '5',
+  mustHaves: ['5+ years of product management experience'],
+  keywords: ['roadmap', 'experimentation', 'activation', 'SaaS', 'stakeholder management']
+};
+
+function buildTailoredCV() {
+  return {
+    name: EXTRACTION.name,
+    contact: {
+      email: EXTRACTION.email,
+      phone: EXTRACTION.phone,
+      linkedin: EXTRACTION.linkedin,
+      location: EXTRACTION.location
+    },
+    nationality: null,
+    visaStatus: null,
+    headline: 'Product Manager | B2B Onboarding & Growth Experiments',
+    summary: 'Product Manager with a track record of shipping onboarding and pricing improvements in B2B software. Leads cross-functional teams from discovery to launch and grounds roadmap decisions in customer research and experiments.',
+    coreCompetencies: [
+      { category: 'Product', skills: ['Product Management', 'Roadmapping', 'User Research'] },
+      { category: 'Delivery', skills: ['Agile', 'Scrum', 'Jira', 'Stakeholder Management'] },
+      { category: 'Data', skills: ['SQL'] }
+    ],
+    experience: EXTRACTION.experience.map(role => ({
+      ...role,
+      achievements: [...role.achievements]
+    })),
+    education: EXTRACTION.education,
+    certifications: EXTRACTION.certifications,
+    languages: EXTRACTION.languages
+  };
+}
+
+const COVER_LETTER = {
+  opening: 'I am excited to apply for the Senior Product Manager role at Northwind Analytics. Over the past six years I have built B2B products that help customers reach value faster, most recently cutting time-to-value for new accounts from 14 days to 3 days.',
+  body: [
+    'At Brightline Software I lead a cross-functional team of 8 engineers and designers. Pricing page experiments I ran there increased trial-to-paid conversion by 18%, and that experimentation habit is exactly what your activation and retention goals call for.',
+    'Before that, at Cartwheel Logistics, I shipped a route optimisation feature now used by 120 enterprise customers and ran 40 customer interviews to shape our analytics dashboard, giving me a grounding in analytics products from the customer side.'
+  ],
+  closing: 'I would welcome the chance to discuss how my experience can help Northwind Analytics grow its platform. Thank you for your consideration.',
+  recipientName: 'Hiring Manager',
+  companyName: 'Northwind Analytics',
+  jobTitle: 'Senior Product Manager'
+};
+
+// Section regeneration answers depend on which section was asked for
+const SECTION_RESPONSES = {
+  sectionText: {
+    text: 'Product Manager who ships onboarding and pricing improvements in B2B software, leading cross-functional teams from customer research to launch.'
+  },
+  sectionAchievements: {
+    achievements: [
+      'Cut time-to-value for new accounts from 14 days to 3 days by launching a self-serve onboarding flow',
+      'Raised trial-to-paid conversion by 18% through pricing page experiments',
+      'Led a cross-functional team of 8 engineers and designers through quarterly roadmap planning'
+    ]
+  },
+  sectionCompetencies: {
+    coreCompetencies: [
+      { category: 'Product Strategy', skills: ['Product Management', 'Roadmapping', 'Stakeholder Management'] },
+      { category: 'Discovery & Data', skills: ['User Research', 'SQL'] },
+      { category: 'Delivery', skills: ['Agile', 'Scrum', 'Jira'] }
+    ]
+  }
+};
+
+// Refinement leads with stakeholder work, whatever was asked
+function buildRefinement() {
+  const cvContent = buildTailoredCV();
+  cvContent.summary = 'Product Manager who aligns stakeholders and leads cross-functional teams in B2B software, shipping onboarding and pricing improvements grounded in customer research.';
+  const [first, ...rest] = cvContent.experience[0].achievements;
+  cvContent.experience[0].achievements = [...rest.slice(0, 1), first, ...rest.slice(1)];
+
+  return {
+    reply: 'I moved your cross-functional leadership to the top of your Brightline role and reworked the summary around stakeholder alignment.',
+    cvContent
+  };
+}
+
+const INTERVIEW_PREP = {
+  questions: [
+    {
+      question: 'Tell me about a time you improved activation for new customers.',
+      category: 'behavioural',
+      focus: 'Activation and onboarding are the first priority in the job description',
+      answer: {
+        company: 'Brightline Software GmbH',
+        situation: 'New accounts at Brightline took 14 days to reach value, which held back trial conversion.',
+        task: 'I owned onboarding and needed to get customers to their first result much faster.',
+        action: 'I launched a self-serve onboarding flow that removed the manual setup steps.',
+        result: 'Time-to-value dropped from 14 days to 3 days.'
+      }
+    },
+    {
+      question: 'How do you decide whether an experiment was a success?',
+      category: 'role',
+      focus: 'The team runs pricing and growth experiments',
+      answer: {
+        company: 'Brightline Software GmbH',
+        situation: 'Trial-to-paid conversion on our pricing page was flat.',
+        task: 'I needed to find pricing page changes that moved conversion.',
+        action: 'I ran a series of pricing page experiments, agreeing the success metric before each one.',
+        result: 'Trial-to-paid conversion increased by 18%.'
+      }
+    },
+    {
+      question: 'How do you turn customer research into product requirements?',
+      category: 'role',
+      focus: 'Discovery skills for an analytics product',
+      answer: {
+        company: 'Cartwheel Logistics',
+        situation: 'Cartwheel Logistics was building an analytics dashboard without clear requirements.',
+        task: 'I had to define what customers actually needed from it.',
+        action: 'I ran 40 customer interviews and grouped the findings into requirements.',
+        result: 'The interviews defined the analytics dashboard requirements the team built against.'
+      }
+    },
+    {
+      question: 'What experience do you have with product analytics tools such as Amplitude?',
+      category: 'technical',
+      focus: 'Listed as a preferred skill; your documents do not mention it, so prepare an honest answer about the analytics work you have done',
+      answer: null
+    },
+    {
+      question: 'Why do you want to join Northwind Analytics?',
+      category: 'motivation',
+      focus: 'Connect your B2B SaaS background to their analytics platform',
+      answer: null
+    }
+  ],
+  questionsToAsk: [
+    'How does the product team measure activation today, and what would you like it to be in a year?',
+    'How are experiments prioritised between product and growth?',
+    'What does the first 90 days look like for someone in this role?'
+  ],
+  jobTitle: 'Senior Product Manager',
+  companyName: 'Northwind Analytics'
+};
+
+const PITCH = {
+  pitch30: "I'm Alex Morgan, a product manager with six years in B2B software. At Brightline Software I cut time-to-value for new accounts from 14 days to 3 days and raised trial-to-paid conversion by 18% through pricing experiments. I'm looking for a senior product role where activation and growth are the priority.",
+  pitch60: "I'm Alex Morgan, a product manager with six years in B2B software. I started as an associate product manager at Cartwheel Logistics, where I shipped a route optimisation feature used by 120 enterprise customers and ran 40 customer interviews to define our analytics dashboard. Since 2021 I've been at Brightline Software, leading a cross-functional team of 8 engineers and designers. There I launched a self-serve onboarding flow that cut time-to-value from 14 days to 3 days, and pricing page experiments that increased trial-to-paid conversion by 18%. What ties it together is starting from customer research and measuring the result. I'm now looking for a senior product role where activation and growth are the priority.",
+  linkedinHeadline: 'Product Manager | B2B SaaS | Onboarding, Pricing & Experimentation | Customer Research',
+  linkedinAbout: "I build B2B products that get customers to value faster.\n\nAt Brightline Software I lead a cross-functional team of 8 engineers and designers. We launched a self-serve onboarding flow that cut time-to-value from 14 days to 3 days, and pricing page experiments that increased trial-to-paid conversion by 18%.\n\nBefore that, at Cartwheel Logistics, I shipped a route optimisation feature used by 120 enterprise customers and ran 40 customer interviews to define our analytics dashboard.\n\nSkills: product management, roadmapping, user research, SQL, Agile and Scrum, stakeholder management."
+};
+
+// The section prompt ends with the JSON shape it wants back
+function sectionSchemaFromPrompt(messages) {
+  const prompt = (messages || []).map(m => m.content).join('');
+  const output = prompt.slice(prompt.lastIndexOf('## OUTPUT FORMAT'));
+  if (output.includes('"achievements"')) return 'sectionAchievements';
+  if (output.includes('"coreCompetencies"')) return 'sectionCompetencies';
+  return 'sectionText';
+}
+
+const RESPONSES = {
+  extraction: () => EXTRACTION,
+  jobAnalysis: () => JOB_ANALYSIS,
+  tailoring: buildTailoredCV,
+  coverLetter: () => COVER_LETTER,
+  sectionRegeneration: ({ messages }) => SECTION_RESPONSES[sectionSchemaFromPrompt(messages)],
+  refinement: buildRefinement,
+  interviewPrep: () => INTERVIEW_PREP,
+  pitch: () => PITCH
+};
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+// Rough token estimate so usage figures look plausible in demos
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async complete({ step, system, messages, signal }) {
+      signal?.throwIfAborted();
+      const respond = RESPONSES[step];
+      const data = respond && respond({ messages });
+      if (!data) {
+        throw new Error(`Mock provider has no canned response for step "${step}"`);
+      }
+
+      const text = JSON.stringify(data, null, 2);
+      const promptText = `${system || ''}${(messages || []).map(m => m.content).join('')}`;
+
+      return {
+        text,
+        model: MOCK_MODEL,
+        usage: {
+          input_tokens: estimateTokens(promptText),
+          output_tokens: estimateTokens(text)
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,400 @@
+/**
+ * FlashJobs 2.0 - PDF Generator
+ * Renders the same CV and cover letter content as documentGenerator.js to
+ * PDF, using the same template themes and country conventions.
+ */
+
+const PDFDocument = require('pdfkit');
+const { resolveLocale, getPersonalDetails, formatDateRange } = require('./regions');
+const { resolveTheme } = require('./templates');
+const { groupQuestions } = require('./interviewPrep');
+
+// PDFs only embed the standard fonts, so template fonts map to the closest
+// built-in family
+const SERIF_FONTS = /georgia|times|garamond|cambria|palatino|book antiqua|baskerville|constantia/i;
+
+const FONT_FAMILIES = {
+  serif: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic', boldItalic: 'Times-BoldItalic' },
+  sans: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', boldItalic: 'Helvetica-BoldOblique' }
+};
+
+// Theme sizes are docx half-points and spacing is twips
+const halfPointsToPt = size => size / 2;
+const twipsToPt = twips => twips / 20;
+
+// ============================================================================
+// CV GENERATOR
+// ============================================================================
+
+/**
+ * Generate a CV PDF. Arguments match generateCV() in documentGenerator.js.
+ */
+async function generateCVPdf(cvContent, profile, locale, options = {}) {
+  const { conventions } = resolveLocale(locale);
+  const theme = resolveTheme(options.template, options.theme);
+  const {
+    name = 'Candidate Name',
+    contact = {},
+    headline = ''
+  } = cvContent;
+
+  const doc = createDocument(theme, conventions, `${name} - CV`);
+  const align = theme.layout.headerAlignment === 'left' ? 'left' : 'center';
+
+  // -------------------------------------------------------------------------
+  // HEADER
+  // -------------------------------------------------------------------------
+  writeRuns(doc, theme, [
+    { text: name.toUpperCase(), bold: true, size: theme.sizes.name, heading: true, color: theme.accentColor }
+  ], { align, after: 60 });
+
+  const contactLine = [contact.location, contact.email, contact.phone, contact.linkedin]
+    .filter(Boolean)
+    .concat(getPersonalDetails(cvContent, conventions));
+
+  if (contactLine.length > 0) {
+    writeRuns(doc, theme, [{ text: contactLine.join(' • ') }], { align, after: theme.spacing.paragraph });
+  }
+
+  if (headline) {
+    writeRuns(doc, theme, [
+      { text: headline.toUpperCase(), bold: true, size: theme.sizes.heading, heading: true }
+    ], { align, after: theme.spacing.section });
+  }
+
+  // -------------------------------------------------------------------------
+  // SECTIONS - in the template's order
+  // -------------------------------------------------------------------------
+  for (const section of theme.sectionOrder) {
+    const blocks = SECTION_BLOCKS[section](cvContent, theme, conventions);
+    if (blocks.length > 0) {
+      writeSectionHeading(doc, theme, conventions.sectionTitles[section]);
+      for (const block of blocks) {
+        writeRuns(doc, theme, block.runs, block);
+      }
+    }
+  }
+
+  return await toBuffer(doc);
+}
+
+// ============================================================================
+// CV SECTIONS
+// ============================================================================
+// Each builder returns the section's blocks ({ runs, after, line }), or an
+// empty array when the CV has nothing for that section.
+
+const SECTION_BLOCKS = {
+  summary({ summary = '' }, theme) {
+    if (!summary) return [];
+    return [{ runs: [{ text: summary }], after: theme.spacing.section, line: true }];
+  },
+
+  competencies({ coreCompetencies = [] }, theme) {
+    if (coreCompetencies.length === 0) return [];
+
+    if (theme.layout.competenciesInline) {
+      const runs = [];
+      coreCompetencies.forEach((category, i) => {
+        if (i > 0) runs.push({ text: '  |  ' });
+        runs.push({ text: `${category.category}: `, bold: true }, { text: category.skills.join(', ') });
+      });
+      return [{ runs, after: theme.spacing.paragraph, line: true }];
+    }
+
+    return coreCompetencies.map(category => ({
+      runs: [{ text: `${category.category}: `, bold: true }, { text: category.skills.join(', ') }],
+      after: theme.spacing.item,
+      line: true
+    }));
+  },
+
+  experience({ experience = [] }, theme, conventions) {
+    const blocks = [];
+
+    for (const job of experience) {
+      blocks.push({
+        runs: [{ text: job.title, bold: true }, { text: ' | ' }, { text: job.company, bold: true }],
+        after: 60
+      });
+      blocks.push({
+        runs: [{
+          text: `${job.location || ''} | ${formatDateRange(job.dates, conventions.dateFormat) || ''}`,
+          italic: true,
+          size: theme.sizes.small
+        }],
+        after: 60
+      });
+
+      if (job.description) {
+        blocks.push({
+          runs: [{ text: job.description, italic: true, size: theme.sizes.small }],
+          after: theme.spacing.item
+        });
+      }
+
+      for (const achievement of job.achievements || []) {
+        blocks.push({
+          runs: [{ text: '• ' }, ...achievementRuns(achievement)],
+          after: theme.spacing.item,
+          line: true
+        });
+      }
+
+      // Space after each job
+      blocks.push({ runs: [], after: theme.spacing.paragraph });
+    }
+
+    return blocks;
+  },
+
+  education({ education = [] }, theme) {
+    return education.map(edu => ({
+      runs: [{ text: `${edu.degree} | ${edu.institution} | ${edu.year}` }],
+      after: theme.spacing.item,
+      line: true
+    }));
+  },
+
+  certifications({ certifications = [] }, theme) {
+    if (certifications.length === 0) return [];
+    return [{ runs: [{ text: certifications.join(' • ') }], after: theme.spacing.paragraph, line: true }];
+  },
+
+  languages({ languages = [] }, theme) {
+    const validLanguages = (languages || []).filter(l =>
+      l && l.language && l.language !== 'undefined' && l.level && l.level !== 'undefined'
+    );
+    if (validLanguages.length === 0) return [];
+
+    const langText = validLanguages.map(l => `${l.language} (${l.level})`).join(', ');
+    return [{ runs: [{ text: langText }], after: theme.spacing.paragraph, line: true }];
+  }
+};
+
+// ============================================================================
+// COVER LETTER GENERATOR
+// ============================================================================
+
+/**
+ * Generate a cover letter PDF. Arguments match generateCoverLetter() in
+ * documentGenerator.js.
+ */
+async function generateCoverLetterPdf(letterContent, profile, jobData, locale, options = {}) {
+  const { conventions } = resolveLocale(locale);
+  const theme = resolveTheme(options.template, options.theme);
+  const {
+    opening = '',
+    body = [],
+    closing = '',
+    recipientName = 'Hiring Manager',
+    companyName = 'Company'
+  } = letterContent;
+
+  const candidateName = profile?.name || 'Candidate Name';
+  const doc = createDocument(theme, conventions, `${candidateName} - Cover Letter`);
+  const align = theme.layout.headerAlignment === 'left' ? 'left' : 'center';
+  const today = new Date().toLocaleDateString(conventions.letterDateLocale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  // Header
+  writeRuns(doc, theme, [
+    { text: candidateName.toUpperCase(), bold: true, size: theme.sizes.heading, heading: true, color: theme.accentColor }
+  ], { align, after: 60 });
+
+  const contact = profile?.contact || {};
+  const contactLine = [contact.location, contact.email, contact.phone, contact.linkedin].filter(Boolean);
+  if (contactLine.length > 0) {
+    writeRuns(doc, theme, [{ text: contactLine.join(' • ') }], { align, after: theme.spacing.section, rule: theme.layout.headingRule });
+  }
+
+  // Date and recipient
+  writeRuns(doc, theme, [{ text: today }], { after: theme.spacing.section });
+  writeRuns(doc, theme, [{ text: recipientName }], { after: 60 });
+  writeRuns(doc, theme, [{ text: companyName }], { after: 60 });
+  writeRuns(doc, theme, [{ text: jobData?.location || '' }], { after: theme.spacing.section });
+
+  // Salutation and body
+  writeRuns(doc, theme, [{ text: `Dear ${recipientName},` }], { after: theme.spacing.paragraph });
+
+  for (const paragraph of [opening, ...body].filter(Boolean)) {
+    writeRuns(doc, theme, [{ text: paragraph }], { after: theme.spacing.paragraph, line: true });
+  }
+  if (closing) {
+    writeRuns(doc, theme, [{ text: closing }], { after: theme.spacing.section, line: true });
+  }
+
+  // Sign off
+  writeRuns(doc, theme, [{ text: 'Best regards,' }], { after: 60 });
+  writeRuns(doc, theme, [{ text: candidateName }]);
+
+  return await toBuffer(doc);
+}
+
+// ============================================================================
+// INTERVIEW PREP GENERATOR
+// ============================================================================
+
+/**
+ * Generate the interview prep pack PDF. Arguments match
+ * generateInterviewPrep() in documentGenerator.js.
+ */
+async function generateInterviewPrepPdf(prepContent, profile, jobData, locale, options = {}) {
+  const { conventions } = resolveLocale(locale);
+  const theme = resolveTheme(options.template, options.theme);
+  const {
+    questionsToAsk = [],
+    jobTitle = jobData?.title || 'Position',
+    companyName = jobData?.company || 'Company'
+  } = prepContent;
+
+  const doc = createDocument(theme, conventions, `${profile?.name || 'Candidate'} - Interview Preparation`);
+  const align = theme.layout.headerAlignment === 'left' ? 'left' : 'center';
+
+  // Header
+  writeRuns(doc, theme, [
+    { text: 'INTERVIEW PREPARATION', bold: true, size: theme.sizes.name, heading: true, color: theme.accentColor }
+  ], { align, after: 60 });
+  writeRuns(doc, theme, [
+    { text: [profile?.name, `${jobTitle} at ${companyName}`].filter(Boolean).join(' • ') }
+  ], { align, after: theme.spacing.section, rule: theme.layout.headingRule });
+
+  // Questions by category
+  for (const group of groupQuestions(prepContent)) {
+    writeSectionHeading(doc, theme, group.title.toUpperCase());
+
+    for (const item of group.questions) {
+      writeRuns(doc, theme, [{ text: item.question, bold: true }], { after: 60 });
+      if (item.focus) {
+        writeRuns(doc, theme, [{ text: item.focus, italic: true, size: theme.sizes.small }], { after: theme.spacing.item });
+      }
+      if (item.answer) {
+        for (const [label, text] of starParts(item.answer)) {
+          writeRuns(doc, theme, [{ text: `${label}: `, bold: true }, ...achievementRuns(text)], { after: theme.spacing.item, line: true });
+        }
+      }
+      doc.y += twipsToPt(theme.spacing.paragraph);
+    }
+  }
+
+  // Questions to ask
+  if (questionsToAsk.length > 0) {
+    writeSectionHeading(doc, theme, 'QUESTIONS TO ASK');
+    for (const question of questionsToAsk) {
+      writeRuns(doc, theme, [{ text: `• ${question}` }], { after: theme.spacing.item, line: true });
+    }
+  }
+
+  return await toBuffer(doc);
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function starParts(answer) {
+  return [
+    ['Situation', answer.situation],
+    ['Task', answer.task],
+    ['Action', answer.action],
+    ['Result', answer.result]
+  ].filter(([, text]) => text);
+}
+
+function createDocument(theme, conventions, title) {
+  const doc = new PDFDocument({
+    size: conventions.paper,
+    margins: {
+      top: twipsToPt(theme.margins.top),
+      right: twipsToPt(theme.margins.right),
+      bottom: twipsToPt(theme.margins.bottom),
+      left: twipsToPt(theme.margins.left)
+    },
+    info: { Title: title, Creator: 'FlashJobs 2.0' }
+  });
+
+  // Collect output as it's produced so nothing is lost before toBuffer()
+  doc.chunks = [];
+  doc.on('data', chunk => doc.chunks.push(chunk));
+  return doc;
+}
+
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(doc.chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+function fontFor(theme, run) {
+  const family = SERIF_FONTS.test(run.heading ? theme.fonts.heading : theme.fonts.body) ? 'serif' : 'sans';
+  const fonts = FONT_FAMILIES[family];
+  if (run.bold && run.italic) return fonts.boldItalic;
+  if (run.bold) return fonts.bold;
+  if (run.italic) return fonts.italic;
+  return fonts.regular;
+}
+
+/**
+ * Write one paragraph made of styled runs. `after` is spacing in twips,
+ * `line` applies the theme's line spacing and `rule` draws an accent rule
+ * underneath.
+ */
+function writeRuns(doc, theme, runs, { align = 'left', after = 0, line = false, rule = false } = {}) {
+  const visible = runs.filter(run => run.text);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  visible.forEach((run, i) => {
+    const size = halfPointsToPt(run.size || theme.sizes.body);
+    doc.font(fontFor(theme, run))
+      .fontSize(size)
+      .fillColor(`#${run.color || '000000'}`);
+
+    const textOptions = {
+      continued: i < visible.length - 1,
+      lineGap: line ? size * (theme.spacing.line / 240 - 1) : 0
+    };
+    // Position and alignment are set by the first run of the paragraph
+    if (i === 0) {
+      doc.text(run.text, left, doc.y, { ...textOptions, width, align });
+    } else {
+      doc.text(run.text, textOptions);
+    }
+  });
+
+  if (rule) {
+    const y = doc.y + 1;
+    doc.moveTo(left, y)
+      .lineTo(left + width, y)
+      .lineWidth(0.75)
+      .strokeColor(`#${theme.accentColor}`)
+      .stroke();
+  }
+
+  doc.y += twipsToPt(after);
+}
+
+function writeSectionHeading(doc, theme, text) {
+  writeRuns(doc, theme, [
+    { text, bold: true, size: theme.sizes.heading, heading: true, color: theme.accentColor }
+  ], { after: theme.spacing.paragraph, rule: theme.layout.headingRule });
+}
+
+function achievementRuns(text) {
+  // Bold numbers and percentages in achievements
+  return String(text)
+    .split(/(\d+%?|\d+\+?)/g)
+    .filter(Boolean)
+    .map(part => ({ text: part, bold: /^\d/.test(part) }));
+}
+
+module.exports = {
+  generateCVPdf,
+  generateCoverLetterPdf,
+  generateInterviewPrepPdf
+};
@@ -0,0 +1,96 @@
+/**
+ * FlashJobs 2.0 - Pipeline
+ * Runs a generation as a small dependency graph: each step starts as soon
+ * as the steps it needs have finished, so independent LLM calls and
+ * rendering run concurrently instead of one after the other.
+ *
+ *   runSteps([{ id, needs, when, run }], { signal, controller }) -> { results, timings }
+ *
+ * run(results) gets the results of the finished steps by id. A step whose
+ * `when` is false doesn't run; its result is null and steps that need it
+ * still do. timings holds each step's duration in ms.
+ */
+
+/**
+ * Run the steps and resolve with every step's result. The first failure
+ * rejects and nothing new starts. It also aborts `controller`, so steps
+ * already running can stop early (by using its signal for their LLM
+ * calls); their results are dropped either way.
+ */
+function runSteps(steps, { signal, controller } = {}) {
+  const ids = new Set(steps.map(step => step.id));
+  for (const step of steps) {
+    for (const need of step.needs || []) {
+      if (!ids.has(need)) {
+        throw new Error(`Pipeline step "${step.id}" needs unknown step "${need}"`);
+      }
+    }
+  }
+
+  const results = {};
+  const timings = {};
+  const pending = new Map();
+  for (const step of steps) {
+    if (step.when === false) {
+      results[step.id] = null;
+    } else {
+      pending.set(step.id, step);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    let running = 0;
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      reject(error);
+      controller?.abort(error);
+    };
+
+    const launchReady = () => {
+      if (failed) return;
+
+      for (const step of [...pending.values()]) {
+        if (!(step.needs || []).every(need => need in results)) continue;
+
+        pending.delete(step.id);
+        running++;
+        const startedAt = Date.now();
+
+        Promise.resolve()
+          .then(() => {
+            signal?.throwIfAborted();
+            return step.run(results);
+          })
+          .then(value => {
+            running--;
+            if (failed) return;
+            results[step.id] = value === undefined ? null : value;
+            timings[step.id] = Date.now() - startedAt;
+            if (pending.size === 0 && running === 0) {
+              resolve({ results, timings });
+            } else {
+              launchReady();
+            }
+          })
+          .catch(fail);
+      }
+
+      if (running === 0) {
+        if (pending.size === 0) {
+          resolve({ results, timings });
+        } else {
+          fail(new Error(`Pipeline steps can never run (circular dependencies): ${[...pending.keys()].join(', ')}`));
+        }
+      }
+    };
+
+    launchReady();
+  });
+}
+
+module.exports = {
+  runSteps
+};
@@ -0,0 +1,82 @@
+/**
+ * FlashJobs 2.0 - Pitch Generator
+ * Writes a candidate's 30- and 60-second elevator pitches, LinkedIn headline
+ * and LinkedIn About section from their extracted profile facts, optionally
+ * aimed at a target job.
+ */
+
+const { completeStructured } = require('./structuredOutput');
+const { verifyPitch } = require('./factVerifier');
+
+/**
+ * Generate the pitch pack. `jobRequirements` is optional; without it the
+ * pitch presents the candidate's profile in general.
+ * Returns { content, verification }.
+ */
+async function generatePitch(llm, { extractedData, jobRequirements = null, locale, onProgress = () => {} }) {
+  onProgress(jobRequirements
+    ? `Writing your elevator pitch for ${jobRequirements.jobTitle || 'this role'}...`
+    : 'Writing your elevator pitch...');
+
+  const target = jobRequirements
+    ? `## TARGET JOB REQUIREMENTS:
+${JSON.stringify(jobRequirements, null, 2)}
+
+## TARGET MARKET:
+${locale?.countryName || 'International'}`
+    : `## TARGET:
+No specific job - present the candidate's strongest, most consistent story for their current career direction.`;
+
+  const response = await completeStructured(llm, {
+    step: 'pitch',
+    maxTokens: 2000,
+    messages: [{
+      role: 'user',
+      content: `Write this candidate's elevator pitches and LinkedIn profile copy. You MUST use ONLY the verified data provided below. DO NOT invent any information.
+
+## VERIFIED CANDIDATE DATA (USE ONLY THIS):
+${JSON.stringify(extractedData, null, 2)}
+
+${target}
+
+## YOUR TASK:
+1. pitch30: a 30-second spoken pitch (about 70-80 words), first person, natural to say out loud
+2. pitch60: a 60-second spoken version (about 140-160 words) with one or two concrete achievements
+3. linkedinHeadline: a LinkedIn headline, at most 220 characters
+4. linkedinAbout: a LinkedIn About section in first person, 2-4 short paragraphs separated by blank lines, at most 2600 characters
+
+## STRICT RULES:
+- Use the EXACT company names and job titles from the verified data
+- Numbers and metrics must be EXACTLY as stated in verified data
+- DO NOT invent skills, certifications, employers, or experience
+- If a target job is given, lead with the experience most relevant to it, but never claim skills the candidate doesn't have
+
+## OUTPUT FORMAT:
+Return a JSON object:
+{
+  "pitch30": "...",
+  "pitch60": "...",
+  "linkedinHeadline": "...",
+  "linkedinAbout": "..."
+}`
+    }],
+    system: `You are a career coach who writes authentic elevator pitches and LinkedIn profiles using only the candidate's real experience.
+
+ABSOLUTE RULES:
+1. NEVER invent information - use only what's in the verified data
+2. NEVER add skills, employers, or results the candidate doesn't have
+3. Write the way people speak: short sentences, no buzzword lists`
+  });
+
+  onProgress('Fact-checking your pitch against your original documents...');
+  const verification = verifyPitch(response.data, extractedData);
+
+  return {
+    content: verification.pitchContent,
+    verification: verification.report
+  };
+}
+
+module.exports = {
+  generatePitch
+};
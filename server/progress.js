@@ -0,0 +1,94 @@
+/**
+ * FlashJobs 2.0 - Progress
+ * Typed progress events for generation streams. Every event names the
+ * pipeline step it belongs to and carries real timings, so clients can
+ * render progress without parsing message text:
+ *
+ *   { type: 'progress', step, status, message, percent, elapsedMs, durationMs?, data? }
+ *
+ * status is 'started' or 'completed' at step boundaries, 'info' for a
+ * message within a step; steps can run concurrently (server/pipeline.js).
+ * durationMs is set on 'completed'; data is the step's structured result
+ * (region, match score, ATS score...).
+ */
+
+// Generation steps in pipeline order, weighted by their usual share of the
+// total time (the LLM calls dominate)
+const GENERATION_STEPS = [
+  { id: 'profile', weight: 2 },
+  { id: 'locale', weight: 1 },
+  { id: 'extraction', weight: 20 },
+  { id: 'jobAnalysis', weight: 10 },
+  { id: 'gapAnalysis', weight: 2 },
+  { id: 'tailoring', weight: 30 },
+  { id: 'verification', weight: 2 },
+  { id: 'coverLetter', weight: 15 },
+  { id: 'interviewPrep', weight: 20 },
+  { id: 'pitch', weight: 10 },
+  { id: 'render', weight: 4 },
+  { id: 'renderCoverLetter', weight: 2 },
+  { id: 'renderInterviewPrep', weight: 2 },
+  { id: 'save', weight: 3 }
+];
+
+/**
+ * The steps a generation with these options will run
+ */
+function planGenerationSteps(options = {}, { savedProfile = false } = {}) {
+  const skipped = new Set([
+    !savedProfile && 'profile',
+    options.generateCoverLetter === false && 'coverLetter',
+    options.generateCoverLetter === false && 'renderCoverLetter',
+    !options.generateInterviewPrep && 'interviewPrep',
+    !options.generateInterviewPrep && 'renderInterviewPrep',
+    !options.generatePitch && 'pitch'
+  ]);
+  return GENERATION_STEPS.filter(step => !skipped.has(step.id));
+}
+
+/**
+ * Track progress through the planned steps, sending each event to emit.
+ * percent counts completed steps by weight and only ever goes up.
+ */
+function createProgressTracker(emit, steps = GENERATION_STEPS) {
+  const startedAt = Date.now();
+  const weights = new Map(steps.map(step => [step.id, step.weight]));
+  const totalWeight = steps.reduce((sum, step) => sum + step.weight, 0) || 1;
+  const stepStartedAt = new Map();
+  let completedWeight = 0;
+
+  const send = (step, status, message, extra = {}) => {
+    emit({
+      type: 'progress',
+      step,
+      status,
+      message,
+      percent: Math.min(100, Math.round((completedWeight / totalWeight) * 100)),
+      elapsedMs: Date.now() - startedAt,
+      ...extra
+    });
+  };
+
+  return {
+    start(step, message) {
+      stepStartedAt.set(step, Date.now());
+      send(step, 'started', message);
+    },
+
+    complete(step, message, data) {
+      completedWeight += weights.get(step) || 0;
+      const durationMs = Date.now() - (stepStartedAt.get(step) || Date.now());
+      send(step, 'completed', message, data ? { durationMs, data } : { durationMs });
+    },
+
+    info(step, message, data) {
+      send(step, 'info', message, data ? { data } : {});
+    }
+  };
+}
+
+module.exports = {
+  GENERATION_STEPS,
+  planGenerationSteps,
+  createProgressTracker
+};
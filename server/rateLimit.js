@@ -0,0 +1,205 @@
+/**
+ * FlashJobs 2.0 - Rate limiting
+ * Per-subject request limits for the endpoints that cost money (LLM calls)
+ * or fetch arbitrary URLs. Counters live in Postgres (rate_limit_hits), so
+ * every instance sees the same counts.
+ *
+ * Subjects are the same as for quotas (server/entitlements.js): a signed-in
+ * user, a WhatsApp number, or an IP address. Limits are fixed windows; a
+ * policy can have several (e.g. a per-minute burst and an hourly cap), and a
+ * request over any of them gets 429 with Retry-After.
+ *
+ * Abuse signal: a subject whose generations keep failing because of what it
+ * sends (junk input, probing) is blocked from all limited endpoints for a
+ * while. Failures that aren't the client's doing (AI outages and timeouts,
+ * database errors) don't count.
+ *
+ * Set RATE_LIMITS to override or add policies, e.g.
+ *   RATE_LIMITS='{"generate":[{"max":10,"windowSeconds":60}],"failedGenerations":{"max":10,"windowSeconds":600,"blockSeconds":900}}'
+ */
+
+const { pool } = require('./auth');
+const { quotaSubject, subjectKey } = require('./entitlements');
+const { InvalidInputError } = require('./generations');
+const { StructuredOutputError } = require('./structuredOutput');
+
+const DEFAULT_LIMITS = {
+  // LLM generations: /api/generate, /api/generations, /api/generate-simple,
+  // /api/pitch, /api/documents/:id/regenerate and /refine
+  generate: [
+    { max: 5, windowSeconds: 60 },
+    { max: 30, windowSeconds: 60 * 60 }
+  ],
+  // Profile, CV and job parsing (job URLs are fetched server-side)
+  parse: [
+    { max: 30, windowSeconds: 60 },
+    { max: 300, windowSeconds: 60 * 60 }
+  ],
+  // This many failed generations inside the window blocks the subject
+  failedGenerations: { max: 5, windowSeconds: 10 * 60, blockSeconds: 30 * 60 }
+};
+
+// Steps that read the client's own text: output the AI can't make valid
+// there means input it can't parse
+const INPUT_STEPS = ['extraction', 'jobAnalysis'];
+
+// AI service statuses for requests it rejected as invalid (e.g. a CV too
+// long for the model); auth and rate limit errors are ours, not the client's
+const INVALID_REQUEST_STATUSES = [400, 413];
+
+function loadLimits() {
+  if (!process.env.RATE_LIMITS) return DEFAULT_LIMITS;
+  try {
+    return { ...DEFAULT_LIMITS, ...JSON.parse(process.env.RATE_LIMITS) };
+  } catch (error) {
+    console.error('⚠ Ignoring RATE_LIMITS (not valid JSON):', error.message);
+    return DEFAULT_LIMITS;
+  }
+}
+
+const limits = loadLimits();
+
+function describeWait(seconds) {
+  return seconds < 90 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+// ============================================================================
+// COUNTERS
+// ============================================================================
+
+/**
+ * Count one hit for key in the current window of windowSeconds. Returns the
+ * hits so far and when the window ends.
+ */
+async function hit(key, windowSeconds, now = Date.now()) {
+  const windowMs = windowSeconds * 1000;
+  const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
+  const resetsAt = new Date(windowStart.getTime() + windowMs);
+
+  const result = await pool.query(
+    `INSERT INTO rate_limit_hits (key, window_start, hits, expires_at) VALUES ($1, $2, 1, $3)
+     ON CONFLICT (key, window_start) DO UPDATE SET hits = rate_limit_hits.hits + 1
+     RETURNING hits`,
+    [`${key}:${windowSeconds}`, windowStart, resetsAt]
+  );
+  return { hits: result.rows[0].hits, resetsAt };
+}
+
+async function getBlock(subject) {
+  const result = await pool.query(
+    'SELECT reason, blocked_until FROM rate_limit_blocks WHERE subject = $1 AND blocked_until > NOW()',
+    [subjectKey(subject)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete expired counters and blocks
+ */
+async function pruneRateLimits() {
+  try {
+    await pool.query('DELETE FROM rate_limit_hits WHERE expires_at < NOW()');
+    await pool.query('DELETE FROM rate_limit_blocks WHERE blocked_until < NOW()');
+  } catch (error) {
+    console.error('Rate limit cleanup error (non-fatal):', error.message);
+  }
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+function sendTooManyRequests(res, retryAt, error) {
+  const retryAfter = Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    error: `${error} Try again in ${describeWait(retryAfter)}.`,
+    code: 'RATE_LIMITED',
+    retryAfter,
+    retryAt: retryAt.toISOString()
+  });
+}
+
+/**
+ * Middleware enforcing a policy from the limits table. Use after
+ * optionalAuth so the subject is known, and before multer on upload routes
+ * so a limited client's files are never buffered (the subject doesn't
+ * depend on the body). If the store is unavailable requests are let through.
+ */
+function rateLimit(policy) {
+  const policyLimits = limits[policy];
+  if (!Array.isArray(policyLimits)) {
+    throw new Error(`Unknown rate limit policy "${policy}"`);
+  }
+
+  return async (req, res, next) => {
+    const subject = quotaSubject(req);
+
+    try {
+      const block = await getBlock(subject);
+      if (block) {
+        return sendTooManyRequests(res, new Date(block.blocked_until), `Too many requests: ${block.reason}.`);
+      }
+
+      let retryAt = null;
+      for (const { max, windowSeconds } of policyLimits) {
+        const { hits, resetsAt } = await hit(`${policy}:${subjectKey(subject)}`, windowSeconds);
+        if (hits > max && (!retryAt || resetsAt > retryAt)) {
+          retryAt = resetsAt;
+        }
+      }
+      if (retryAt) {
+        console.warn(`🚦 Rate limited ${subjectKey(subject)} on ${policy}`);
+        return sendTooManyRequests(res, retryAt, 'Too many requests.');
+      }
+    } catch (error) {
+      console.error('Rate limit error (non-fatal, allowing request):', error.message);
+    }
+    next();
+  };
+}
+
+// ============================================================================
+// ABUSE SIGNAL
+// ============================================================================
+
+/**
+ * True if a generation failed because of the client's input
+ */
+function isClientFailure(error) {
+  if (error instanceof InvalidInputError) return true;
+  if (error instanceof StructuredOutputError) return INPUT_STEPS.includes(error.step);
+  return INVALID_REQUEST_STATUSES.includes(error?.status);
+}
+
+/**
+ * Count a failed (not cancelled) generation against its subject if the
+ * client caused it, and block the subject once failures hit the
+ * failedGenerations limit. Never throws.
+ */
+async function recordGenerationFailure(subject, error) {
+  if (!subject || !isClientFailure(error)) return;
+  const { max, windowSeconds, blockSeconds } = limits.failedGenerations;
+
+  try {
+    const { hits } = await hit(`failedGenerations:${subjectKey(subject)}`, windowSeconds);
+    if (hits < max) return;
+
+    await pool.query(
+      `INSERT INTO rate_limit_blocks (subject, reason, blocked_until) VALUES ($1, $2, $3)
+       ON CONFLICT (subject) DO UPDATE SET reason = EXCLUDED.reason, blocked_until = EXCLUDED.blocked_until, created_at = NOW()`,
+      [subjectKey(subject), `${hits} failed generations in ${describeWait(windowSeconds)}`, new Date(Date.now() + blockSeconds * 1000)]
+    );
+    console.warn(`🚨 Blocked ${subjectKey(subject)} for ${describeWait(blockSeconds)} after ${hits} failed generations`);
+  } catch (error) {
+    console.error('Abuse tracking error (non-fatal):', error.message);
+  }
+}
+
+module.exports = {
+  rateLimit,
+  isClientFailure,
+  recordGenerationFailure,
+  pruneRateLimits
+};
@@ -0,0 +1,409 @@
+/**
+ * FlashJobs 2.0 - Regions & CV Conventions
+ * Detects the country a job is based in and maps it to the CV conventions
+ * hiring managers there expect (paper size, date format, personal details,
+ * section naming).
+ */
+
+// ============================================================================
+// COUNTRIES
+// ============================================================================
+
+// region is the hiring-norm region used for compliance fields, not a strict
+// political grouping (Switzerland follows EU-style CV norms, for example).
+// ambiguousTerms are names that also mean somewhere else or something else
+// ("Cambridge, MA", "Latin America", "nice to have") and count for less.
+const COUNTRIES = {
+  DE: { name: 'Germany', region: 'EU', profile: 'DACH', tlds: ['de'], languages: ['de'],
+    terms: ['germany', 'deutschland', 'german', 'berlin', 'munich', 'münchen', 'hamburg', 'frankfurt', 'cologne', 'köln', 'stuttgart', 'düsseldorf', 'leipzig'] },
+  AT: { name: 'Austria', region: 'EU', profile: 'DACH', tlds: ['at'], languages: ['de'],
+    terms: ['austria', 'österreich', 'vienna', 'wien', 'graz', 'salzburg', 'linz'] },
+  CH: { name: 'Switzerland', region: 'EU', profile: 'DACH', tlds: ['ch'], languages: ['de', 'fr'],
+    terms: ['switzerland', 'schweiz', 'suisse', 'zurich', 'zürich', 'geneva', 'genève', 'basel', 'bern', 'lausanne', 'zug'] },
+  FR: { name: 'France', region: 'EU', profile: 'FR', tlds: ['fr'], languages: ['fr'],
+    terms: ['france', 'french', 'paris', 'lyon', 'marseille', 'toulouse', 'lille', 'bordeaux', 'nantes'],
+    ambiguousTerms: ['nice'] },
+  BE: { name: 'Belgium', region: 'EU', profile: 'EU', tlds: ['be'], languages: ['fr', 'nl'],
+    terms: ['belgium', 'belgique', 'belgië', 'brussels', 'bruxelles', 'antwerp', 'ghent'] },
+  LU: { name: 'Luxembourg', region: 'EU', profile: 'FR', tlds: ['lu'], languages: ['fr', 'de'],
+    terms: ['luxembourg'] },
+  NL: { name: 'Netherlands', region: 'EU', profile: 'NL', tlds: ['nl'], languages: ['nl'],
+    terms: ['netherlands', 'nederland', 'dutch', 'holland', 'amsterdam', 'rotterdam', 'utrecht', 'eindhoven', 'the hague', 'den haag'] },
+  ES: { name: 'Spain', region: 'EU', profile: 'EU', tlds: ['es'], languages: ['es'],
+    terms: ['spain', 'españa', 'spanish', 'madrid', 'barcelona', 'seville', 'sevilla', 'malaga', 'málaga'],
+    ambiguousTerms: ['valencia'] },
+  IT: { name: 'Italy', region: 'EU', profile: 'EU', tlds: ['it'], languages: ['it'],
+    terms: ['italy', 'italia', 'italian', 'rome', 'roma', 'milan', 'milano', 'turin', 'torino', 'florence', 'bologna'] },
+  PT: { name: 'Portugal', region: 'EU', profile: 'EU', tlds: ['pt'], languages: ['pt'],
+    terms: ['portugal', 'lisbon', 'lisboa', 'porto'] },
+  IE: { name: 'Ireland', region: 'EU', profile: 'UK', tlds: ['ie'], languages: ['en'],
+    terms: ['ireland', 'irish', 'dublin', 'galway'],
+    ambiguousTerms: ['cork'] },
+  SE: { name: 'Sweden', region: 'EU', profile: 'EU', tlds: ['se'], languages: [],
+    terms: ['sweden', 'stockholm', 'gothenburg', 'malmö'] },
+  DK: { name: 'Denmark', region: 'EU', profile: 'EU', tlds: ['dk'], languages: [],
+    terms: ['denmark', 'copenhagen', 'aarhus'] },
+  FI: { name: 'Finland', region: 'EU', profile: 'EU', tlds: ['fi'], languages: [],
+    terms: ['finland', 'helsinki', 'espoo'] },
+  PL: { name: 'Poland', region: 'EU', profile: 'EU', tlds: ['pl'], languages: [],
+    terms: ['poland', 'warsaw', 'krakow', 'kraków', 'wroclaw', 'wrocław'] },
+  CZ: { name: 'Czech Republic', region: 'EU', profile: 'EU', tlds: ['cz'], languages: [],
+    terms: ['czech republic', 'czechia', 'prague', 'brno'] },
+  GB: { name: 'United Kingdom', region: 'UK', profile: 'UK', tlds: ['uk'], languages: ['en'],
+    terms: ['united kingdom', 'uk', 'u.k.', 'england', 'scotland', 'wales', 'britain', 'british', 'london', 'edinburgh', 'glasgow', 'leeds'],
+    ambiguousTerms: ['manchester', 'bristol', 'birmingham', 'cambridge', 'oxford'] },
+  US: { name: 'United States', region: 'US', profile: 'US', tlds: [], languages: ['en'],
+    terms: ['united states', 'usa', 'u.s.', 'u.s.a.', 'new york', 'nyc', 'san francisco', 'bay area', 'los angeles', 'seattle', 'boston', 'chicago', 'denver', 'atlanta', 'miami', 'washington, dc'],
+    ambiguousTerms: ['america', 'austin'] },
+  CA: { name: 'Canada', region: 'US', profile: 'US', tlds: ['ca'], languages: ['en', 'fr'],
+    terms: ['canada', 'toronto', 'vancouver', 'montreal', 'montréal', 'ottawa', 'calgary'] }
+};
+
+// "Austin, TX" style locations - only trusted in the location field, where
+// two capital letters after a comma are almost always a US state
+const US_STATE_PATTERN = /,\s*(AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|DC)\b/;
+
+// ============================================================================
+// CV CONVENTIONS
+// ============================================================================
+
+const DEFAULT_SECTION_TITLES = {
+  summary: 'PROFESSIONAL SUMMARY',
+  competencies: 'CORE COMPETENCIES',
+  experience: 'PROFESSIONAL EXPERIENCE',
+  education: 'EDUCATION',
+  certifications: 'CERTIFICATIONS',
+  languages: 'LANGUAGES'
+};
+
+const CONVENTIONS = {
+  US: {
+    label: 'US',
+    paper: 'LETTER',
+    dateFormat: 'MMM YYYY',
+    letterDateLocale: 'en-US',
+    includeNationality: false,
+    includeVisaStatus: true,
+    visaLabel: 'Work Authorization',
+    includePhoto: false,
+    includeDateOfBirth: false,
+    sectionTitles: { ...DEFAULT_SECTION_TITLES, experience: 'WORK EXPERIENCE' },
+    notes: ['No photo, date of birth or nationality - US employers avoid them for anti-discrimination reasons']
+  },
+  UK: {
+    label: 'UK & Ireland',
+    paper: 'A4',
+    dateFormat: 'MMM YYYY',
+    letterDateLocale: 'en-GB',
+    includeNationality: false,
+    includeVisaStatus: true,
+    visaLabel: 'Right to Work',
+    includePhoto: false,
+    includeDateOfBirth: false,
+    sectionTitles: { ...DEFAULT_SECTION_TITLES, summary: 'PERSONAL PROFILE', experience: 'EMPLOYMENT HISTORY' },
+    notes: ['Right-to-work status shown if in your CV; no photo or date of birth']
+  },
+  DACH: {
+    label: 'DACH (Germany, Austria, Switzerland)',
+    paper: 'A4',
+    dateFormat: 'MM/YYYY',
+    letterDateLocale: 'en-GB',
+    includeNationality: true,
+    includeVisaStatus: true,
+    visaLabel: 'Work Permit',
+    includePhoto: true,
+    includeDateOfBirth: true,
+    sectionTitles: { ...DEFAULT_SECTION_TITLES, summary: 'PROFILE', experience: 'WORK EXPERIENCE' },
+    notes: [
+      'Nationality, work permit and date of birth included when in your CV',
+      'A professional photo is still common in DACH applications - consider adding one in Word'
+    ]
+  },
+  FR: {
+    label: 'France',
+    paper: 'A4',
+    dateFormat: 'MM/YYYY',
+    letterDateLocale: 'en-GB',
+    includeNationality: true,
+    includeVisaStatus: true,
+    visaLabel: 'Work Permit',
+    includePhoto: true,
+    includeDateOfBirth: false,
+    sectionTitles: { ...DEFAULT_SECTION_TITLES, summary: 'PROFILE', experience: 'PROFESSIONAL EXPERIENCE' },
+    notes: [
+      'Nationality and work permit included when in your CV',
+      'A photo is optional but common in France - consider adding one in Word'
+    ]
+  },
+  NL: {
+    label: 'Netherlands',
+    paper: 'A4',
+    dateFormat: 'MMM YYYY',
+    letterDateLocale: 'en-GB',
+    includeNationality: true,
+    includeVisaStatus: true,
+    visaLabel: 'Work Permit',
+    includePhoto: false,
+    includeDateOfBirth: true,
+    sectionTitles: { ...DEFAULT_SECTION_TITLES, summary: 'PROFILE', experience: 'WORK EXPERIENCE' },
+    notes: ['Nationality, work permit and date of birth included when in your CV; no photo needed']
+  },
+  EU: {
+    label: 'Europe',
+    paper: 'A4',
+    dateFormat: 'MMM YYYY',
+    letterDateLocale: 'en-GB',
+    includeNationality: true,
+    includeVisaStatus: true,
+    visaLabel: 'Visa Status',
+    includePhoto: false,
+    includeDateOfBirth: false,
+    sectionTitles: DEFAULT_SECTION_TITLES,
+    notes: ['Nationality and visa status included when in your CV']
+  },
+  GLOBAL: {
+    label: 'International',
+    paper: 'A4',
+    dateFormat: 'MMM YYYY',
+    letterDateLocale: 'en-GB',
+    includeNationality: true,
+    includeVisaStatus: true,
+    visaLabel: 'Visa Status',
+    includePhoto: false,
+    includeDateOfBirth: false,
+    sectionTitles: DEFAULT_SECTION_TITLES,
+    notes: []
+  }
+};
+
+// ============================================================================
+// LANGUAGE DETECTION
+// ============================================================================
+
+const STOPWORDS = {
+  en: ['the', 'and', 'with', 'you', 'our', 'for', 'will', 'are', 'your', 'experience'],
+  de: ['und', 'der', 'die', 'das', 'mit', 'für', 'wir', 'sie', 'ihre', 'erfahrung'],
+  fr: ['et', 'les', 'des', 'pour', 'avec', 'vous', 'nous', 'une', 'dans', 'expérience'],
+  nl: ['en', 'het', 'een', 'van', 'voor', 'met', 'wij', 'jij', 'ervaring', 'zijn'],
+  es: ['y', 'los', 'las', 'para', 'con', 'una', 'del', 'nuestro', 'experiencia', 'por'],
+  it: ['e', 'il', 'della', 'per', 'con', 'una', 'che', 'nostro', 'esperienza', 'gli'],
+  pt: ['e', 'os', 'para', 'com', 'uma', 'nosso', 'experiência', 'você', 'não', 'dos']
+};
+
+/**
+ * Guess the dominant language of a text from stopword frequency
+ */
+function detectLanguage(text) {
+  const words = String(text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 20) return { language: null, confidence: 0 };
+
+  const counts = {};
+  for (const [lang, stopwords] of Object.entries(STOPWORDS)) {
+    const set = new Set(stopwords);
+    counts[lang] = words.filter(w => set.has(w)).length;
+  }
+
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const [language, top] = ranked[0];
+  const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+  if (top < 5) return { language: null, confidence: 0 };
+
+  return { language, confidence: Math.round((top / total) * 100) / 100 };
+}
+
+// ============================================================================
+// COUNTRY DETECTION
+// ============================================================================
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word matching, so "us" never matches inside "business"
+const termPatterns = new Map();
+function countTerm(text, term) {
+  if (!termPatterns.has(term)) {
+    termPatterns.set(term, new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(term)}(?![\\p{L}\\p{N}])`, 'giu'));
+  }
+  return (text.match(termPatterns.get(term)) || []).length;
+}
+
+function urlTld(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return host.split('.').pop();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect the job's country from its location, page text, URL and language.
+ * Returns a locale: { country, countryName, region, confidence, language,
+ * signals, conventions }.
+ */
+function detectLocale(jobData) {
+  const location = String(jobData?.location || '');
+  const pageText = `${jobData?.title || ''}\n${jobData?.company || ''}\n${jobData?.rawText || ''}`;
+  const tld = urlTld(jobData?.sourceUrl || jobData?.url);
+  const { language } = detectLanguage(jobData?.rawText);
+
+  const scores = {};
+  const signals = {};
+  const addSignal = (code, weight, signal) => {
+    scores[code] = (scores[code] || 0) + weight;
+    (signals[code] = signals[code] || []).push(signal);
+  };
+
+  for (const [code, country] of Object.entries(COUNTRIES)) {
+    const ambiguousTerms = country.ambiguousTerms || [];
+    const locationHits = country.terms.filter(term => countTerm(location, term) > 0);
+    const ambiguousLocationHits = ambiguousTerms.filter(term => countTerm(location, term) > 0);
+    if (locationHits.length > 0) {
+      addSignal(code, 5, `location: ${locationHits[0]}`);
+    } else if (ambiguousLocationHits.length > 0) {
+      addSignal(code, 2, `location: ${ambiguousLocationHits[0]} (ambiguous)`);
+    }
+
+    // Page mentions count, but a footer listing ten offices shouldn't win,
+    // so each country's page score is capped. Ambiguous names on the page
+    // only back up other evidence.
+    const pageHits = country.terms.reduce((sum, term) => sum + countTerm(pageText, term), 0);
+    if (pageHits > 0) addSignal(code, Math.min(pageHits, 3), `page mentions: ${pageHits}`);
+    const ambiguousPageHits = ambiguousTerms.reduce((sum, term) => sum + countTerm(pageText, term), 0);
+    if (ambiguousPageHits > 0 && scores[code]) addSignal(code, 1, `ambiguous page mentions: ${ambiguousPageHits}`);
+
+    if (tld && country.tlds.includes(tld)) addSignal(code, 2, `domain: .${tld}`);
+
+    // Language only separates countries that are already candidates, and a
+    // country's primary language counts more than a secondary one
+    if (language && language !== 'en' && country.languages.includes(language) && scores[code]) {
+      addSignal(code, country.languages[0] === language ? 2 : 1, `language: ${language}`);
+    }
+  }
+
+  if (US_STATE_PATTERN.test(location)) addSignal('US', 5, 'location: US state');
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) {
+    return buildLocale(null, 0, language, []);
+  }
+
+  const [topCode, topScore] = ranked[0];
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  // Share of the evidence, discounted when the evidence itself is thin
+  const confidence = Math.round((topScore / total) * Math.min(1, topScore / 5) * 100) / 100;
+
+  return buildLocale(topCode, confidence, language, signals[topCode]);
+}
+
+function buildLocale(countryCode, confidence, language, signals) {
+  const country = countryCode ? COUNTRIES[countryCode] : null;
+  const profile = country ? country.profile : 'GLOBAL';
+  return {
+    country: countryCode,
+    countryName: country ? country.name : null,
+    region: country ? country.region : 'GLOBAL',
+    confidence,
+    language,
+    signals,
+    conventions: CONVENTIONS[profile]
+  };
+}
+
+/**
+ * Accept either a detected locale or a bare region code ('EU', 'UK', 'US',
+ * 'GLOBAL') and always return a locale
+ */
+function resolveLocale(localeOrRegion) {
+  if (localeOrRegion && typeof localeOrRegion === 'object' && localeOrRegion.conventions) {
+    return localeOrRegion;
+  }
+  const region = typeof localeOrRegion === 'string' ? localeOrRegion : 'GLOBAL';
+  return {
+    country: null,
+    countryName: null,
+    region,
+    confidence: 0,
+    language: null,
+    signals: [],
+    conventions: CONVENTIONS[region] || CONVENTIONS.GLOBAL
+  };
+}
+
+/**
+ * Personal details for the contact line. They follow the target country's
+ * conventions, and are only ever shown when they exist in the user's data.
+ */
+function getPersonalDetails(cvContent, conventions) {
+  const { nationality, visaStatus, dateOfBirth } = cvContent;
+  const details = [];
+  if (conventions.includeNationality && nationality) {
+    details.push(nationality);
+  }
+  if (conventions.includeVisaStatus && visaStatus) {
+    details.push(`${conventions.visaLabel}: ${visaStatus}`);
+  }
+  if (conventions.includeDateOfBirth && dateOfBirth) {
+    details.push(`Born ${dateOfBirth}`);
+  }
+  return details;
+}
+
+// ============================================================================
+// DATE FORMATTING
+// ============================================================================
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const PRESENT_PATTERN = /^(present|current|now|today|ongoing|heute|aujourd'hui|heden)$/i;
+
+function parseDatePart(part) {
+  const text = part.trim();
+  if (PRESENT_PATTERN.test(text)) return { present: true };
+
+  let match = text.match(/^([A-Za-z]{3,9})\.?\s+(\d{4})$/);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase());
+    return month >= 0 ? { month, year: match[2] } : null;
+  }
+  match = text.match(/^(\d{1,2})[/.](\d{4})$/);
+  if (match && +match[1] >= 1 && +match[1] <= 12) return { month: +match[1] - 1, year: match[2] };
+  match = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (match && +match[2] >= 1 && +match[2] <= 12) return { month: +match[2] - 1, year: match[1] };
+  match = text.match(/^(\d{4})$/);
+  if (match) return { year: match[1] };
+
+  return null;
+}
+
+function formatDatePart(part, dateFormat) {
+  if (part.present) return 'Present';
+  if (part.month === undefined) return part.year;
+  if (dateFormat === 'MM/YYYY') return `${String(part.month + 1).padStart(2, '0')}/${part.year}`;
+  return `${MONTH_LABELS[part.month]} ${part.year}`;
+}
+
+/**
+ * Re-render a date range ("January 2020 - Present") in the locale's format.
+ * Anything that doesn't parse cleanly is returned exactly as written.
+ */
+function formatDateRange(dates, dateFormat) {
+  if (!dates) return dates;
+  const parts = String(dates).split(/\s*(?:–|—|\bto\b|\bbis\b|\s-\s|(?<=\d{4})-(?=\d{4})|-(?=\s*[A-Za-z]))\s*/i);
+  if (parts.length > 2) return dates;
+
+  const parsed = parts.map(parseDatePart);
+  if (parsed.some(p => p === null)) return dates;
+
+  return parsed.map(p => formatDatePart(p, dateFormat)).join(' – ');
+}
+
+module.exports = {
+  detectLocale,
+  detectLanguage,
+  resolveLocale,
+  getPersonalDetails,
+  formatDateRange,
+  CONVENTIONS
+};
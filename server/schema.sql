@@ -67,6 +67,160 @@ CREATE TABLE IF NOT EXISTS generated_documents (
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Template the documents were rendered with (see server/templates.js)
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS template VARCHAR(50) DEFAULT 'classic';
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS template_options JSONB;
+
+-- Every generation is stored (anonymous ones too) and looked up by session
+-- for downloads; render_context keeps what's needed to re-render it
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS session_id VARCHAR(255);
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS render_context JSONB;
+
+-- Edits are saved as new versions of a generation: same session_id,
+-- version + 1, parent_id pointing at the version that was edited
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES generated_documents(id) ON DELETE SET NULL;
+
+-- The facts and job analysis the CV was tailored from, so single sections
+-- can be regenerated later without re-running the pipeline
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS extracted_data JSONB;
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS job_requirements JSONB;
+
+-- ATS keyword coverage of this version's rendered CV (see server/atsScorer.js)
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS ats_score JSONB;
+
+-- Interview prep pack generated alongside the CV (see server/interviewPrep.js)
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS interview_prep_content JSONB;
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS interview_prep_filename VARCHAR(255);
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS interview_prep_file_path TEXT;
+
+-- Elevator pitches and LinkedIn copy (see server/pitchGenerator.js)
+ALTER TABLE generated_documents ADD COLUMN IF NOT EXISTS pitch_content JSONB;
+
+-- Refinement chat, one conversation per generation (session). document_id
+-- is the version the turn produced, or was applied to when nothing changed
+CREATE TABLE IF NOT EXISTS refinement_messages (
+  id SERIAL PRIMARY KEY,
+  session_id VARCHAR(255) NOT NULL,
+  document_id INTEGER REFERENCES generated_documents(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Cached profile extractions, keyed by a hash of the LinkedIn + CV input
+CREATE TABLE IF NOT EXISTS profile_extractions (
+  input_hash CHAR(64) PRIMARY KEY,
+  extracted_data JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW()
+);
+
+-- The signed-in user whose input was extracted, so their cached facts go
+-- when they delete their data (rows of guests and WhatsApp numbers expire)
+ALTER TABLE profile_extractions ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_profile_extractions_user ON profile_extractions(user_id);
+CREATE INDEX IF NOT EXISTS idx_profile_extractions_last_used ON profile_extractions(last_used_at);
+
+-- Background generation jobs (see server/generations.js). The progress
+-- events are kept so clients can re-attach and resume from the last event
+-- they saw; result is the final 'complete' event
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id UUID PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS generation_events (
+  job_id UUID REFERENCES generation_jobs(id) ON DELETE CASCADE,
+  seq INTEGER NOT NULL,
+  event JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (job_id, seq)
+);
+
+-- Tokens, model and latency of every LLM call (see server/usage.js).
+-- generation_id is set for calls made by a generation; cost_usd is the
+-- estimate at the time of the call
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id SERIAL PRIMARY KEY,
+  generation_id UUID,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  channel VARCHAR(20) NOT NULL DEFAULT 'web',
+  step VARCHAR(50),
+  model VARCHAR(100),
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6),
+  latency_ms INTEGER,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- The number a WhatsApp call was made for (channel 'whatsapp')
+ALTER TABLE llm_usage ADD COLUMN IF NOT EXISTS whatsapp_number VARCHAR(50);
+
+-- Plans (see server/entitlements.js): free unless upgraded
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan VARCHAR(20) NOT NULL DEFAULT 'free';
+ALTER TABLE whatsapp_users ADD COLUMN IF NOT EXISTS plan VARCHAR(20) NOT NULL DEFAULT 'free';
+
+-- Quota used per subject ('user:12', 'whatsapp:+4915...', 'guest:<ip>'),
+-- feature and plan period
+CREATE TABLE IF NOT EXISTS quota_usage (
+  subject VARCHAR(100) NOT NULL,
+  feature VARCHAR(30) NOT NULL,
+  period_start TIMESTAMP NOT NULL,
+  used INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (subject, feature, period_start)
+);
+
+-- Paid subscriptions from the billing provider (see server/billing.js),
+-- for either a web user or a WhatsApp number
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(20) NOT NULL,
+  provider_subscription_id VARCHAR(255) NOT NULL,
+  provider_customer_id VARCHAR(255),
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  whatsapp_user_id INTEGER REFERENCES whatsapp_users(id) ON DELETE CASCADE,
+  plan VARCHAR(20) NOT NULL,
+  status VARCHAR(30) NOT NULL,
+  current_period_end TIMESTAMP,
+  cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (provider, provider_subscription_id)
+);
+
+-- Webhook events already handled, so provider retries are ignored
+CREATE TABLE IF NOT EXISTS billing_events (
+  id VARCHAR(255) PRIMARY KEY,
+  type VARCHAR(100) NOT NULL,
+  received_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Rate limit counters per key ('generate:user:12:60') and fixed window
+-- (see server/rateLimit.js)
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  key VARCHAR(200) NOT NULL,
+  window_start TIMESTAMP NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (key, window_start)
+);
+
+-- Subjects temporarily blocked by the abuse signal
+CREATE TABLE IF NOT EXISTS rate_limit_blocks (
+  subject VARCHAR(100) PRIMARY KEY,
+  reason TEXT,
+  blocked_until TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Guest sessions (for non-logged-in users)
 CREATE TABLE IF NOT EXISTS guest_sessions (
   id SERIAL PRIMARY KEY,
@@ -81,3 +235,14 @@ CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_job_applications_user_id ON job_applications(user_id);
 CREATE INDEX IF NOT EXISTS idx_generated_documents_user_id ON generated_documents(user_id);
 CREATE INDEX IF NOT EXISTS idx_generated_documents_application_id ON generated_documents(application_id);
+CREATE INDEX IF NOT EXISTS idx_refinement_messages_session_id ON refinement_messages(session_id);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_user_id ON generation_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_id ON llm_usage(user_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_generation_id ON llm_usage(generation_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_whatsapp_number ON llm_usage(whatsapp_number);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_whatsapp_user_id ON subscriptions(whatsapp_user_id);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_expires_at ON rate_limit_hits(expires_at);
+DROP INDEX IF EXISTS idx_generated_documents_session_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generated_documents_session_version ON generated_documents(session_id, version);
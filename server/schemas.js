@@ -0,0 +1,291 @@
+/**
+ * FlashJobs 2.0 - Output Schemas
+ * JSON Schemas for every structured LLM response. Responses that don't match
+ * are sent back for repair instead of being patched with generic content.
+ */
+
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// ============================================================================
+// SHARED DEFINITIONS
+// ============================================================================
+
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const education = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['degree', 'institution'],
+    properties: {
+      degree: nullableString,
+      institution: nullableString,
+      year: { type: ['string', 'number', 'null'] }
+    }
+  }
+};
+
+const languages = {
+  type: 'array',
+  items: {
+    anyOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        required: ['language'],
+        properties: {
+          language: { type: 'string' },
+          level: nullableString
+        }
+      }
+    ]
+  }
+};
+
+// ============================================================================
+// STEP SCHEMAS
+// ============================================================================
+
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['name', 'skills', 'experience', 'education'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    email: nullableString,
+    phone: nullableString,
+    linkedin: nullableString,
+    location: nullableString,
+    nationality: nullableString,
+    visaStatus: nullableString,
+    dateOfBirth: nullableString,
+    currentTitle: nullableString,
+    yearsExperience: { type: ['string', 'number', 'null'] },
+    skills: stringList,
+    experience: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'company'],
+        properties: {
+          title: { type: 'string' },
+          company: { type: 'string' },
+          location: nullableString,
+          dates: nullableString,
+          achievements: stringList
+        }
+      }
+    },
+    education,
+    certifications: stringList,
+    languages
+  }
+};
+
+const JOB_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['requiredSkills', 'preferredSkills', 'keywords'],
+  properties: {
+    jobTitle: nullableString,
+    company: nullableString,
+    requiredSkills: stringList,
+    preferredSkills: stringList,
+    keyResponsibilities: stringList,
+    yearsRequired: { type: ['string', 'number', 'null'] },
+    mustHaves: stringList,
+    keywords: stringList
+  }
+};
+
+const TAILORED_CV_SCHEMA = {
+  type: 'object',
+  required: ['name', 'contact', 'headline', 'summary', 'experience'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    contact: {
+      type: 'object',
+      properties: {
+        email: nullableString,
+        phone: nullableString,
+        linkedin: nullableString,
+        location: nullableString
+      }
+    },
+    nationality: nullableString,
+    visaStatus: nullableString,
+    dateOfBirth: nullableString,
+    headline: { type: 'string' },
+    summary: { type: 'string', minLength: 1 },
+    coreCompetencies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'skills'],
+        properties: {
+          category: { type: 'string' },
+          skills: stringList
+        }
+      }
+    },
+    experience: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'company', 'achievements'],
+        properties: {
+          title: { type: 'string' },
+          company: { type: 'string' },
+          location: nullableString,
+          dates: nullableString,
+          description: nullableString,
+          achievements: stringList
+        }
+      }
+    },
+    education,
+    certifications: stringList,
+    languages
+  }
+};
+
+const COVER_LETTER_SCHEMA = {
+  type: 'object',
+  required: ['opening', 'body', 'closing'],
+  properties: {
+    opening: { type: 'string', minLength: 1 },
+    body: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    closing: { type: 'string', minLength: 1 },
+    recipientName: nullableString,
+    companyName: nullableString,
+    jobTitle: nullableString
+  }
+};
+
+// Section regeneration returns just the one section that was rewritten
+const SECTION_TEXT_SCHEMA = {
+  type: 'object',
+  required: ['text'],
+  properties: {
+    text: { type: 'string', minLength: 1 }
+  }
+};
+
+const SECTION_ACHIEVEMENTS_SCHEMA = {
+  type: 'object',
+  required: ['achievements'],
+  properties: {
+    achievements: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+  }
+};
+
+const SECTION_COMPETENCIES_SCHEMA = {
+  type: 'object',
+  required: ['coreCompetencies'],
+  properties: {
+    coreCompetencies: { ...TAILORED_CV_SCHEMA.properties.coreCompetencies, minItems: 1 }
+  }
+};
+
+// Refinement returns the whole edited CV plus a short reply to the user
+const REFINEMENT_SCHEMA = {
+  type: 'object',
+  required: ['reply', 'cvContent'],
+  properties: {
+    reply: { type: 'string', minLength: 1 },
+    cvContent: TAILORED_CV_SCHEMA
+  }
+};
+
+// Interview prep: likely questions, each with a STAR answer built from one of
+// the candidate's roles (or null when they have nothing to draw on), plus
+// questions for the candidate to ask
+const starAnswer = {
+  type: ['object', 'null'],
+  required: ['company', 'situation', 'task', 'action', 'result'],
+  properties: {
+    company: { type: 'string', minLength: 1 },
+    situation: { type: 'string', minLength: 1 },
+    task: { type: 'string', minLength: 1 },
+    action: { type: 'string', minLength: 1 },
+    result: { type: 'string', minLength: 1 }
+  }
+};
+
+const INTERVIEW_PREP_SCHEMA = {
+  type: 'object',
+  required: ['questions', 'questionsToAsk'],
+  properties: {
+    questions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['question', 'category', 'answer'],
+        properties: {
+          question: { type: 'string', minLength: 1 },
+          category: { enum: ['behavioural', 'role', 'technical', 'motivation'] },
+          focus: nullableString,
+          answer: starAnswer
+        }
+      }
+    },
+    questionsToAsk: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    jobTitle: nullableString,
+    companyName: nullableString
+  }
+};
+
+// Elevator pitches and LinkedIn copy; lengths follow LinkedIn's field limits
+const PITCH_SCHEMA = {
+  type: 'object',
+  required: ['pitch30', 'pitch60', 'linkedinHeadline', 'linkedinAbout'],
+  properties: {
+    pitch30: { type: 'string', minLength: 1 },
+    pitch60: { type: 'string', minLength: 1 },
+    linkedinHeadline: { type: 'string', minLength: 1, maxLength: 220 },
+    linkedinAbout: { type: 'string', minLength: 1, maxLength: 2600 }
+  }
+};
+
+const SCHEMAS = {
+  extraction: { label: 'profile extraction', schema: EXTRACTION_SCHEMA },
+  jobAnalysis: { label: 'job analysis', schema: JOB_ANALYSIS_SCHEMA },
+  tailoring: { label: 'tailored CV', schema: TAILORED_CV_SCHEMA },
+  coverLetter: { label: 'cover letter', schema: COVER_LETTER_SCHEMA },
+  sectionText: { label: 'CV section', schema: SECTION_TEXT_SCHEMA },
+  sectionAchievements: { label: 'list of achievements', schema: SECTION_ACHIEVEMENTS_SCHEMA },
+  sectionCompetencies: { label: 'core competencies section', schema: SECTION_COMPETENCIES_SCHEMA },
+  refinement: { label: 'CV refinement', schema: REFINEMENT_SCHEMA },
+  interviewPrep: { label: 'interview prep pack', schema: INTERVIEW_PREP_SCHEMA },
+  pitch: { label: 'elevator pitch', schema: PITCH_SCHEMA }
+};
+
+const validators = Object.fromEntries(
+  Object.entries(SCHEMAS).map(([step, { schema }]) => [step, ajv.compile(schema)])
+);
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate data against a registered schema (named after its step).
+ * Returns { valid, errors } with errors as readable "path message" strings.
+ */
+function validateOutput(step, data) {
+  const validate = validators[step];
+  if (!validate) {
+    throw new Error(`No output schema registered for step "${step}"`);
+  }
+
+  const valid = validate(data);
+  const errors = valid ? [] : validate.errors.map(err => `${err.instancePath || '(root)'} ${err.message}`);
+  return { valid, errors };
+}
+
+module.exports = {
+  SCHEMAS,
+  validateOutput
+};
@@ -0,0 +1,208 @@
+/**
+ * FlashJobs 2.0 - Section Regenerator
+ * Rewrites a single section of a tailored CV (headline, summary, one role's
+ * achievements or the core competencies) against the same extracted profile
+ * and job requirements the full CV was generated from.
+ */
+
+const { completeStructured } = require('./structuredOutput');
+const { verifyCVContent, verifyUnmatchedAchievements } = require('./factVerifier');
+const { groupCompetencies } = require('./skillTaxonomy');
+
+const MAX_INSTRUCTION_LENGTH = 300;
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+// Each section knows which output schema the model must follow, what to ask
+// for, how to read and write it on the CV content, and how to cut a CV down
+// to just that section for fact-checking (`index` picks the experience entry).
+
+const SECTIONS = {
+  headline: {
+    schema: 'sectionText',
+    describe: () => 'the CV headline: one line based on their ACTUAL current title and experience',
+    output: '{ "text": "New headline" }',
+    current: cv => cv.headline || '',
+    isolate: cv => ({ headline: cv.headline }),
+    apply: (cv, data) => { cv.headline = data.text.trim(); },
+    read: cv => cv.headline || '',
+    wrap: text => ({ text })
+  },
+
+  summary: {
+    schema: 'sectionText',
+    describe: () => 'the professional summary: 2-3 impactful sentences (maximum 3-4 lines) using ONLY their real experience',
+    output: '{ "text": "New summary" }',
+    current: cv => cv.summary || '',
+    isolate: cv => ({ summary: cv.summary }),
+    apply: (cv, data) => { cv.summary = data.text.trim(); },
+    read: cv => cv.summary || '',
+    wrap: text => ({ text })
+  },
+
+  achievements: {
+    schema: 'sectionAchievements',
+    needsIndex: true,
+    describe: (cv, index) => {
+      const role = cv.experience[index];
+      return `the achievements for the role "${role.title}" at ${role.company} (${role.dates}). Rephrase that role's verified achievements to highlight job relevance`;
+    },
+    output: '{ "achievements": ["Rephrased achievement", "..."] }',
+    current: (cv, index) => cv.experience[index].achievements || [],
+    isolate: (cv, index) => ({ experience: [{ ...cv.experience[index] }] }),
+    apply: (cv, data, index) => { cv.experience[index].achievements = data.achievements; },
+    read: (cv, index) => cv.experience[index]?.achievements || [],
+    wrap: achievements => ({ achievements })
+  },
+
+  competencies: {
+    schema: 'sectionCompetencies',
+    describe: () => 'the core competencies: skills from the verified data that are relevant to the job, grouped into categories',
+    output: '{ "coreCompetencies": [{ "category": "Category", "skills": ["Skill"] }] }',
+    current: cv => cv.coreCompetencies || [],
+    isolate: cv => ({ coreCompetencies: cv.coreCompetencies }),
+    apply: (cv, data) => { cv.coreCompetencies = data.coreCompetencies; },
+    read: cv => groupCompetencies(cv.coreCompetencies),
+    wrap: coreCompetencies => ({ coreCompetencies })
+  }
+};
+
+const SECTION_NAMES = Object.keys(SECTIONS);
+
+// ============================================================================
+// REGENERATION
+// ============================================================================
+
+/**
+ * Check a regeneration request before any LLM call. Returns an error message,
+ * or null when the request is valid for this CV.
+ */
+function validateSectionRequest(cvContent, { section, index, instruction }) {
+  const definition = SECTIONS[section];
+  if (!definition) {
+    return `Unknown section "${section}". Use one of: ${SECTION_NAMES.join(', ')}`;
+  }
+  if (definition.needsIndex) {
+    const roles = cvContent?.experience || [];
+    if (!Number.isInteger(index) || index < 0 || index >= roles.length) {
+      return `index must pick one of the ${roles.length} experience entries (0-${roles.length - 1})`;
+    }
+  }
+  if (instruction !== undefined && instruction !== null) {
+    if (typeof instruction !== 'string') return 'instruction must be a string';
+    if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+      return `instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Regenerate one section and fact-check it against the extracted profile.
+ * Only the regenerated section changes; the rest of the CV is left exactly
+ * as it was (including any manual edits).
+ * Returns { cvContent, value, verification }.
+ */
+async function regenerateSection(llm, { cvContent, extractedData, jobRequirements, locale, section, index, instruction }) {
+  const error = validateSectionRequest(cvContent, { section, index, instruction });
+  if (error) {
+    throw new Error(error);
+  }
+
+  const definition = SECTIONS[section];
+  const trimmedInstruction = (instruction || '').trim();
+
+  const response = await completeStructured(llm, {
+    step: 'sectionRegeneration',
+    schema: definition.schema,
+    maxTokens: 1500,
+    messages: [{
+      role: 'user',
+      content: `Rewrite ONE section of this candidate's tailored CV. You MUST use ONLY the verified data provided below. DO NOT invent any information.
+
+## VERIFIED CANDIDATE DATA (USE ONLY THIS):
+${JSON.stringify(extractedData, null, 2)}
+
+## TARGET JOB REQUIREMENTS:
+${JSON.stringify(jobRequirements || {}, null, 2)}
+
+## TARGET MARKET:
+${locale?.countryName || 'International'}${locale?.conventions ? ` (${locale.conventions.label} CV conventions)` : ''}
+
+## CURRENT CV (for context - keep it consistent with the other sections):
+${JSON.stringify(cvContent, null, 2)}
+
+## SECTION TO REWRITE:
+Write ${definition.describe(cvContent, index)}.
+
+Current version:
+${JSON.stringify(definition.current(cvContent, index), null, 2)}
+${trimmedInstruction ? `
+## CANDIDATE'S INSTRUCTION:
+"${trimmedInstruction}"
+Follow it for tone, length and emphasis only - it never allows adding facts that are not in the verified data.
+` : ''}
+## STRICT RULES:
+- DO NOT invent skills, certifications, or experience
+- Numbers and metrics must be EXACTLY as stated in verified data
+- Write something noticeably different from the current version
+
+## OUTPUT FORMAT:
+Return ONLY this JSON object:
+${definition.output}`
+    }],
+    system: `You are a professional CV writer. Your ONLY job is to rewrite one section of the candidate's CV from their EXISTING experience to better match the target job.
+
+ABSOLUTE RULES:
+1. NEVER invent information - use only what's in the verified data
+2. NEVER add skills the candidate doesn't have
+3. NEVER change names, companies, dates, or education institutions
+4. You CAN rephrase to highlight relevance
+5. You CAN use job keywords WHERE the candidate genuinely has that experience`
+  });
+
+  // Fact-check just the regenerated section, so manual edits elsewhere in
+  // the CV are left alone
+  const candidate = definition.isolate(cvContent, index);
+  definition.apply(candidate, response.data, 0);
+  const verification = verifyCVContent(candidate, extractedData, '');
+
+  // A role the verifier can't trace back to the profile (e.g. one added by
+  // hand) keeps the model's achievements rather than losing the whole role,
+  // minus any with figures that aren't in the profile
+  let verifiedCv = verification.cvContent;
+  if (section === 'achievements' && verification.cvContent.experience.length === 0) {
+    const unmatched = verifyUnmatchedAchievements(candidate.experience[0].achievements, extractedData);
+    verifiedCv = { experience: [{ ...candidate.experience[0], achievements: unmatched.achievements }] };
+    verification.report.issues.push(...unmatched.issues);
+  }
+  const value = definition.read(verifiedCv, 0);
+  if (value.length === 0) {
+    throw new Error(`The regenerated ${section} did not pass the fact check. Please try again.`);
+  }
+
+  const updated = JSON.parse(JSON.stringify(cvContent));
+  definition.apply(updated, definition.wrap(value), index);
+
+  // Role-level issues (reverted company or dates) are about the existing
+  // entry, not the regenerated text
+  const issues = verification.report.issues.filter(issue => issue.section !== 'experience' || issue.field === 'achievement');
+  const corrections = issues.filter(issue => issue.action !== 'kept').length;
+
+  return {
+    cvContent: updated,
+    value,
+    verification: {
+      status: corrections > 0 ? 'corrected' : 'verified',
+      corrections,
+      issues
+    }
+  };
+}
+
+module.exports = {
+  regenerateSection,
+  validateSectionRequest,
+  SECTION_NAMES
+};
@@ -0,0 +1,253 @@
+/**
+ * FlashJobs 2.0 - Skill Taxonomy
+ * Canonical skill names with aliases, categories and parent/child relations
+ * (e.g. React -> JavaScript frameworks -> JavaScript), used for job keyword
+ * extraction, profile skill detection, gap analysis and grouping core
+ * competencies.
+ *
+ * The bundled taxonomy lives in data/skills.json. Set SKILL_TAXONOMY_FILE to
+ * a JSON file of the same shape to add domain skills (finance, healthcare,
+ * ops...) or extend existing ones; entries with an existing name add aliases
+ * and override category/parent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchKeywords } = require('./atsScorer');
+
+const BUNDLED_TAXONOMY = path.join(__dirname, 'data', 'skills.json');
+
+// Aliases this short ("JS", "ML", "K8s") double as initials and everyday
+// words, so they only count written exactly, as a token of their own
+const SHORT_ALIAS_LENGTH = 3;
+
+let taxonomy = null;
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+function normalizeSkill(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim();
+}
+
+function readTaxonomyFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(data.skills)) {
+    throw new Error(`Skill taxonomy ${filePath} must contain a "skills" array`);
+  }
+  return data.skills;
+}
+
+function buildTaxonomy(entries) {
+  const skills = new Map();
+
+  for (const entry of entries) {
+    if (!entry || !entry.name) continue;
+    const key = normalizeSkill(entry.name);
+    const existing = skills.get(key);
+    if (existing) {
+      existing.aliases = [...new Set([...existing.aliases, ...(entry.aliases || [])])];
+      if (entry.category) existing.category = entry.category;
+      if (entry.parent) existing.parent = entry.parent;
+    } else {
+      skills.set(key, {
+        name: entry.name,
+        aliases: [...(entry.aliases || [])],
+        category: entry.category || null,
+        parent: entry.parent || null
+      });
+    }
+  }
+
+  // Lookup by name or alias, and children by parent
+  const lookup = new Map();
+  const children = new Map();
+  for (const [key, skill] of skills) {
+    lookup.set(key, skill);
+    for (const alias of skill.aliases) {
+      if (!lookup.has(normalizeSkill(alias))) lookup.set(normalizeSkill(alias), skill);
+    }
+  }
+  for (const skill of skills.values()) {
+    if (!skill.parent) continue;
+    const parent = skills.get(normalizeSkill(skill.parent));
+    if (!parent) {
+      console.warn(`⚠ Skill taxonomy: "${skill.name}" has unknown parent "${skill.parent}"`);
+      skill.parent = null;
+      continue;
+    }
+    skill.parent = parent.name;
+    children.set(parent.name, [...(children.get(parent.name) || []), skill]);
+  }
+
+  return { skills: [...skills.values()], lookup, children };
+}
+
+/**
+ * The loaded taxonomy (bundled skills plus SKILL_TAXONOMY_FILE, if set)
+ */
+function getTaxonomy() {
+  if (!taxonomy) {
+    const entries = readTaxonomyFile(BUNDLED_TAXONOMY);
+    if (process.env.SKILL_TAXONOMY_FILE) {
+      entries.push(...readTaxonomyFile(path.resolve(process.env.SKILL_TAXONOMY_FILE)));
+      console.log(`🧩 Loaded extra skills from ${process.env.SKILL_TAXONOMY_FILE}`);
+    }
+    taxonomy = buildTaxonomy(entries);
+  }
+  return taxonomy;
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * Find the taxonomy entry for a skill name or alias, or null
+ */
+function findSkill(name) {
+  return getTaxonomy().lookup.get(normalizeSkill(name)) || null;
+}
+
+function descendantsOf(skill) {
+  const { children } = getTaxonomy();
+  const result = [];
+  const queue = [...(children.get(skill.name) || [])];
+  while (queue.length > 0) {
+    const child = queue.shift();
+    result.push(child);
+    queue.push(...(children.get(child.name) || []));
+  }
+  return result;
+}
+
+/**
+ * Every way a skill can be written: its canonical name and aliases, plus
+ * those of its children, since "React" experience satisfies a "JavaScript
+ * frameworks" requirement. Pass as `aliases` to the ATS scorer.
+ */
+function skillAliases(name) {
+  const skill = findSkill(name);
+  if (!skill) return [];
+  return [skill, ...descendantsOf(skill)].flatMap(s => [s.name, ...s.aliases]);
+}
+
+/**
+ * Skills that share a parent with this one (Vue for React), which count as
+ * transferable experience rather than a match
+ */
+function relatedSkills(name) {
+  const skill = findSkill(name);
+  if (!skill || !skill.parent) return [];
+  return (getTaxonomy().children.get(skill.parent) || []).filter(s => s !== skill).map(s => s.name);
+}
+
+// ============================================================================
+// TEXT ANALYSIS
+// ============================================================================
+
+function isShortAlias(alias) {
+  return alias.length <= SHORT_ALIAS_LENGTH && /^[A-Za-z0-9]+$/.test(alias);
+}
+
+function mentionsShortAlias(alias, text) {
+  return new RegExp(`(?<![A-Za-z0-9])${alias}(?![A-Za-z0-9])`).test(text || '');
+}
+
+/**
+ * matchKeywords for skill names. Short aliases are kept away from the ATS
+ * scorer (which matches case-insensitively and by initials) and checked
+ * case-sensitively instead.
+ */
+function matchSkills(names, text, aliasesOf) {
+  const { matched: found } = matchKeywords(names, text, {
+    aliases: name => aliasesOf(name).filter(alias => !isShortAlias(alias))
+  });
+  const matched = [];
+  const missing = [];
+  for (const name of names || []) {
+    const hit = found.includes(name) || aliasesOf(name).some(alias => isShortAlias(alias) && mentionsShortAlias(alias, text));
+    (hit ? matched : missing).push(name);
+  }
+  return { matched, missing };
+}
+
+/**
+ * Canonical names of every taxonomy skill mentioned in a piece of text
+ */
+function extractSkills(text) {
+  const { skills } = getTaxonomy();
+  return matchSkills(skills.map(s => s.name), text, name => findSkill(name)?.aliases || []).matched;
+}
+
+/**
+ * Canonical names of taxonomy skills named outright in a piece of text, by
+ * name or alias. Unlike extractSkills there is no stemming or matching by
+ * initials, so "experiments" doesn't count as A/B Testing.
+ */
+function mentionedSkills(text) {
+  const normalized = ` ${normalizeSkill(text)} `;
+  return getTaxonomy().skills
+    .filter(skill => [skill.name, ...skill.aliases].some(alias =>
+      isShortAlias(alias) ? mentionsShortAlias(alias, text) : normalized.includes(` ${normalizeSkill(alias)} `)
+    ))
+    .map(skill => skill.name);
+}
+
+/**
+ * Compare job skills with the candidate's text. Returns { matched, missing,
+ * transferable } where transferable lists missing skills the candidate has
+ * related experience for, as [{ skill, related: [...] }].
+ */
+function compareSkills(jobSkills, candidateText) {
+  const { matched, missing } = matchSkills(jobSkills, candidateText, skillAliases);
+
+  const transferable = missing
+    .map(skill => ({
+      skill,
+      related: matchSkills(relatedSkills(skill), candidateText, skillAliases).matched
+    }))
+    .filter(entry => entry.related.length > 0);
+
+  return { matched, missing, transferable };
+}
+
+/**
+ * Regroup core competencies by taxonomy category. Skills the taxonomy
+ * doesn't know stay in the category they were given; duplicates (by
+ * canonical name) are dropped. Skill wording is kept as written.
+ */
+function groupCompetencies(coreCompetencies) {
+  const groups = new Map();
+  const seen = new Set();
+
+  for (const group of coreCompetencies || []) {
+    for (const skill of group.skills || []) {
+      const known = findSkill(skill);
+      const key = known ? known.name : normalizeSkill(skill);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+
+      const category = known?.category || group.category;
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(skill);
+    }
+  }
+
+  return [...groups].map(([category, skills]) => ({ category, skills }));
+}
+
+module.exports = {
+  getTaxonomy,
+  findSkill,
+  skillAliases,
+  relatedSkills,
+  extractSkills,
+  mentionedSkills,
+  compareSkills,
+  groupCompetencies
+};
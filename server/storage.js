@@ -0,0 +1,130 @@
+/**
+ * FlashJobs 2.0 - Document Storage
+ * Keeps generated files somewhere that survives restarts, so download links
+ * (including the ones the WhatsApp bot sends) keep working.
+ *
+ * Storage interface:
+ *   put(key, buffer, contentType) -> key
+ *   get(key) -> Buffer
+ *   remove(key)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', 'storage');
+
+// ============================================================================
+// BACKENDS
+// ============================================================================
+
+function createLocalStorage() {
+  const rootDir = path.resolve(process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR);
+
+  // Keys are generated by us, but never let one escape the storage directory
+  const resolveKey = key => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return key;
+    },
+
+    async get(key) {
+      return await fs.promises.readFile(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+function createS3Storage() {
+  let s3;
+  try {
+    s3 = require('@aws-sdk/client-s3');
+  } catch (e) {
+    throw new Error('STORAGE_DRIVER=s3 needs the @aws-sdk/client-s3 package. Run: npm install @aws-sdk/client-s3');
+  }
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET to be set');
+  }
+
+  // S3_ENDPOINT allows S3-compatible services (R2, MinIO, Spaces...)
+  const client = new s3.S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new s3.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return key;
+    },
+
+    async get(key) {
+      const response = await client.send(new s3.GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async remove(key) {
+      await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+/**
+ * Create the storage backend selected by STORAGE_DRIVER (local by default)
+ */
+function createStorage() {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage();
+    case 's3':
+      console.log(`🪣 Storing documents in S3 bucket ${process.env.S3_BUCKET}`);
+      return createS3Storage();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "local" or "s3".`);
+  }
+}
+
+/**
+ * Storage key for a generated document. Edited versions get their own folder
+ * so earlier versions stay downloadable.
+ */
+function documentKey(sessionId, filename, version = 1) {
+  return version > 1
+    ? `documents/${sessionId}/v${version}/${filename}`
+    : `documents/${sessionId}/${filename}`;
+}
+
+module.exports = {
+  createStorage,
+  documentKey
+};
@@ -0,0 +1,73 @@
+/**
+ * FlashJobs 2.0 - Structured Output
+ * Asks the LLM for JSON, validates it against the step's schema and
+ * re-prompts with the validation errors until the output is usable.
+ */
+
+const { SCHEMAS, validateOutput } = require('./schemas');
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+class StructuredOutputError extends Error {
+  constructor(step, errors, schema = step) {
+    const label = SCHEMAS[schema]?.label || step;
+    super(`The AI returned an invalid ${label} (${errors.slice(0, 3).join('; ')}). Please try again.`);
+    this.name = 'StructuredOutputError';
+    this.step = step;
+    this.validationErrors = errors;
+  }
+}
+
+function parseJSON(text) {
+  const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return { data: null, errors: ['response contained no JSON object'] };
+  }
+  try {
+    return { data: JSON.parse(jsonMatch[0]), errors: [] };
+  } catch (e) {
+    return { data: null, errors: [`response was not valid JSON: ${e.message}`] };
+  }
+}
+
+/**
+ * Run an LLM step that must return JSON matching the step's schema (or the
+ * schema named by `schema`, for steps whose output shape varies).
+ * Invalid responses are sent back with the errors for up to maxRepairs
+ * repair attempts before a StructuredOutputError is thrown.
+ */
+async function completeStructured(llm, { step, schema = step, system, messages, maxTokens, maxRepairs = DEFAULT_MAX_REPAIRS }) {
+  const conversation = [...messages];
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const response = await llm.complete({ step, system, messages: conversation, maxTokens });
+
+    const parsed = parseJSON(response.text);
+    errors = parsed.errors;
+    if (parsed.data) {
+      errors = validateOutput(schema, parsed.data).errors;
+    }
+
+    if (errors.length === 0) {
+      return { ...response, data: parsed.data, repairs: attempt };
+    }
+
+    console.warn(`⚠ Invalid ${step} output (attempt ${attempt + 1}/${maxRepairs + 1}):`, errors);
+
+    conversation.push(
+      { role: 'assistant', content: response.text },
+      {
+        role: 'user',
+        content: `Your previous response did not match the required JSON format:\n${errors.map(e => `- ${e}`).join('\n')}\n\nReturn ONLY the corrected JSON object, with no other text. Keep every fact exactly as before.`
+      }
+    );
+  }
+
+  throw new StructuredOutputError(step, errors, schema);
+}
+
+module.exports = {
+  completeStructured,
+  StructuredOutputError
+};
@@ -0,0 +1,167 @@
+/**
+ * FlashJobs 2.0 - CV Templates
+ * Named document themes (fonts, sizes, colours, margins, section order and
+ * layout) used by the document generator.
+ */
+
+// Sizes are half-points (22 = 11pt), spacing and margins are twips (1440 = 1 inch)
+
+const SECTION_KEYS = ['summary', 'competencies', 'experience', 'education', 'certifications', 'languages'];
+
+const TEMPLATES = {
+  classic: {
+    label: 'Classic',
+    description: 'Centred Georgia serif layout - the original FlashJobs look',
+    fonts: { heading: 'Georgia', body: 'Georgia' },
+    sizes: { name: 28, heading: 24, body: 22, small: 20 },
+    spacing: { section: 240, paragraph: 120, item: 80, line: 360 },
+    accentColor: '000000',
+    margins: { top: 1440, right: 1440, bottom: 1440, left: 1440 },
+    sectionOrder: SECTION_KEYS,
+    layout: {
+      headerAlignment: 'center',
+      headingRule: false,
+      competenciesInline: false
+    }
+  },
+  modern: {
+    label: 'Modern',
+    description: 'Left-aligned sans-serif with accent-coloured headings and rules',
+    fonts: { heading: 'Calibri', body: 'Calibri' },
+    sizes: { name: 36, heading: 24, body: 21, small: 19 },
+    spacing: { section: 200, paragraph: 100, item: 60, line: 288 },
+    accentColor: '1F4E79',
+    margins: { top: 1080, right: 1080, bottom: 1080, left: 1080 },
+    sectionOrder: SECTION_KEYS,
+    layout: {
+      headerAlignment: 'left',
+      headingRule: true,
+      competenciesInline: false
+    }
+  },
+  compact: {
+    label: 'Compact',
+    description: 'Dense one-column layout that fits more experience on a page',
+    fonts: { heading: 'Arial', body: 'Arial' },
+    sizes: { name: 26, heading: 21, body: 19, small: 17 },
+    spacing: { section: 140, paragraph: 60, item: 30, line: 252 },
+    accentColor: '333333',
+    margins: { top: 720, right: 864, bottom: 720, left: 864 },
+    sectionOrder: ['summary', 'experience', 'competencies', 'education', 'certifications', 'languages'],
+    layout: {
+      headerAlignment: 'center',
+      headingRule: true,
+      competenciesInline: true
+    }
+  }
+};
+
+const DEFAULT_TEMPLATE = 'classic';
+
+// ============================================================================
+// THEME RESOLUTION
+// ============================================================================
+
+function normalizeColor(color) {
+  const hex = String(color || '').replace(/^#/, '');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new Error(`Invalid accent colour "${color}". Use a hex colour like #1F4E79.`);
+  }
+  return hex.toUpperCase();
+}
+
+function normalizeFont(font) {
+  const name = String(font || '').trim();
+  if (!name || name.length > 40 || !/^[\w\s-]+$/.test(name)) {
+    throw new Error(`Invalid font "${font}"`);
+  }
+  return name;
+}
+
+// Margins are given in inches, e.g. { top: 0.75 } or a single number for all sides
+function normalizeMargins(margins, base) {
+  const toTwips = inches => {
+    const value = Number(inches);
+    if (!Number.isFinite(value) || value < 0.25 || value > 2) {
+      throw new Error(`Invalid margin "${inches}". Use inches between 0.25 and 2.`);
+    }
+    return Math.round(value * 1440);
+  };
+
+  if (typeof margins === 'number' || typeof margins === 'string') {
+    const twips = toTwips(margins);
+    return { top: twips, right: twips, bottom: twips, left: twips };
+  }
+  if (!margins || typeof margins !== 'object' || Array.isArray(margins)) {
+    throw new Error('margins must be a number of inches or { top, right, bottom, left }');
+  }
+  return Object.fromEntries(
+    Object.entries(base).map(([side, twips]) => [side, margins[side] !== undefined ? toTwips(margins[side]) : twips])
+  );
+}
+
+// Unknown sections are dropped and any left out are appended in default order
+function normalizeSectionOrder(order) {
+  if (!Array.isArray(order)) {
+    throw new Error('sectionOrder must be an array of section names');
+  }
+  const known = order.filter(key => SECTION_KEYS.includes(key));
+  return [...new Set([...known, ...SECTION_KEYS])];
+}
+
+/**
+ * Build the theme for a template, applying any user overrides:
+ * { fontFamily, headingFont, accentColor, margins, sectionOrder }
+ */
+function resolveTheme(templateName, overrides = {}) {
+  const name = templateName || DEFAULT_TEMPLATE;
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATES, name)) {
+    throw new Error(`Unknown template "${name}". Available templates: ${Object.keys(TEMPLATES).join(', ')}`);
+  }
+  const template = TEMPLATES[name];
+
+  if (overrides === null || overrides === undefined) {
+    overrides = {};
+  } else if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('theme must be an object of overrides');
+  }
+
+  const theme = {
+    name,
+    ...template,
+    fonts: { ...template.fonts },
+    margins: { ...template.margins },
+    layout: { ...template.layout }
+  };
+
+  if (overrides.fontFamily) {
+    theme.fonts.body = normalizeFont(overrides.fontFamily);
+    theme.fonts.heading = theme.fonts.body;
+  }
+  if (overrides.headingFont) theme.fonts.heading = normalizeFont(overrides.headingFont);
+  if (overrides.accentColor) theme.accentColor = normalizeColor(overrides.accentColor);
+  if (overrides.margins !== undefined) theme.margins = normalizeMargins(overrides.margins, template.margins);
+  if (overrides.sectionOrder) theme.sectionOrder = normalizeSectionOrder(overrides.sectionOrder);
+
+  return theme;
+}
+
+/**
+ * Public template list for the UI
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    label: template.label,
+    description: template.description,
+    accentColor: `#${template.accentColor}`,
+    font: template.fonts.body
+  }));
+}
+
+module.exports = {
+  resolveTheme,
+  listTemplates,
+  DEFAULT_TEMPLATE,
+  SECTION_KEYS
+};
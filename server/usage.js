@@ -0,0 +1,236 @@
+/**
+ * FlashJobs 2.0 - Usage
+ * Records every LLM call's tokens, model and latency in llm_usage, against
+ * the generation, user and channel (web or WhatsApp, with the number) it was
+ * made for, and turns them into cost reports.
+ *
+ * Costs are estimated from MODEL_PRICES (USD per million tokens) when the
+ * call is recorded; set LLM_PRICES to override or add models, e.g.
+ *   LLM_PRICES='{"claude-sonnet-4":{"input":3,"output":15}}'
+ */
+
+const { pool } = require('./auth');
+const { requestWhatsAppNumber } = require('./entitlements');
+
+const CHANNELS = ['web', 'whatsapp'];
+
+// USD per million tokens, matched by the longest model name prefix
+const MODEL_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'mock': { input: 0, output: 0 }
+};
+
+function loadPrices() {
+  if (!process.env.LLM_PRICES) return MODEL_PRICES;
+  try {
+    return { ...MODEL_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (error) {
+    console.error('⚠ Ignoring LLM_PRICES (not valid JSON):', error.message);
+    return MODEL_PRICES;
+  }
+}
+
+const prices = loadPrices();
+
+/**
+ * Estimated cost of a call in USD, or null for models without a price
+ */
+function estimateCost(model, inputTokens, outputTokens) {
+  const prefix = Object.keys(prices)
+    .filter(name => String(model || '').startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return null;
+
+  const price = prices[prefix];
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * The channel a request came from: 'whatsapp' for the WhatsApp bot acting
+ * for a number (authenticated by its secret, see requestWhatsAppNumber),
+ * otherwise the web app
+ */
+function requestChannel(req) {
+  return requestWhatsAppNumber(req) ? 'whatsapp' : 'web';
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Store one call's usage. Never throws: accounting must not fail a
+ * generation.
+ */
+async function recordUsage({ generationId = null, userId = null, channel = 'web', whatsappNumber = null, step, model, usage, latencyMs }) {
+  const inputTokens = usage?.input_tokens || 0;
+  const outputTokens = usage?.output_tokens || 0;
+
+  try {
+    await pool.query(
+      `INSERT INTO llm_usage (generation_id, user_id, channel, whatsapp_number, step, model, input_tokens, output_tokens, cost_usd, latency_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [generationId, userId, channel, whatsappNumber, step || null, model || null, inputTokens, outputTokens,
+        estimateCost(model, inputTokens, outputTokens), latencyMs]
+    );
+  } catch (error) {
+    console.error('Usage recording error (non-fatal):', error.message);
+  }
+}
+
+/**
+ * A provider that records the usage of each of its calls. Latency covers
+ * the whole call, retries included; model is the one that answered.
+ */
+function withUsageTracking(llm, { generationId = null, userId = null, channel = 'web', whatsappNumber = null } = {}) {
+  return {
+    name: llm.name,
+
+    async complete(request) {
+      const startedAt = Date.now();
+      const response = await llm.complete(request);
+      recordUsage({
+        generationId,
+        userId,
+        channel,
+        whatsappNumber,
+        step: request.step,
+        model: response.model,
+        usage: response.usage,
+        latencyMs: Date.now() - startedAt
+      });
+      return response;
+    }
+  };
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+function roundUsd(value) {
+  return value === null || value === undefined ? null : Math.round(Number(value) * 10000) / 10000;
+}
+
+// SUM/COUNT come back from pg as strings
+function toTotals(row) {
+  return {
+    calls: Number(row.calls) || 0,
+    generations: Number(row.generations) || 0,
+    inputTokens: Number(row.input_tokens) || 0,
+    outputTokens: Number(row.output_tokens) || 0,
+    costUsd: roundUsd(row.cost_usd) || 0,
+    avgLatencyMs: row.avg_latency_ms === null || row.avg_latency_ms === undefined ? null : Math.round(Number(row.avg_latency_ms))
+  };
+}
+
+const TOTALS_COLUMNS = `
+  COUNT(*) AS calls,
+  COUNT(DISTINCT generation_id) AS generations,
+  COALESCE(SUM(input_tokens), 0) AS input_tokens,
+  COALESCE(SUM(output_tokens), 0) AS output_tokens,
+  COALESCE(SUM(cost_usd), 0) AS cost_usd,
+  AVG(latency_ms) AS avg_latency_ms`;
+
+/**
+ * Lifetime totals for one user (shown on /api/auth/me)
+ */
+async function getUserUsage(userId) {
+  const result = await pool.query(`SELECT ${TOTALS_COLUMNS} FROM llm_usage WHERE user_id = $1`, [userId]);
+  return toTotals(result.rows[0]);
+}
+
+/**
+ * Cost report for [from, to): totals plus breakdowns by channel, model,
+ * step and day, the costliest users and WhatsApp numbers, and the most
+ * recent generations
+ */
+async function getUsageReport({ from, to }) {
+  const range = [from, to];
+  const where = 'WHERE u.created_at >= $1 AND u.created_at < $2';
+  const grouped = async (column) => {
+    const result = await pool.query(
+      `SELECT ${column} AS key, ${TOTALS_COLUMNS} FROM llm_usage u ${where} GROUP BY 1 ORDER BY cost_usd DESC`,
+      range
+    );
+    return result.rows.map(row => ({ key: row.key, ...toTotals(row) }));
+  };
+
+  const totals = await pool.query(`SELECT ${TOTALS_COLUMNS} FROM llm_usage u ${where}`, range);
+  const byChannel = await grouped('u.channel');
+  const byModel = await grouped('u.model');
+  const byStep = await grouped('u.step');
+  const byDay = (await grouped("TO_CHAR(u.created_at, 'YYYY-MM-DD')")).sort((a, b) => a.key.localeCompare(b.key));
+
+  const users = await pool.query(
+    `SELECT u.user_id, users.email, ${TOTALS_COLUMNS}
+     FROM llm_usage u JOIN users ON users.id = u.user_id
+     ${where}
+     GROUP BY u.user_id, users.email ORDER BY cost_usd DESC LIMIT 20`,
+    range
+  );
+
+  const numbers = await pool.query(
+    `SELECT u.whatsapp_number, ${TOTALS_COLUMNS}
+     FROM llm_usage u
+     ${where} AND u.whatsapp_number IS NOT NULL
+     GROUP BY u.whatsapp_number ORDER BY cost_usd DESC LIMIT 20`,
+    range
+  );
+
+  const generations = await pool.query(
+    `SELECT u.generation_id, MAX(u.user_id) AS user_id, MAX(u.channel) AS channel, MAX(u.whatsapp_number) AS whatsapp_number,
+       MIN(u.created_at) AS started_at, ${TOTALS_COLUMNS}
+     FROM llm_usage u
+     ${where} AND u.generation_id IS NOT NULL
+     GROUP BY u.generation_id ORDER BY started_at DESC LIMIT 20`,
+    range
+  );
+
+  const summary = toTotals(totals.rows[0]);
+  const generationCosts = await pool.query(
+    `SELECT AVG(cost) AS avg_cost, MAX(cost) AS max_cost FROM (
+       SELECT SUM(cost_usd) AS cost FROM llm_usage u ${where} AND u.generation_id IS NOT NULL GROUP BY u.generation_id
+     ) g`,
+    range
+  );
+
+  return {
+    period: { from, to },
+    totals: {
+      ...summary,
+      avgCostPerGenerationUsd: roundUsd(generationCosts.rows[0].avg_cost),
+      maxCostPerGenerationUsd: roundUsd(generationCosts.rows[0].max_cost)
+    },
+    byChannel: byChannel.map(({ key, ...rest }) => ({ channel: key, ...rest })),
+    byModel: byModel.map(({ key, ...rest }) => ({ model: key, ...rest })),
+    byStep: byStep.map(({ key, ...rest }) => ({ step: key, ...rest })),
+    byDay: byDay.map(({ key, ...rest }) => ({ day: key, ...rest })),
+    topUsers: users.rows.map(row => ({ userId: row.user_id, email: row.email, ...toTotals(row) })),
+    topWhatsAppNumbers: numbers.rows.map(row => ({ whatsappNumber: row.whatsapp_number, ...toTotals(row) })),
+    recentGenerations: generations.rows.map(row => ({
+      generationId: row.generation_id,
+      userId: row.user_id,
+      channel: row.channel,
+      whatsappNumber: row.whatsapp_number,
+      startedAt: row.started_at,
+      ...toTotals(row)
+    }))
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  estimateCost,
+  requestChannel,
+  recordUsage,
+  withUsageTracking,
+  getUserUsage,
+  getUsageReport
+};
@@ -2,9 +2,16 @@ const twilio = require('twilio');
 const FormData = require('form-data');
 const axios = require('axios');
 const { pool } = require('./auth'); // Database connection
+const { getQuotaStatus, botRequestHeaders } = require('./entitlements');
 
 // Configuration
-const FREE_CV_LIMIT = 2; // Number of free CVs during testing phase - easy to change!
+// WhatsApp messages are capped at 1600 characters; longer texts are split
+const MAX_MESSAGE_LENGTH = 1500;
+// Public URL Twilio fetches documents from - must be reachable from the internet
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'https://flashjobs-production.up.railway.app').replace(/\/$/, '');
+// How often to check on a generation job, and how long to wait for it
+const GENERATION_POLL_INTERVAL = 3000;
+const GENERATION_TIMEOUT = 5 * 60 * 1000;
 
 // Lazy-load Twilio client (don't initialize at module load)
 let twilioClient = null;
@@ -60,6 +67,113 @@ function updateState(phoneNumber, updates) {
   });
 }
 
+/**
+ * Cancel the user's in-flight CV generation, if any, so "reset" doesn't
+ * leave it running (and sending messages) in the background
+ */
+async function cancelActiveGeneration(phoneNumber) {
+  const generationId = conversationStates.get(phoneNumber)?.data?.generationId;
+  if (!generationId) return;
+
+  const PORT = process.env.PORT || 3001;
+  try {
+    await axios.post(`http://127.0.0.1:${PORT}/api/generations/${generationId}/cancel`, {}, { timeout: 10000 });
+    console.log(`🛑 Cancelled generation ${generationId} for ${phoneNumber}`);
+  } catch (error) {
+    // 404 means it had already finished
+    if (error.response?.status !== 404) {
+      console.error('Failed to cancel generation (non-fatal):', error.message);
+    }
+  }
+}
+
+/**
+ * Run a CV generation as a background job and wait for it. The job id is
+ * kept in the conversation state so "reset" can cancel it. Returns the
+ * job's result, or null if it was cancelled.
+ */
+async function runGenerationJob(phoneNumber, body) {
+  const PORT = process.env.PORT || 3001;
+  const API_BASE = `http://127.0.0.1:${PORT}`;
+
+  // The bot headers name whose plan quota the job uses, and mark its LLM
+  // usage as WhatsApp's
+  const startResponse = await axios.post(`${API_BASE}/api/generations`, body, {
+    headers: botRequestHeaders(phoneNumber),
+    timeout: 30000
+  }).catch(error => {
+    // Over the plan quota (402) or rate limited (429)
+    if (error.response?.status === 402 || error.response?.status === 429) {
+      throw new Error(error.response.data.error);
+    }
+    throw error;
+  });
+  const { generationId } = startResponse.data;
+  updateState(phoneNumber, { data: { ...getState(phoneNumber).data, generationId } });
+
+  const deadline = Date.now() + GENERATION_TIMEOUT;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, GENERATION_POLL_INTERVAL));
+
+    let job;
+    try {
+      job = (await axios.get(`${API_BASE}/api/generations/${generationId}`, { timeout: 10000 })).data;
+    } catch (error) {
+      // The job keeps running; try again on the next poll
+      console.error('Generation status check failed (retrying):', error.message);
+      continue;
+    }
+
+    if (job.status === 'complete') return job.result;
+    if (job.status === 'cancelled') return null;
+    if (job.status === 'failed') throw new Error(job.error || 'Generation failed');
+  }
+
+  await cancelActiveGeneration(phoneNumber);
+  throw new Error('Generation timed out');
+}
+
+// ============================================================================
+// PLAN QUOTA
+// ============================================================================
+
+function getWhatsAppQuota(phoneNumber) {
+  return getQuotaStatus({ type: 'whatsapp', id: phoneNumber });
+}
+
+/**
+ * "1/2 Free CVs left this month"
+ */
+function formatCvQuota(quota) {
+  const { limit, remaining } = quota.features.cv;
+  return limit === null
+    ? `Unlimited CVs (${quota.planLabel})`
+    : `${remaining}/${limit} ${quota.planLabel} CVs left this ${quota.period}`;
+}
+
+async function sendQuotaLimitMessage(phoneNumber, quota) {
+  const resetsOn = new Date(quota.resetsAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', timeZone: 'UTC' });
+  await sendWhatsAppMessage(phoneNumber,
+    `🎮 *You've hit your usage limit!*\n\n` +
+    `You've used all ${quota.features.cv.limit} ${quota.planLabel} CVs for this ${quota.period}. More on ${resetsOn}.\n\n` +
+    `💎 *Go Premium*\n` +
+    `50 CVs a month + interview packs\n\n` +
+    `Reply "premium" to upgrade now 🚀`
+  );
+}
+
+/**
+ * Checkout link for upgrading this number to Premium. The plan applies as
+ * soon as the payment goes through.
+ */
+async function createCheckoutLink(phoneNumber) {
+  const PORT = process.env.PORT || 3001;
+  const response = await axios.post(`http://127.0.0.1:${PORT}/api/billing/checkout`, {
+    plan: 'premium'
+  }, { headers: botRequestHeaders(phoneNumber), timeout: 30000 });
+  return response.data.checkoutUrl;
+}
+
 /**
  * Save WhatsApp user profile to database
  */
@@ -135,6 +249,29 @@ async function sendWhatsAppMessage(to, message) {
   }
 }
 
+/**
+ * Split a long text into message-sized parts, at paragraph breaks where possible
+ */
+function splitMessage(text, limit = MAX_MESSAGE_LENGTH) {
+  const parts = [];
+  let current = '';
+  for (const paragraph of String(text).split(/\n{2,}/)) {
+    const next = current ? `${current}\n\n${paragraph}` : paragraph;
+    if (next.length <= limit) {
+      current = next;
+      continue;
+    }
+    if (current) parts.push(current);
+    current = paragraph;
+    while (current.length > limit) {
+      parts.push(current.slice(0, limit));
+      current = current.slice(limit);
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
 /**
  * Send document via WhatsApp
  */
@@ -153,6 +290,35 @@ async function sendWhatsAppDocument(to, documentUrl, caption) {
   }
 }
 
+/**
+ * Send the generated CV as a PDF attachment. The Word link has already been
+ * sent, so a failed attachment is logged rather than failing the generation.
+ */
+async function sendCVPdf(phoneNumber, result) {
+  try {
+    await sendWhatsAppDocument(
+      phoneNumber,
+      `${PUBLIC_BASE_URL}/api/download/${result.sessionId}/cv?format=pdf`,
+      `📄 ${result.files?.cv?.filename?.replace(/\.docx$/, '.pdf') || 'Your tailored CV'}`
+    );
+    return true;
+  } catch (error) {
+    console.error('Failed to send CV PDF (non-fatal):', error.message);
+    return false;
+  }
+}
+
+/**
+ * Download line for the success message: mentions the attachment only if
+ * the PDF actually went out, otherwise links both formats
+ */
+function cvDownloadLine(result, pdfSent) {
+  const url = `${PUBLIC_BASE_URL}/api/download/${result.sessionId}/cv`;
+  return pdfSent
+    ? `📎 Your CV is attached as a PDF. Word version: ${url}`
+    : `📎 Download your CV: ${url}?format=pdf (PDF) or ${url} (Word)`;
+}
+
 /**
  * Download file from Twilio media URL
  */
@@ -183,25 +349,26 @@ async function processMessage(from, body, numMedia, mediaUrl) {
   try {
     // Handle commands
     if (body.toLowerCase() === 'help') {
-      const savedProfile = await loadWhatsAppProfile(from);
-      const usageCount = savedProfile?.total_generations || 0;
-      // Using global FREE_CV_LIMIT
-      
+      const quota = await getWhatsAppQuota(from);
+
       await sendWhatsAppMessage(from, 
         `📋 *FlashJobs WhatsApp Bot*\n\n` +
         `*Commands:*\n` +
         `• Send job URL → Generate CV\n` +
+        `• "pitch" → Elevator pitch + LinkedIn headline/About\n` +
+        `• "pitch <job URL>" → Pitch aimed at a job\n` +
         `• "profile" → View saved data\n` +
-        `• "premium" → Learn about Premium\n` +
+        `• "premium" → Upgrade to Premium\n` +
         `• "reset" → Start over\n` +
         `• "help" → Show this menu\n\n` +
-        `*Your Usage:* ${usageCount}/${FREE_CV_LIMIT} free CVs\n\n` +
+        `*Your Usage:* ${formatCvQuota(quota)}\n\n` +
         `Questions? Just ask! 🚀`
       );
       return;
     }
 
     if (body.toLowerCase() === 'reset') {
+      await cancelActiveGeneration(from);
       conversationStates.delete(from);
       await sendWhatsAppMessage(from, 
         `🔄 *Reset complete!*\n\nSend a job URL to start generating your CV.`
@@ -209,21 +376,76 @@ async function processMessage(from, body, numMedia, mediaUrl) {
       return;
     }
 
-    // Handle premium interest command
+    // Upgrade command: send a checkout link
     if (body.toLowerCase() === 'premium') {
-      const savedProfile = await loadWhatsAppProfile(from);
-      const usageCount = savedProfile?.total_generations || 0;
-      
+      const quota = await getWhatsAppQuota(from);
+      if (quota.plan === 'premium' || quota.plan === 'team') {
+        await sendWhatsAppMessage(from,
+          `💎 *You're on ${quota.planLabel}!*\n\n` +
+          `Your usage: ${formatCvQuota(quota)}`
+        );
+        return;
+      }
+
+      let checkoutUrl;
+      try {
+        checkoutUrl = await createCheckoutLink(from);
+      } catch (error) {
+        console.error('Checkout link error:', error.response?.data || error.message);
+      }
+
       await sendWhatsAppMessage(from,
         `💎 *FlashJobs Premium*\n\n` +
-        `Your usage: ${usageCount}/${FREE_CV_LIMIT} CVs\n\n` +
-        `Premium is coming soon! 🚀\n` +
-        `Unlimited CV generation + more features.\n\n` +
-        `We'll notify you when it launches!`
+        `Your usage: ${formatCvQuota(quota)}\n\n` +
+        `50 CVs a month, interview packs and more.\n\n` +
+        (checkoutUrl
+          ? `Upgrade here: ${checkoutUrl}\n\nYour new limits apply as soon as the payment goes through 🚀`
+          : `Sorry, checkout isn't available right now. Please try again later.`)
       );
       return;
     }
 
+    // Elevator pitch from the saved profile: "pitch" or "pitch <job URL>"
+    const pitchCommand = body.trim().match(/^pitch(?:\s+(\S+))?$/i);
+    if (pitchCommand) {
+      const savedProfile = await loadWhatsAppProfile(from);
+      if (!savedProfile || !savedProfile.master_cv_text) {
+        await sendWhatsAppMessage(from,
+          `🎤 *Elevator pitch*\n\n` +
+          `I need your CV first! Send a job URL to generate your first CV, then type "pitch".`
+        );
+        return;
+      }
+
+      const jobUrl = pitchCommand[1];
+      if (jobUrl && !isValidUrl(jobUrl)) {
+        await sendWhatsAppMessage(from,
+          `❌ That doesn't look like a valid job URL.\n\n` +
+          `Send "pitch" on its own, or "pitch" followed by a job posting URL.`
+        );
+        return;
+      }
+
+      await sendWhatsAppMessage(from,
+        `🎤 *Writing your elevator pitch...*\n\n` +
+        `${jobUrl ? 'Aimed at that job, using' : 'Using'} your saved CV. This takes about 20 seconds!`
+      );
+
+      generatePitchWithSavedProfile(from, savedProfile, jobUrl)
+        .catch(err => {
+          console.error('Pitch generation error:', err);
+          // Over the plan quota (402) or rate limited (429)
+          const limited = err.response?.status === 402 || err.response?.status === 429;
+          return sendWhatsAppMessage(from,
+            `❌ *Pitch generation failed!*\n\n` +
+            (limited ? err.response.data.error : `Please try again in a moment.`)
+          );
+        })
+        // sendWhatsAppMessage has already logged why the reply couldn't be sent
+        .catch(() => {});
+      return;
+    }
+
     // State machine for conversation flow
     switch (state.state) {
       case STATES.WAITING_FOR_JOB_URL:
@@ -231,16 +453,10 @@ async function processMessage(from, body, numMedia, mediaUrl) {
           // Check if user has a saved profile
           const savedProfile = await loadWhatsAppProfile(from);
           
-          // Check usage limit (2 free CVs during testing phase)
-          // Using global FREE_CV_LIMIT
-          if (savedProfile && savedProfile.total_generations >= FREE_CV_LIMIT) {
-            await sendWhatsAppMessage(from,
-              `🎮 *You've hit your free usage limit!*\n\n` +
-              `You've generated ${savedProfile.total_generations} CVs (Max: ${FREE_CV_LIMIT} free)\n\n` +
-              `💎 *Premium coming soon!*\n` +
-              `Unlimited CV generation + priority support\n\n` +
-              `Want early access to premium? Reply "premium" 🚀`
-            );
+          // Check the plan's CV quota before collecting anything
+          const quota = await getWhatsAppQuota(from);
+          if (quota.features.cv.remaining === 0) {
+            await sendQuotaLimitMessage(from, quota);
             return;
           }
           
@@ -364,16 +580,10 @@ async function processMessage(from, body, numMedia, mediaUrl) {
           // New job URL - load saved profile and generate again
           const savedProfile = await loadWhatsAppProfile(from);
           
-          // Check usage limit (2 free CVs during testing phase)
-          // Using global FREE_CV_LIMIT
-          if (savedProfile && savedProfile.total_generations >= FREE_CV_LIMIT) {
-            await sendWhatsAppMessage(from,
-              `🎮 *You've hit your free usage limit!*\n\n` +
-              `You've generated ${savedProfile.total_generations} CVs (Max: ${FREE_CV_LIMIT} free)\n\n` +
-              `💎 *Premium coming soon!*\n` +
-              `Unlimited CV generation + priority support\n\n` +
-              `Want early access to premium? Reply "premium" 🚀`
-            );
+          // Check the plan's CV quota before collecting anything
+          const quota = await getWhatsAppQuota(from);
+          if (quota.features.cv.remaining === 0) {
+            await sendQuotaLimitMessage(from, quota);
             return;
           }
           
@@ -438,10 +648,12 @@ async function generateCV(phoneNumber, jobUrl, linkedinUrl, cvMediaUrl) {
     // Use same port as the running server
     const PORT = process.env.PORT || 3001;
     const API_BASE = `http://127.0.0.1:${PORT}`;
+    // The bot headers apply rate limits per number, not to the bot as a whole
     const axiosConfig = {
       timeout: 120000, // 2 minute timeout
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...botRequestHeaders(phoneNumber)
       }
     };
 
@@ -467,7 +679,7 @@ async function generateCV(phoneNumber, jobUrl, linkedinUrl, cvMediaUrl) {
     cvFormData.append('cvFiles', cvBuffer, 'cv.docx');
     
     const cvResponse = await axios.post(`${API_BASE}/api/parse-cvs`, cvFormData, {
-      headers: cvFormData.getHeaders(),
+      headers: { ...cvFormData.getHeaders(), ...botRequestHeaders(phoneNumber) },
       timeout: 60000
     });
     const cvTexts = cvResponse.data.cvs;
@@ -481,67 +693,65 @@ async function generateCV(phoneNumber, jobUrl, linkedinUrl, cvMediaUrl) {
     const jobData = jobResponse.data.job;
     console.log('✓ Job parsed:', jobData.title);
 
-    // Generate CV using simple endpoint (non-streaming)
+    // Generate CV as a background job
     console.log('⚡ Generating tailored CV...');
-    const generateResponse = await axios.post(`${API_BASE}/api/generate-simple`, {
+    const result = await runGenerationJob(phoneNumber, {
       profile: profileData,
       cvTexts,
       jobData,
       options: { generateCV: true, generateCoverLetter: false }
-    }, {
-      timeout: 180000 // 3 minutes for generation
     });
 
-    const result = generateResponse.data;
+    if (!result) {
+      // The user reset; they've already been told
+      console.log('🛑 Generation cancelled for', phoneNumber);
+      return;
+    }
     console.log('✓ Generation complete');
 
-    if (result.success) {
-      // Save profile to database for future use
-      const cvTextToSave = cvTexts[0]?.text || '';
-      console.log('💾 Saving WhatsApp profile:', {
-        phoneNumber,
-        cvTextLength: cvTextToSave.length,
-        cvFilename: cvTexts[0]?.filename || 'cv.docx'
-      });
-      
-      await saveWhatsAppProfile(
-        phoneNumber,
-        linkedinUrl,
-        cvTextToSave,
-        cvTexts[0]?.filename || 'cv.docx'
-      );
-      
-      // Get updated usage count
-      const updatedProfile = await loadWhatsAppProfile(phoneNumber);
-      // Using global FREE_CV_LIMIT
-      const remaining = FREE_CV_LIMIT - (updatedProfile?.total_generations || 0);
-      
-      // Send success message with job details
-      await sendWhatsAppMessage(phoneNumber,
-        `✅ *Done! Your tailored CV is ready!*\n\n` +
-        `📄 *Job:* ${result.jobData.title}\n` +
-        `🏢 *Company:* ${result.jobData.company}\n\n` +
-        `💡 *Your profile is saved!* Next time just send the job URL - that's it!\n\n` +
-        `Download your CV at: https://flashjobs-production.up.railway.app/api/download/${result.sessionId}/cv\n\n` +
-        (remaining > 0 
-          ? `🎮 *Free CVs remaining:* ${remaining}/${FREE_CV_LIMIT}\n\n` 
-          : `💎 *You've used all free CVs!* Type "premium" to learn more\n\n`) +
-        `Type "help" for commands.`
-      );
+    // Save profile to database for future use
+    const cvTextToSave = cvTexts[0]?.text || '';
+    console.log('💾 Saving WhatsApp profile:', {
+      phoneNumber,
+      cvTextLength: cvTextToSave.length,
+      cvFilename: cvTexts[0]?.filename || 'cv.docx'
+    });
+    
+    await saveWhatsAppProfile(
+      phoneNumber,
+      linkedinUrl,
+      cvTextToSave,
+      cvTexts[0]?.filename || 'cv.docx'
+    );
+    
+    // Remaining quota on the number's plan
+    const quota = await getWhatsAppQuota(phoneNumber);
+    
+    // Send the PDF, then the success message with job details
+    const pdfSent = await sendCVPdf(phoneNumber, result);
+    await sendWhatsAppMessage(phoneNumber,
+      `✅ *Done! Your tailored CV is ready!*\n\n` +
+      `📄 *Job:* ${result.jobData.title}\n` +
+      `🏢 *Company:* ${result.jobData.company}\n\n` +
+      `💡 *Your profile is saved!* Next time just send the job URL - that's it!\n\n` +
+      `${cvDownloadLine(result, pdfSent)}\n\n` +
+      (quota.features.cv.remaining !== 0
+        ? `🎮 *${formatCvQuota(quota)}*\n\n`
+        : `💎 *You've used all your CVs for this ${quota.period}!* Type "premium" to upgrade\n\n`) +
+      `Type "help" for commands.`
+    );
 
-      // Update state to READY
-      const state = getState(phoneNumber);
-      updateState(phoneNumber, {
-        state: STATES.READY,
-        data: {
-          ...state.data,
-          profileSaved: true,
-          sessionId: result.sessionId
-        }
-      });
-    } else {
-      throw new Error(result.error || 'Generation failed');
-    }
+    // Update state to READY
+    const state = getState(phoneNumber);
+    updateState(phoneNumber, {
+      state: STATES.READY,
+      data: {
+        ...state.data,
+        profileSaved: true,
+        sessionId: result.sessionId,
+        generationId: null
+      }
+    });
 
   } catch (error) {
     console.error('CV generation error:', error.message);
@@ -550,7 +760,7 @@ async function generateCV(phoneNumber, jobUrl, linkedinUrl, cvMediaUrl) {
     // Send user-friendly error
     await sendWhatsAppMessage(phoneNumber,
       `❌ *Generation failed!*\n\n` +
-      `Error: ${error.message}\n\n` +
+      `Error: ${error.response?.data?.error || error.message}\n\n` +
       `Send "reset" to try again.`
     );
     
@@ -568,7 +778,7 @@ async function generateCVWithSavedProfile(phoneNumber, jobUrl, savedProfile) {
     const API_BASE = `http://127.0.0.1:${PORT}`;
     const axiosConfig = {
       timeout: 120000,
-      headers: { 'Content-Type': 'application/json' }
+      headers: { 'Content-Type': 'application/json', ...botRequestHeaders(phoneNumber) }
     };
 
     console.log('📱 Generating with saved profile for', phoneNumber);
@@ -592,61 +802,111 @@ async function generateCVWithSavedProfile(phoneNumber, jobUrl, savedProfile) {
     const jobData = jobResponse.data.job;
 
     // Generate CV
-    const generateResponse = await axios.post(`${API_BASE}/api/generate-simple`, {
+    const result = await runGenerationJob(phoneNumber, {
       profile: profileData,
       cvTexts,
       jobData,
       options: { generateCV: true, generateCoverLetter: false }
-    }, {
-      timeout: 180000
     });
 
-    const result = generateResponse.data;
+    if (!result) {
+      console.log('🛑 Generation cancelled for', phoneNumber);
+      return;
+    }
 
-    if (result.success) {
-      // Update usage count
-      await pool.query(
-        `UPDATE whatsapp_users 
-         SET total_generations = total_generations + 1, last_used_at = NOW()
-         WHERE phone_number = $1`,
-        [phoneNumber]
-      );
+    // Update usage count
+    await pool.query(
+      `UPDATE whatsapp_users 
+       SET total_generations = total_generations + 1, last_used_at = NOW()
+       WHERE phone_number = $1`,
+      [phoneNumber]
+    );
 
-      // Get updated usage count
-      const updatedProfile = await loadWhatsAppProfile(phoneNumber);
-      // Using global FREE_CV_LIMIT
-      const remaining = FREE_CV_LIMIT - (updatedProfile?.total_generations || 0);
-
-      await sendWhatsAppMessage(phoneNumber,
-        `✅ *Done! Your tailored CV is ready!*\n\n` +
-        `📄 *Job:* ${result.jobData.title}\n` +
-        `🏢 *Company:* ${result.jobData.company}\n\n` +
-        `Download: https://flashjobs-production.up.railway.app/api/download/${result.sessionId}/cv\n\n` +
-        (remaining > 0 
-          ? `🎮 *Free CVs remaining:* ${remaining}/${FREE_CV_LIMIT}\n\n` 
-          : `💎 *You've used all free CVs!* Type "premium" to learn more\n\n`) +
-        `Send another job URL to generate more! 🚀`
-      );
+    // Remaining quota on the number's plan
+    const quota = await getWhatsAppQuota(phoneNumber);
 
-      updateState(phoneNumber, { 
-        state: STATES.READY,
-        data: { sessionId: result.sessionId }
-      });
-    } else {
-      throw new Error(result.error || 'Generation failed');
-    }
+    const pdfSent = await sendCVPdf(phoneNumber, result);
+    await sendWhatsAppMessage(phoneNumber,
+      `✅ *Done! Your tailored CV is ready!*\n\n` +
+      `📄 *Job:* ${result.jobData.title}\n` +
+      `🏢 *Company:* ${result.jobData.company}\n\n` +
+      `${cvDownloadLine(result, pdfSent)}\n\n` +
+      (quota.features.cv.remaining !== 0
+        ? `🎮 *${formatCvQuota(quota)}*\n\n`
+        : `💎 *You've used all your CVs for this ${quota.period}!* Type "premium" to upgrade\n\n`) +
+      `Send another job URL to generate more! 🚀`
+    );
+
+    updateState(phoneNumber, { 
+      state: STATES.READY,
+      data: { sessionId: result.sessionId }
+    });
 
   } catch (error) {
     console.error('Saved profile generation error:', error.message);
     await sendWhatsAppMessage(phoneNumber,
       `❌ *Generation failed!*\n\n` +
-      `Error: ${error.message}\n\n` +
+      `Error: ${error.response?.data?.error || error.message}\n\n` +
       `Send "reset" to try again.`
     );
     updateState(phoneNumber, { state: STATES.WAITING_FOR_JOB_URL });
   }
 }
 
+/**
+ * Generate an elevator pitch and LinkedIn copy from the saved CV, optionally
+ * aimed at a job. Uses one elevator pitch from the number's plan quota.
+ */
+async function generatePitchWithSavedProfile(phoneNumber, savedProfile, jobUrl) {
+  const PORT = process.env.PORT || 3001;
+  const API_BASE = `http://127.0.0.1:${PORT}`;
+  const axiosConfig = {
+    timeout: 120000,
+    headers: { 'Content-Type': 'application/json', ...botRequestHeaders(phoneNumber) }
+  };
+
+  console.log('🎤 Generating pitch for', phoneNumber, jobUrl ? `(job: ${jobUrl})` : '');
+
+  let jobData = null;
+  if (jobUrl) {
+    const jobResponse = await axios.post(`${API_BASE}/api/parse-job`, { jobUrl }, axiosConfig);
+    jobData = jobResponse.data.job;
+  }
+
+  const pitchResponse = await axios.post(`${API_BASE}/api/pitch`, {
+    profile: {},
+    cvTexts: [{
+      filename: savedProfile.master_cv_filename,
+      text: savedProfile.master_cv_text
+    }],
+    jobData
+  }, {
+    headers: botRequestHeaders(phoneNumber),
+    timeout: 180000
+  });
+
+  const result = pitchResponse.data;
+  if (!result.success) {
+    throw new Error(result.error || 'Pitch generation failed');
+  }
+
+  const { pitch } = result;
+  const target = result.jobData ? ` for ${result.jobData.title} at ${result.jobData.company}` : '';
+
+  await sendWhatsAppMessage(phoneNumber,
+    `🎤 *Your 30-second pitch${target}*\n\n${pitch.pitch30}`
+  );
+  for (const part of splitMessage(`⏱️ *60-second version*\n\n${pitch.pitch60}`)) {
+    await sendWhatsAppMessage(phoneNumber, part);
+  }
+  await sendWhatsAppMessage(phoneNumber,
+    `💼 *LinkedIn headline*\n\n${pitch.linkedinHeadline}`
+  );
+  for (const part of splitMessage(`📝 *LinkedIn About*\n\n${pitch.linkedinAbout}`)) {
+    await sendWhatsAppMessage(phoneNumber, part);
+  }
+}
+
 module.exports = {
   processMessage,
   sendWhatsAppMessage,